@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+/*
+ * JiraMetricsDashboard - Command line interface
+ *
+ * Computes a view's metrics without the React app, e.g. from cron:
+ *   jira-metrics compute --view "Platform Q3" --format md --output report.md
+ *   jira-metrics compute --config ./view.json --format csv
+ * The view comes from MongoDB (--view / --view-id) or a JSON file shaped like a saved View.
+ * Issues are fetched with the same two-step logic and cache as the server (utils/jiraService.js)
+ * and processed by the dashboard's processMetrics(). Logs go to stderr; results to stdout or --output.
+ *
+ * Exit codes: 0 success, 1 usage/config error, 2 fetch failed, 3 written but some issues failed to fetch,
+ * 4 the --output file could not be written.
+ */
+import dotenv from 'dotenv';
+import fs from 'fs/promises';
+import path from 'path';
+import { Console } from 'console';
+import { Writable } from 'stream';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+
+import mongoose from 'mongoose';
+import View from './models/View.js';
+import { createJiraService } from './utils/jiraService.js';
+import { isJqlInputError } from './utils/jqlBuilder.js';
+import { computeViewMetrics } from './utils/viewMetrics.js';
+import { formatMetrics, OUTPUT_FORMATS } from './utils/metricsFormat.js';
+
+// --- Environment Setup ---
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.resolve(__dirname, '../.env') }); // Load .env from root
+
+const EXIT_OK = 0;
+const EXIT_USAGE = 1;
+const EXIT_FETCH_FAILED = 2;
+const EXIT_PARTIAL = 3;
+const EXIT_WRITE_FAILED = 4;
+
+const USAGE = `Usage: jira-metrics compute (--view <name> | --view-id <id> | --config <file.json>) [options]
+
+Options:
+  --format <json|csv|md>  Output format (default: json)
+  --output <file>         Write to a file instead of stdout
+  --allow-partial         Exit 0 even if some issue details could not be fetched
+  --quiet                 Only log errors (logs always go to stderr)
+  --help                  Show this help`;
+
+// Custom error for invalid command line input (exit code 1)
+const usageError = (message) => Object.assign(new Error(message), { isUsageError: true });
+
+/**
+ * Parses argv into the compute options.
+ * @param {Array<string>} argv - Arguments after the script name.
+ * @returns {object}
+ */
+function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      view: { type: 'string' },
+      'view-id': { type: 'string' },
+      config: { type: 'string' },
+      format: { type: 'string', default: 'json' },
+      output: { type: 'string' },
+      'allow-partial': { type: 'boolean', default: false },
+      quiet: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false },
+    },
+  });
+  if (values.help) return { help: true };
+
+  const [command] = positionals;
+  if (command !== 'compute') throw usageError(command ? `Unknown command "${command}".` : 'Missing command.');
+  const sources = ['view', 'view-id', 'config'].filter(name => values[name]);
+  if (sources.length !== 1) throw usageError('Pass exactly one of --view, --view-id or --config.');
+  if (!OUTPUT_FORMATS.includes(values.format)) throw usageError(`Unknown --format "${values.format}". Expected one of: ${OUTPUT_FORMATS.join(', ')}.`);
+
+  return {
+    viewName: values.view,
+    viewId: values['view-id'],
+    configPath: values.config,
+    format: values.format,
+    outputPath: values.output,
+    allowPartial: values['allow-partial'],
+    quiet: values.quiet,
+  };
+}
+
+// Sends all console output to stderr so stdout only carries the result (info logs dropped with --quiet)
+function redirectLogs(quiet) {
+  const discard = new Writable({ write: (_chunk, _encoding, callback) => callback() });
+  globalThis.console = new Console({ stdout: quiet ? discard : process.stderr, stderr: process.stderr });
+}
+
+// Loads the view from MongoDB or a JSON config file
+async function loadView({ viewName, viewId, configPath }) {
+  if (configPath) {
+    const raw = await fs.readFile(path.resolve(process.cwd(), configPath), 'utf8').catch((err) => {
+      throw usageError(`Cannot read config file ${configPath}: ${err.message}`);
+    });
+    try {
+      return JSON.parse(raw);
+    } catch (err) {
+      throw usageError(`Config file ${configPath} is not valid JSON: ${err.message}`);
+    }
+  }
+
+  if (viewId && !mongoose.Types.ObjectId.isValid(viewId)) throw usageError(`Invalid view ID format: ${viewId}`);
+  const view = viewId ? await View.findById(viewId) : await View.findOne({ name: viewName });
+  if (!view) throw usageError(`View not found: ${viewId || viewName}`);
+  return view;
+}
+
+async function main(argv) {
+  let options;
+  try {
+    options = parseCommandLine(argv);
+  } catch (err) {
+    console.error(`[ERROR] ${err.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+  redirectLogs(options.quiet);
+
+  // --- MongoDB (saved views and the issue cache) ---
+  const { MONGO_URI } = process.env;
+  const env = { ...process.env };
+  if (!MONGO_URI) {
+    if (!options.configPath) {
+      console.error('[ERROR] MONGO_URI is required to load a saved view. Use --config to run from a JSON file.');
+      return EXIT_USAGE;
+    }
+    console.warn('[WARN] MONGO_URI is not set. Running without the issue cache.');
+    env.JIRA_CACHE_ENABLED = 'false';
+  }
+
+  let jira;
+  try {
+    jira = createJiraService(env);
+  } catch (err) {
+    console.error(`[FATAL ERROR] ${err.message}`);
+    return EXIT_USAGE;
+  }
+
+  try {
+    if (MONGO_URI) {
+      await mongoose.connect(MONGO_URI);
+      console.log('[INFO] MongoDB Connected Successfully.');
+    }
+
+    const view = await loadView(options);
+    console.log(`[INFO] cli: Computing metrics for ${view.name ? `view "${view.name}"` : 'config file view'}...`);
+
+    let result;
+    try {
+      result = await computeViewMetrics(jira, view, { logPrefix: 'cli' });
+    } catch (err) {
+      if (isJqlInputError(err)) {
+        console.error(`[ERROR] Invalid view: ${err.message}${err.jqlErrors ? ` (${err.jqlErrors.join(' ')})` : ''}`);
+        return EXIT_USAGE;
+      }
+      const detail = err.response?.data?.errorMessages?.join(' ') || err.message;
+      console.error(`[ERROR] Fetch failed${err.response?.status ? ` (${err.response.status})` : ''}: ${detail}`);
+      return EXIT_FETCH_FAILED;
+    }
+
+    // --- Output ---
+    const output = formatMetrics(result, options.format);
+    if (options.outputPath) {
+      try {
+        await fs.writeFile(path.resolve(process.cwd(), options.outputPath), output);
+      } catch (err) {
+        console.error(`[ERROR] Could not write ${options.outputPath}: ${err.message}`);
+        return EXIT_WRITE_FAILED;
+      }
+      console.log(`[INFO] cli: Wrote ${options.format} output to ${options.outputPath}`);
+    } else {
+      process.stdout.write(output);
+    }
+
+    if (result.failed.length > 0) {
+      console.warn(`[WARN] cli: Details could not be fetched for ${result.failed.length} issue(s): ${result.failed.map(f => f.key || '(missing key)').join(', ')}`);
+      return options.allowPartial ? EXIT_OK : EXIT_PARTIAL;
+    }
+    return EXIT_OK;
+  } catch (err) {
+    console.error(`[ERROR] ${err.message}`);
+    return err.isUsageError ? EXIT_USAGE : EXIT_FETCH_FAILED;
+  } finally {
+    if (mongoose.connection.readyState !== 0) await mongoose.disconnect();
+  }
+}
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+}).catch((err) => {
+  // e.g. mongoose.disconnect() failing after the result was written
+  console.error(`[FATAL ERROR] ${err.message}`);
+  process.exitCode = EXIT_FETCH_FAILED;
+});
@@ -0,0 +1,19 @@
+// backend/models/CachedIssue.js
+import mongoose from 'mongoose';
+
+// One document per Jira issue, holding the full payload (fields + complete changelog)
+const cachedIssueSchema = new mongoose.Schema({
+  projectKey: { type: String, required: true, index: true },
+  issueKey: { type: String, required: true },
+  issueId: { type: String },
+  updated: { type: Date }, // Jira's fields.updated at fetch time
+  fetchedAt: { type: Date, default: Date.now },
+  data: { type: mongoose.Schema.Types.Mixed, required: true }, // Raw issue JSON as returned by Jira
+}, { minimize: false });
+
+// An issue is cached once per project
+cachedIssueSchema.index({ projectKey: 1, issueKey: 1 }, { unique: true });
+
+const CachedIssue = mongoose.model('CachedIssue', cachedIssueSchema);
+
+export default CachedIssue;
@@ -0,0 +1,14 @@
+// backend/models/ProjectSync.js
+import mongoose from 'mongoose';
+
+// Tracks cache freshness per project for incremental (updated >= lastSyncTime) syncs
+const projectSyncSchema = new mongoose.Schema({
+  projectKey: { type: String, required: true, unique: true, index: true },
+  lastSyncTime: { type: Date, default: null },     // Every cached issue reflects Jira at or after this time
+  lastFullSyncTime: { type: Date, default: null }, // Last forced full resync
+  lastSyncUpdatedCount: { type: Number, default: 0 }, // Issues refreshed by the last sync
+});
+
+const ProjectSync = mongoose.model('ProjectSync', projectSyncSchema);
+
+export default ProjectSync;
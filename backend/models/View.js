@@ -7,15 +7,64 @@ const flowConfigSchema = new mongoose.Schema({
   value: { type: String, required: true }, // Store group name or status ID
 }, { _id: false }); // No _id for this sub-schema
 
+// --- Flow efficiency: whether time in a group/status is value-adding ('active') or not ('waiting') ---
+const flowActivitySchema = new mongoose.Schema({
+  type: { type: String, required: true, enum: ['group', 'status'] },
+  value: { type: String, required: true },
+  activity: { type: String, required: true, enum: ['active', 'waiting'] },
+}, { _id: false });
+
+// --- Working calendar for business-time durations (see frontend/src/utils/workingCalendar.js) ---
+const calendarSchema = new mongoose.Schema({
+  enabled: { type: Boolean, default: false },
+  workingDays: { type: [Number], default: [1, 2, 3, 4, 5] }, // 0 = Sunday ... 6 = Saturday
+  dayStart: { type: String, default: '09:00', match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+  dayEnd: { type: String, default: '17:00', match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+  timezone: { type: String, default: 'UTC' },
+  holidays: [{ type: String, match: /^\d{4}-\d{2}-\d{2}$/ }],
+}, { _id: false });
+
+// --- "Segment by" dimension (see frontend/src/utils/segments.js); no dimension = off ---
+const segmentBySchema = new mongoose.Schema({
+  dimension: { type: String, default: '', enum: ['', 'issueType', 'priority', 'assignee', 'component', 'label', 'customField'] },
+  fieldId: { type: String, default: '' }, // customfield_<number> when dimension is 'customField'
+}, { _id: false });
+
+// --- Comparison period (see frontend/src/utils/periodComparison.js); dates only for 'custom' ---
+const comparisonSchema = new mongoose.Schema({
+  mode: { type: String, default: 'off', enum: ['off', 'previous', 'custom'] },
+  startDate: { type: String, default: '' },
+  endDate: { type: String, default: '' },
+}, { _id: false });
+
+// --- SLA target per priority, optionally narrowed to an issue type (see frontend/src/utils/sla.js) ---
+const slaTargetSchema = new mongoose.Schema({
+  priority: { type: String, required: true }, // Priority name
+  issueType: { type: String, default: '' }, // Issue type name; '' = any type
+  responseHours: { type: Number, default: null, min: 0 },
+  resolutionHours: { type: Number, default: null, min: 0 },
+}, { _id: false });
+
 const viewSchema = new mongoose.Schema({
   // Use index: true directly in the field definition for uniqueness and indexing
   name: { type: String, required: true, unique: true, index: true },
-  projectKey: { type: String, required: true },
+  // One or more Jira projects queried together; `projectKey` is kept for views saved before multi-project support
+  projectKeys: {
+    type: [String],
+    validate: {
+      validator: function (keys) { return (Array.isArray(keys) && keys.length > 0) || !!this.projectKey; },
+      message: 'At least one project key is required',
+    },
+  },
+  projectKey: { type: String },
   startDate: { type: String, required: true },
   endDate: { type: String, required: true },
+  // IANA timezone the view's days are in (date filters, throughput and CFD buckets); unset on older views
+  timezone: { type: String },
   standardFilters: {
     issueTypes: [String],
     priorities: [String],
+    jql: { type: String, default: '' }, // Advanced JQL clause, ANDed with the generated filters
   },
   statusGroups: [
     {
@@ -29,9 +78,21 @@ const viewSchema = new mongoose.Schema({
   triageConfig: { type: flowConfigSchema, required: true },
   cycleStartConfig: { type: flowConfigSchema, required: true },
   cycleEndConfig: { type: flowConfigSchema, required: true },
+  calendar: { type: calendarSchema, default: () => ({}) },
+  flowActivity: [flowActivitySchema],
+  segmentBy: { type: segmentBySchema, default: () => ({}) },
+  comparison: { type: comparisonSchema, default: () => ({}) },
+  sla: {
+    targets: [slaTargetSchema],
+  },
   createdAt: { type: Date, default: Date.now }
 });
 
+// Resolves the project list for both current and legacy (single projectKey) views
+viewSchema.methods.getProjectKeys = function () {
+  return this.projectKeys?.length > 0 ? this.projectKeys : [this.projectKey].filter(Boolean);
+};
+
 const View = mongoose.model('View', viewSchema);
 
 export default View;
\ No newline at end of file
@@ -1,10 +1,16 @@
 /*
  * JiraMetricsDashboard - Backend Server
  * Handles Jira proxying and saving/loading views to MongoDB.
- * Implements the standard two-step fetch:
+ * The Jira fetch itself lives in utils/jiraService.js (shared with the CLI):
  * 1. POST /search/jql (params in query, body has JQL) fetching id,key paginated.
- * 2. GET /issue/{issueIdOrKey}?expand=changelog for each result from Step 1.
- * Uses standard pagination termination (issues.length < MAX_RESULTS).
+ * 2. GET /issue/{issueIdOrKey}?expand=changelog for each result from Step 1,
+ *    through a bounded concurrency pool with 429-aware retries and complete changelogs.
+ * Jira authentication is pluggable (session cookie, API token, PAT, OAuth) via JIRA_AUTH_TYPE.
+ * JIRA_DEPLOYMENT_TYPE switches between Cloud (REST v3) and Server/Data Center (REST v2).
+ * Fetched issues are cached in MongoDB per project and refreshed incrementally (updated >= lastSyncTime).
+ * Free-form JQL from the filter panel is validated with Jira before any fetch runs.
+ * Search JQL is assembled from structured filters by utils/jqlBuilder.js (values escaped, input validated).
+ * POST /api/metrics runs the dashboard's processMetrics() server-side for a saved or inline view.
  */
 
 // Use ES module imports
@@ -13,10 +19,13 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 
 import express from 'express';
-import axios from 'axios';
 import cors from 'cors';
 import mongoose from 'mongoose';
 import View from './models/View.js'; // Ensure this path is correct
+import { createJiraService } from './utils/jiraService.js';
+import { parseProjectKeys, normalizeFilters, buildIssueQuery, isJqlInputError } from './utils/jqlBuilder.js';
+import { getCacheFreshness } from './utils/issueCache.js';
+import { computeViewMetrics } from './utils/viewMetrics.js';
 
 // --- Environment Setup ---
 const __filename = fileURLToPath(import.meta.url);
@@ -27,29 +36,23 @@ const app = express();
 const PORT = process.env.BACKEND_PORT || 3001;
 
 // --- Load Environment Variables ---
-const { JIRA_API_URL_BASE, JIRA_SESSION_TOKEN, JIRA_MAX_RESULTS, MONGO_URI } =
-  process.env;
-
-// Basic validation for essential variables
-if (!JIRA_API_URL_BASE || !JIRA_SESSION_TOKEN) {
-  console.error(
-    '[FATAL ERROR] Missing JIRA_API_URL_BASE or JIRA_SESSION_TOKEN in .env file.',
-  );
+const { MONGO_URI } = process.env;
+
+// Jira deployment profile, auth strategy and fetch tuning all come from JIRA_* variables
+let jira;
+try {
+  jira = createJiraService(process.env);
+} catch (err) {
+  console.error(`[FATAL ERROR] ${err.message}`);
   process.exit(1);
 }
+
+// Basic validation for essential variables
 if (!MONGO_URI) {
   console.error('[FATAL ERROR] Missing MONGO_URI in .env file.');
   process.exit(1);
 }
 
-// Parse MAX_RESULTS with fallback
-let MAX_RESULTS_PARSED = parseInt(JIRA_MAX_RESULTS || '50', 10);
-if (isNaN(MAX_RESULTS_PARSED) || MAX_RESULTS_PARSED <= 0) {
-    console.warn(`[WARN] Invalid JIRA_MAX_RESULTS. Defaulting to 50.`);
-    MAX_RESULTS_PARSED = 50;
-}
-const MAX_RESULTS = MAX_RESULTS_PARSED;
-
 // --- Middleware ---
 app.use(cors()); // Enable CORS
 app.use(express.json()); // Parse JSON bodies
@@ -63,54 +66,29 @@ mongoose
     process.exit(1);
   });
 
-// --- Axios Client (Jira) ---
-const jiraApi = axios.create({
-  baseURL: JIRA_API_URL_BASE,
-  headers: {
-    'Content-Type': 'application/json',
-    Cookie: `tenant.session.token=${JIRA_SESSION_TOKEN}`, // Authentication cookie
-  },
-  timeout: 30000, // Timeout for requests
-});
-
 // --- Jira API Routes ---
 
-// GET /api/jira/metadata
+// GET /api/jira/metadata?projectKeys=A,B (legacy: ?projectKey=A)
+// Issue types and statuses are merged across projects and de-duplicated by ID;
+// each carries `projectKeys` listing the projects that use it.
 app.get('/api/jira/metadata', async (req, res) => {
-    const { projectKey } = req.query;
-    console.log(`[INFO] /api/jira/metadata: Request for project: ${projectKey || 'NONE'}`);
-    if (!projectKey) { return res.status(400).json({ error: 'projectKey query param is required' }); }
+    let projectKeys;
     try {
-      // Define URLs for necessary metadata endpoints
-      const projectDetailsUrl = `/rest/api/3/project/${projectKey}`;
-      const prioritiesUrl = '/rest/api/3/priority';
-      const statusesUrl = `/rest/api/3/project/${projectKey}/statuses`; // Statuses per project
-
-      console.log(`[DEBUG] /api/jira/metadata: Fetching URLs for ${projectKey}`);
-      // Fetch all metadata concurrently
-      const [projectDetailsRes, prioritiesRes, statusesRes] = await Promise.all([
-        jiraApi.get(projectDetailsUrl),
-        jiraApi.get(prioritiesUrl),
-        jiraApi.get(statusesUrl),
-      ]);
-
-      // Process statuses: flatten, deduplicate, and sort
-      const formattedStatuses = (statusesRes.data || [])
-          .flatMap(issueType => issueType.statuses || []) // Get statuses from all issue types
-          .map(status => ({ id: status.id, name: status.name })) // Extract id and name
-          .filter((value, index, self) => index === self.findIndex((s) => s.id === value.id)) // Deduplicate by ID
-          .sort((a, b) => (a.name || '').localeCompare(b.name || '')); // Sort alphabetically
-
-      // Send combined metadata to frontend
-      res.json({
-        issueTypes: projectDetailsRes.data?.issueTypes || [],
-        priorities: prioritiesRes.data || [],
-        statuses: formattedStatuses,
-      });
-      console.log(`[INFO] /api/jira/metadata: Success for project: ${projectKey}`);
+      projectKeys = parseProjectKeys(req.query.projectKeys ?? req.query.projectKey);
+    } catch (error) {
+      console.warn(`[WARN] /api/jira/metadata: Request failed (400) - ${error.message}`);
+      return res.status(400).json({ error: error.message });
+    }
+    const projectsLabel = projectKeys.join(', ');
+    console.log(`[INFO] /api/jira/metadata: Request for project(s): ${projectsLabel || 'NONE'}`);
+    if (projectKeys.length === 0) { return res.status(400).json({ error: 'projectKeys query param is required' }); }
+    try {
+      console.log(`[DEBUG] /api/jira/metadata: Fetching URLs for ${projectsLabel}`);
+      res.json(await jira.fetchProjectMetadata(projectKeys)); // Send combined metadata to frontend
+      console.log(`[INFO] /api/jira/metadata: Success for project(s): ${projectsLabel}`);
     } catch (error) {
       // Handle errors during metadata fetch
-      console.error(`[ERROR] /api/jira/metadata: Fetch error for project ${projectKey}:`, error.response?.data || error.message);
+      console.error(`[ERROR] /api/jira/metadata: Fetch error for project(s) ${projectsLabel}:`, error.response?.data || error.message);
       const status = error.response?.status || 500;
       const errorMessage = error.response?.data?.errorMessages?.join(' ') || error.message || 'Failed to fetch Jira metadata';
       res.status(status).json({ error: errorMessage });
@@ -118,151 +96,111 @@ app.get('/api/jira/metadata', async (req, res) => {
 });
 
 
-app.post('/api/jira/tickets', async (req, res) => {
-  const { projectKey, jqlFilter } = req.body;
-  console.log(`[INFO] /api/jira/tickets: Request for project: ${projectKey || 'NONE'}`);
-  
-  if (!projectKey) {
-    console.warn('[WARN] /api/jira/tickets: Request failed (400) - projectKey is required');
-    return res.status(400).json({ error: 'projectKey is required' });
+// POST /api/jira/jql/validate - Body: { jql }. Responds { valid, errors } without fetching issues.
+app.post('/api/jira/jql/validate', async (req, res) => {
+  const jql = String(req.body.jql || '').trim();
+  if (!jql) {
+    return res.json({ valid: true, errors: [] });
+  }
+  try {
+    const errors = await jira.validateJql(jql);
+    console.log(`[INFO] /api/jira/jql/validate: ${errors.length === 0 ? 'Valid' : `${errors.length} error(s)`} for JQL: ${jql}`);
+    res.json({ valid: errors.length === 0, errors });
+  } catch (error) {
+    console.error('[ERROR] /api/jira/jql/validate: Validation request failed:', error.response?.data || error.message);
+    const status = error.response?.status || 500;
+    const errorMessage = error.response?.data?.errorMessages?.join(' ') || error.message || 'Failed to validate JQL';
+    res.status(status).json({ error: errorMessage });
   }
+});
+
+
+// POST /api/jira/tickets
+// Body: { projectKeys, filters: { issueTypes, priorities, startDate, endDate, extraClauses }, stream }.
+// The JQL is built server-side; malformed input is rejected with 400 { error }.
+// `extraClauses` (free-form JQL from the filter panel) are validated with Jira first;
+// parse errors are returned as 400 { error, jqlErrors } before anything is fetched.
+// With `stream: true` the response is NDJSON: `progress` events while fetching, then one
+// `result` (or `error`) event. Closing the connection cancels the in-flight Jira requests.
+app.post('/api/jira/tickets', async (req, res) => {
+  const { stream = false } = req.body;
 
-  // Construct the final JQL query
-  const finalJql = `project = "${projectKey}" ${jqlFilter ? `AND (${jqlFilter})` : ''} ORDER BY created DESC`;
-  console.log(`[INFO] /api/jira/tickets: Executing JQL: ${finalJql}`);
+  // Raw JQL strings are no longer interpolated; older clients must switch to `filters`
+  if (req.body.jqlFilter !== undefined) {
+    console.warn('[WARN] /api/jira/tickets: Request failed (400) - jqlFilter is no longer accepted');
+    return res.status(400).json({ error: 'jqlFilter is no longer accepted; send structured `filters` instead' });
+  }
 
-  let issueReferences = [];   // Stores basic info (id, key) from search
-  let allIssueDetails = [];   // Stores full details fetched later
-  
-  // ⚡ CRUCIAL CHANGE for Jira API v3 POST /search/jql: Use token instead of offset (startAt)
-  let nextPageToken = null; // Token for cursor-based pagination
-  let keepFetching = true;  // Flag to control the pagination loop
-  let safetyBreak = 0;      // Prevent accidental infinite loops
+  // --- Validate input and construct the final JQL query ---
+  let projectKeys;
+  let filters;
+  try {
+    projectKeys = parseProjectKeys(req.body.projectKeys ?? req.body.projectKey); // `projectKey` kept for older clients
+    filters = normalizeFilters(req.body.filters);
+    buildIssueQuery(projectKeys, filters); // Throws when no project key was given
+  } catch (error) {
+    const status = isJqlInputError(error) ? 400 : 500;
+    console.warn(`[WARN] /api/jira/tickets: Request failed (${status}) - ${error.message}`);
+    return res.status(status).json({ error: error.message });
+  }
+  const projectKey = projectKeys.join(', '); // Label for logs
+  console.log(`[INFO] /api/jira/tickets: Request for project(s): ${projectKey}`);
 
+  // Validate free-form clauses before streaming starts, so errors come back as a plain 400
   try {
-    // --- STEP 1: Paginate through search results to get Issue IDs/Keys ---
-    console.log(`[INFO] /api/jira/tickets: Starting Step 1 - Fetching issue references...`);
-    const searchUrl = '/rest/api/3/search/jql'; 
-
-    while (keepFetching && safetyBreak < 1000) { // Loop until last page or safety break
-        safetyBreak++;
-
-        const payload = {
-            jql: finalJql,
-            maxResults: MAX_RESULTS,
-            fields: ['id', 'key'] // Minimize payload size
-        };
-        
-        // Include the token only if it exists (i.e., not the first page)
-        if (nextPageToken) {
-            payload.nextPageToken = nextPageToken;
-        }
-
-        console.log(`[DEBUG] /api/jira/tickets: Step 1.${safetyBreak} - Calling POST ${searchUrl} (Token: ${nextPageToken ? 'PRESENT' : 'NONE'})`);
-        
-        try {
-            // Make the API call to Jira
-            const response = await jiraApi.post(searchUrl, payload);
-            const issues = response.data?.issues || []; // Extract issues from response
-            const issuesCountInPage = issues.length;    // Count issues returned in this page
-            
-            // Extract the token for the *next* request
-            nextPageToken = response.data?.nextPageToken || null; 
-
-            if (!Array.isArray(issues)) {
-                 console.warn(`[WARN] /api/jira/tickets: Step 1 - Invalid response structure (expected 'issues' array). Stopping.`, response.data);
-                 keepFetching = false;
-            } else {
-                 // Add fetched references to the list
-                 if (issuesCountInPage > 0) {
-                    issueReferences = issueReferences.concat(issues);
-                    console.log(`[INFO] /api/jira/tickets: Step 1 - Fetched page. Got ${issuesCountInPage}. Total refs now: ${issueReferences.length}`);
-                 }
-
-                 // --- TOKEN PAGINATION TERMINATION LOGIC ---
-                 // Stop if 'nextPageToken' is null/empty, or if no issues were returned (which also implies the token will be null/empty).
-                 if (!nextPageToken || issuesCountInPage === 0) {
-                    keepFetching = false; 
-                    console.log(`[DEBUG] /api/jira/tickets: Step 1 - Last page detected (Token: ${nextPageToken}, Issues: ${issuesCountInPage}).`);
-                 }
-                 // --- END LOGIC ---
-            }
-        } catch (searchError) {
-             // Handle errors during the search API call
-             console.error(`[ERROR] /api/jira/tickets: Step 1 - Payload sent:`, JSON.stringify(payload));
-             console.error(`[ERROR] /api/jira/tickets: Step 1 - Error during JQL search:`, searchError.response?.data || searchError.message);
-             searchError.jql = finalJql; 
-             throw searchError; 
-        }
-        
-        if (safetyBreak >= 1000) {
-            console.error("[FATAL ERROR] /api/jira/tickets: Step 1 - Safety break triggered during search pagination.");
-            throw new Error("Pagination safety break triggered during search.");
-        }
-    } // End while loop for Step 1
-    
-    console.log(`[INFO] /api/jira/tickets: Finished Step 1 - Found ${issueReferences.length} total issue references.`);
+    await jira.assertValidExtraClauses(filters);
+  } catch (error) {
+    if (isJqlInputError(error)) {
+      console.warn(`[WARN] /api/jira/tickets: Request failed (400) - Invalid advanced JQL: ${error.jqlErrors.join(' ')}`);
+      return res.status(400).json({ error: error.message, jqlErrors: error.jqlErrors });
+    }
+    console.error('[ERROR] /api/jira/tickets: JQL validation failed:', error.response?.data || error.message);
+    return res.status(error.response?.status || 500).json({ error: `Could not validate advanced JQL: ${error.message}` });
+  }
 
-    // ----------------------------------------------------------------------------------------------------
-    
-    // --- STEP 2: Fetch full details for each issue reference ---
-    if (issueReferences.length > 0) {
-      console.log(`[INFO] /api/jira/tickets: Starting Step 2 - Fetching full details for ${issueReferences.length} issues...`);
-      
-      // Create an array of promises for fetching details concurrently
-      const issueDetailPromises = issueReferences.map(issueRef => {
-        const issueIdOrKey = issueRef.key || issueRef.id; 
-        
-        if (!issueIdOrKey) {
-            console.warn(`[WARN] /api/jira/tickets: Step 2 - Found issue reference without id or key:`, issueRef);
-            return Promise.resolve({ data: null, error: 'Missing id/key', ref: issueRef });
-        }
-        
-        // Request issue details and expand changelog in a single GET request
-        const issueUrl = `/rest/api/3/issue/${issueIdOrKey}?expand=changelog`;
-        return jiraApi.get(issueUrl)
-            .catch(err => {
-                console.error(`[ERROR] /api/jira/tickets: Step 2 - Failed GET for issue ${issueIdOrKey}:`, err.response?.data || err.message);
-                // Return an error structure to allow Promise.allSettled to resolve
-                return { data: null, error: err.response?.data || err.message, key: issueIdOrKey };
-            });
-      });
-
-      // Execute all detail fetch promises (Be mindful of Jira's rate limits here)
-      console.log(`[DEBUG] /api/jira/tickets: Step 2 - Awaiting ${issueDetailPromises.length} detail requests...`);
-      const detailedIssuesResults = await Promise.allSettled(issueDetailPromises);
-      console.log(`[DEBUG] /api/jira/tickets: Step 2 - Detail requests finished.`);
-
-      let fetchErrorsCount = 0;
-      
-      // Process the results of Promise.allSettled
-      detailedIssuesResults.forEach(result => {
-        // Check if promise was fulfilled AND the result contains valid data
-        if (result.status === 'fulfilled' && result.value?.data && !result.value.error) {
-            allIssueDetails.push(result.value.data); 
-        } else {
-            // Handle rejected promises or caught API errors
-            fetchErrorsCount++;
-            // The value for a fulfilled promise that contained a custom error structure (from the .catch above)
-            const reason = result.status === 'rejected' ? result.reason : result.value?.error; 
-            console.error(`[ERROR] /api/jira/tickets: Step 2 - Failed to process issue detail:`, reason);
-        }
-      });
-      
-      console.log(`[INFO] /api/jira/tickets: Finished Step 2 - Successfully got details for ${allIssueDetails.length}. Failed for ${fetchErrorsCount}.`);
+  const logPrefix = '/api/jira/tickets';
 
-    } else {
-      console.log(`[INFO] /api/jira/tickets: Step 2 - Skipped fetching details (0 issue refs found).`);
+  // --- Cancellation: abort outstanding Jira work if the client goes away ---
+  const abortController = new AbortController();
+  const { signal } = abortController;
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      console.warn(`[WARN] ${logPrefix}: Client disconnected. Cancelling fetch for project: ${projectKey}`);
+      abortController.abort();
     }
+  });
 
-    // --- Return Results ---
-    console.log(`[INFO] /api/jira/tickets: Request complete. Returning ${allIssueDetails.length} detailed issues for project: ${projectKey}`);
-    res.json({
-      issues: allIssueDetails,         
-      total: allIssueDetails.length, 
+  // --- Progress stream (NDJSON) ---
+  const sendEvent = (event) => {
+    if (stream && !res.writableEnded) res.write(`${JSON.stringify(event)}\n`);
+  };
+  if (stream) {
+    res.status(200).set({ 'Content-Type': 'application/x-ndjson', 'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no' });
+    res.flushHeaders();
+  }
+
+  try {
+    // Sync the cache, resolve matching issues (Step 1) and fetch what is not cached (Step 2)
+    const { jql, ...result } = await jira.fetchIssues(projectKeys, filters, {
+      logPrefix,
+      signal,
+      onProgress: (progress) => sendEvent({ type: 'progress', ...progress }),
     });
 
+    // --- Return Results ---
+    console.log(`[INFO] /api/jira/tickets: Request complete. Returning ${result.total} detailed issues for project: ${projectKey} (JQL: ${jql})`);
+    if (stream) {
+      sendEvent({ type: 'result', ...result });
+      res.end();
+    } else {
+      res.json(result);
+    }
+
   } catch (error) { // Outer catch block for critical errors in Step 1 or setup
+    if (signal.aborted) {
+      console.log(`[INFO] ${logPrefix}: Fetch cancelled for project: ${projectKey}`);
+      return; // Client is gone, nothing left to respond to
+    }
     console.error(`[ERROR] /api/jira/tickets: Unhandled error during process for project ${projectKey}:`, error.response?.data || error.message);
     if (error.jql) console.error(`[ERROR] JQL was: ${error.jql}`); 
     
@@ -275,11 +213,119 @@ app.post('/api/jira/tickets', async (req, res) => {
                       || error.message
                       || 'Failed to fetch Jira ticket data';
                       
+    if (stream) {
+      sendEvent({ type: 'error', status, error: errorMessage });
+      res.end();
+    } else {
+      res.status(status).json({ error: errorMessage });
+    }
+  }
+});
+
+
+// --- Metrics API Routes ---
+// POST /api/metrics - Body: { viewId } | { viewName } | { view: <same shape as a saved View> }
+// Fetches the view's issues and returns the processMetrics() result, so clients get the
+// dashboard's numbers without downloading raw changelogs.
+app.post('/api/metrics', async (req, res) => {
+  const { viewId, viewName, view: inlineView } = req.body;
+  const logPrefix = '/api/metrics';
+  console.log(`[INFO] ${logPrefix}: Request for ${viewId ? `view ID ${viewId}` : viewName ? `view "${viewName}"` : 'inline view config'}`);
+
+  // --- Resolve the view ---
+  let view = inlineView;
+  if (viewId || viewName) {
+    if (viewId && !mongoose.Types.ObjectId.isValid(viewId)) {
+      return res.status(400).json({ error: 'Invalid view ID format' });
+    }
+    try {
+      view = viewId ? await View.findById(viewId) : await View.findOne({ name: viewName });
+    } catch (error) {
+      console.error(`[ERROR] ${logPrefix}: Failed to load view:`, error.message);
+      return res.status(500).json({ error: 'Failed to load view' });
+    }
+    if (!view) {
+      return res.status(404).json({ error: 'View not found' });
+    }
+  } else if (!inlineView) {
+    return res.status(400).json({ error: 'viewId, viewName or view is required' });
+  }
+
+  // --- Cancellation: abort outstanding Jira work if the client goes away ---
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) abortController.abort();
+  });
+
+  try {
+    const result = await computeViewMetrics(jira, view, { logPrefix, signal: abortController.signal });
+    console.log(`[INFO] ${logPrefix}: Computed metrics over ${result.issueCount} issues for project(s): ${result.view.projectKeys.join(', ')}`);
+    res.json(result);
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      console.log(`[INFO] ${logPrefix}: Cancelled (client disconnected).`);
+      return;
+    }
+    if (isJqlInputError(error)) {
+      console.warn(`[WARN] ${logPrefix}: Request failed (400) - ${error.message}`);
+      return res.status(400).json({ error: error.message, jqlErrors: error.jqlErrors });
+    }
+    console.error(`[ERROR] ${logPrefix}: Metrics computation failed:`, error.response?.data || error.message);
+    const status = error.response?.status || 500;
+    const errorMessage = error.response?.data?.errorMessages?.join(' ') || error.message || 'Failed to compute metrics';
     res.status(status).json({ error: errorMessage });
   }
 });
 
 
+// --- Issue Cache API Routes ---
+// GET /api/jira/cache - Cache freshness for every cached project
+app.get('/api/jira/cache', async (req, res) => {
+  console.log('[INFO] /api/jira/cache: Request for cache freshness (all projects).');
+  try {
+    res.json(await getCacheFreshness());
+  } catch (error) {
+    console.error('[ERROR] /api/jira/cache: Failed to read cache freshness:', error.message);
+    res.status(500).json({ error: 'Failed to read cache freshness' });
+  }
+});
+
+// GET /api/jira/cache/:projectKey - Cache freshness for one project
+app.get('/api/jira/cache/:projectKey', async (req, res) => {
+  const { projectKey } = req.params;
+  console.log(`[INFO] /api/jira/cache/${projectKey}: Request for cache freshness.`);
+  try {
+    const [freshness] = await getCacheFreshness(projectKey);
+    if (!freshness) {
+      return res.status(404).json({ error: `No cache for project ${projectKey}` });
+    }
+    res.json(freshness);
+  } catch (error) {
+    console.error(`[ERROR] /api/jira/cache/${projectKey}: Failed to read cache freshness:`, error.message);
+    res.status(500).json({ error: 'Failed to read cache freshness' });
+  }
+});
+
+// POST /api/jira/cache/:projectKey/resync - Re-fetch every issue of a project from Jira into the cache
+app.post('/api/jira/cache/:projectKey/resync', async (req, res) => {
+  const { projectKey } = req.params;
+  const logPrefix = `/api/jira/cache/${projectKey}/resync`;
+  console.log(`[INFO] ${logPrefix}: Request to force a full resync.`);
+  if (!jira.cacheEnabled) {
+    return res.status(409).json({ error: 'Issue cache is disabled (JIRA_CACHE_ENABLED=false)' });
+  }
+  try {
+    const result = await jira.resyncProjectCache(projectKey, logPrefix);
+    const [freshness] = await getCacheFreshness(projectKey);
+    res.json({ ...result, freshness: freshness || null });
+  } catch (error) {
+    console.error(`[ERROR] ${logPrefix}: Resync failed:`, error.response?.data || error.message);
+    const status = error.response?.status || 500;
+    res.status(status).json({ error: error.response?.data?.errorMessages?.join(' ') || error.message || 'Failed to resync cache' });
+  }
+});
+
+
 // --- Saved View API Routes ---
 // GET /api/views - Fetch all view names and IDs
 app.get('/api/views', async (req, res) => {
@@ -370,4 +416,5 @@ app.listen(PORT, () => {
   console.log(
     `[INFO] JiraMetricsDashboard Backend listening on http://localhost:${PORT}`,
   );
-});
\ No newline at end of file
+  jira.verifyAuth(); // Confirm the configured credentials are accepted before the first dashboard request
+});
@@ -0,0 +1,112 @@
+/*
+ * JiraMetricsDashboard - Issue cache (MongoDB)
+ *
+ * Stores fetched issues (with complete changelogs) per project so repeat fetches
+ * only pull issues updated since the project's lastSyncTime.
+ * Jira calls stay in server.js; this module only reads/writes the cache collections.
+ */
+import CachedIssue from '../models/CachedIssue.js';
+import ProjectSync from '../models/ProjectSync.js';
+
+/**
+ * @param {string} projectKey
+ * @returns {Promise<object|null>} - ProjectSync document, or null if the project was never synced.
+ */
+export async function getSyncState(projectKey) {
+  return ProjectSync.findOne({ projectKey }).lean();
+}
+
+/**
+ * Records a completed sync. Only call once every cached issue reflects Jira at `syncStartedAt`.
+ * @param {string} projectKey
+ * @param {Date} syncStartedAt - Time the sync began (not finished), so concurrent edits are re-read next time.
+ * @param {object} [options]
+ * @param {number} [options.updatedCount] - Issues refreshed by this sync.
+ * @param {boolean} [options.full] - Marks a forced full resync.
+ */
+export async function markSynced(projectKey, syncStartedAt, { updatedCount = 0, full = false } = {}) {
+  const update = { lastSyncTime: syncStartedAt, lastSyncUpdatedCount: updatedCount };
+  if (full) update.lastFullSyncTime = syncStartedAt;
+  await ProjectSync.findOneAndUpdate({ projectKey }, update, { upsert: true });
+}
+
+/**
+ * @param {string} projectKey
+ * @returns {Promise<Array<string>>} - Keys of every cached issue in the project.
+ */
+export async function getCachedIssueKeys(projectKey) {
+  return CachedIssue.distinct('issueKey', { projectKey });
+}
+
+/**
+ * Loads cached issue payloads for the given keys.
+ * @param {string|Array<string>} projectKeys - One project or several (multi-project queries).
+ * @param {Array<string>} issueKeys
+ * @returns {Promise<Map<string, object>>} - issueKey -> raw issue JSON.
+ */
+export async function getCachedIssues(projectKeys, issueKeys) {
+  const projectFilter = Array.isArray(projectKeys) ? { $in: projectKeys } : projectKeys;
+  const docs = await CachedIssue.find({ projectKey: projectFilter, issueKey: { $in: issueKeys } }).select('issueKey data').lean();
+  return new Map(docs.map((doc) => [doc.issueKey, doc.data]));
+}
+
+/**
+ * Inserts or replaces cached issues.
+ * @param {string} projectKey
+ * @param {Array<object>} issues - Raw issue JSON (must include `key`).
+ */
+export async function upsertCachedIssues(projectKey, issues) {
+  const operations = issues
+    .filter((issue) => issue?.key)
+    .map((issue) => ({
+      updateOne: {
+        filter: { projectKey, issueKey: issue.key },
+        update: {
+          $set: {
+            issueId: issue.id != null ? String(issue.id) : undefined,
+            updated: issue.fields?.updated ? new Date(issue.fields.updated) : undefined,
+            fetchedAt: new Date(),
+            data: issue,
+          },
+        },
+        upsert: true,
+      },
+    }));
+  if (operations.length === 0) return 0;
+  await CachedIssue.bulkWrite(operations, { ordered: false });
+  return operations.length;
+}
+
+/**
+ * Removes cached issues (e.g. deleted or moved in Jira).
+ * @param {string} projectKey
+ * @param {Array<string>} issueKeys
+ */
+export async function removeCachedIssues(projectKey, issueKeys) {
+  if (issueKeys.length === 0) return 0;
+  const result = await CachedIssue.deleteMany({ projectKey, issueKey: { $in: issueKeys } });
+  return result.deletedCount || 0;
+}
+
+/**
+ * Summarizes cache freshness for one project or all cached projects.
+ * @param {string} [projectKey] - Omit to report every project.
+ * @returns {Promise<Array<{ projectKey, issueCount, lastSyncTime, lastFullSyncTime, lastSyncUpdatedCount, ageMinutes }>>}
+ */
+export async function getCacheFreshness(projectKey) {
+  const match = projectKey ? { projectKey } : {};
+  const [syncStates, counts] = await Promise.all([
+    ProjectSync.find(match).sort({ projectKey: 1 }).lean(),
+    CachedIssue.aggregate([{ $match: match }, { $group: { _id: '$projectKey', count: { $sum: 1 } } }]),
+  ]);
+  const countByProject = new Map(counts.map((c) => [c._id, c.count]));
+
+  return syncStates.map((state) => ({
+    projectKey: state.projectKey,
+    issueCount: countByProject.get(state.projectKey) || 0,
+    lastSyncTime: state.lastSyncTime,
+    lastFullSyncTime: state.lastFullSyncTime,
+    lastSyncUpdatedCount: state.lastSyncUpdatedCount,
+    ageMinutes: state.lastSyncTime ? Math.round((Date.now() - new Date(state.lastSyncTime).getTime()) / 60000) : null,
+  }));
+}
@@ -0,0 +1,158 @@
+/*
+ * JiraMetricsDashboard - Jira authentication strategies
+ *
+ * Selected with JIRA_AUTH_TYPE:
+ * - 'session' (default): tenant.session.token cookie (JIRA_SESSION_TOKEN).
+ * - 'basic': Atlassian Cloud email + API token (JIRA_EMAIL, JIRA_API_TOKEN).
+ * - 'pat': Data Center personal access token (JIRA_PAT).
+ * - 'oauth': OAuth 2.0 (3LO) with refresh (JIRA_OAUTH_CLIENT_ID, JIRA_OAUTH_CLIENT_SECRET,
+ *   JIRA_OAUTH_REFRESH_TOKEN, optional JIRA_OAUTH_ACCESS_TOKEN, JIRA_OAUTH_EXPIRES_AT and JIRA_OAUTH_CLOUD_ID).
+ *
+ * Each strategy exposes getHeaders() (async) and, where supported, refresh().
+ */
+import axios from 'axios';
+
+const OAUTH_TOKEN_URL = 'https://auth.atlassian.com/oauth/token';
+const OAUTH_API_BASE = 'https://api.atlassian.com/ex/jira';
+const TOKEN_EXPIRY_SKEW_MS = 60 * 1000; // Refresh a minute before the access token expires
+
+export const AUTH_TYPES = ['session', 'basic', 'pat', 'oauth'];
+
+// Throws a configuration error listing every missing variable for the chosen strategy
+const requireEnv = (env, authType, names) => {
+  const missing = names.filter((name) => !env[name]);
+  if (missing.length > 0) {
+    throw new Error(`JIRA_AUTH_TYPE=${authType} requires ${missing.join(', ')} in .env file.`);
+  }
+};
+
+function createSessionAuth(env) {
+  requireEnv(env, 'session', ['JIRA_SESSION_TOKEN']);
+  const headers = { Cookie: `tenant.session.token=${env.JIRA_SESSION_TOKEN}` };
+  return { type: 'session', getHeaders: async () => headers };
+}
+
+function createBasicAuth(env) {
+  requireEnv(env, 'basic', ['JIRA_EMAIL', 'JIRA_API_TOKEN']);
+  const encoded = Buffer.from(`${env.JIRA_EMAIL}:${env.JIRA_API_TOKEN}`).toString('base64');
+  const headers = { Authorization: `Basic ${encoded}` };
+  return { type: 'basic', getHeaders: async () => headers };
+}
+
+function createPatAuth(env) {
+  requireEnv(env, 'pat', ['JIRA_PAT']);
+  const headers = { Authorization: `Bearer ${env.JIRA_PAT}` };
+  return { type: 'pat', getHeaders: async () => headers };
+}
+
+// Expiry of a supplied access token (ISO date or epoch ms). Without one the token is trusted until
+// Jira answers 401 (the client refreshes then), so startup does not burn a rotating refresh token.
+const getSuppliedTokenExpiry = (value) => {
+  if (!value) return Infinity;
+  const expiry = new Date(/^\d+$/.test(value) ? Number(value) : value).getTime();
+  if (isNaN(expiry)) {
+    console.warn(`[WARN] Jira OAuth: Ignoring invalid JIRA_OAUTH_EXPIRES_AT '${value}'.`);
+    return Infinity;
+  }
+  return expiry - TOKEN_EXPIRY_SKEW_MS;
+};
+
+function createOAuthAuth(env) {
+  requireEnv(env, 'oauth', ['JIRA_OAUTH_CLIENT_ID', 'JIRA_OAUTH_CLIENT_SECRET', 'JIRA_OAUTH_REFRESH_TOKEN']);
+  if (!env.JIRA_OAUTH_CLOUD_ID && !env.JIRA_API_URL_BASE) {
+    throw new Error('JIRA_AUTH_TYPE=oauth requires JIRA_OAUTH_CLOUD_ID (or JIRA_API_URL_BASE pointing at the api.atlassian.com gateway).');
+  }
+
+  // Token state lives in memory; Atlassian rotates refresh tokens on every refresh
+  let accessToken = env.JIRA_OAUTH_ACCESS_TOKEN || null;
+  let refreshToken = env.JIRA_OAUTH_REFRESH_TOKEN;
+  let expiresAt = accessToken ? getSuppliedTokenExpiry(env.JIRA_OAUTH_EXPIRES_AT) : 0;
+  let inFlightRefresh = null;
+
+  const refresh = async () => {
+    // Share one refresh between concurrent requests
+    if (!inFlightRefresh) {
+      inFlightRefresh = (async () => {
+        console.log('[INFO] Jira OAuth: Refreshing access token...');
+        try {
+          const response = await axios.post(OAUTH_TOKEN_URL, {
+            grant_type: 'refresh_token',
+            client_id: env.JIRA_OAUTH_CLIENT_ID,
+            client_secret: env.JIRA_OAUTH_CLIENT_SECRET,
+            refresh_token: refreshToken,
+          }, { headers: { 'Content-Type': 'application/json' }, timeout: 30000 });
+
+          accessToken = response.data.access_token;
+          if (response.data.refresh_token) refreshToken = response.data.refresh_token;
+          expiresAt = Date.now() + (response.data.expires_in || 3600) * 1000 - TOKEN_EXPIRY_SKEW_MS;
+          console.log('[INFO] Jira OAuth: Access token refreshed.');
+        } catch (error) {
+          const reason = error.response?.data?.error_description || error.response?.data?.error || error.message;
+          throw new Error(`Jira OAuth token refresh failed: ${reason}`);
+        } finally {
+          inFlightRefresh = null;
+        }
+      })();
+    }
+    return inFlightRefresh;
+  };
+
+  const getHeaders = async () => {
+    if (!accessToken || Date.now() >= expiresAt) await refresh();
+    return { Authorization: `Bearer ${accessToken}` };
+  };
+
+  return {
+    type: 'oauth',
+    baseURL: env.JIRA_OAUTH_CLOUD_ID ? `${OAUTH_API_BASE}/${env.JIRA_OAUTH_CLOUD_ID}` : null,
+    getHeaders,
+    refresh,
+  };
+}
+
+/**
+ * Builds the auth strategy selected by JIRA_AUTH_TYPE.
+ * @param {object} env - Usually process.env.
+ * @returns {{ type: string, baseURL?: string|null, getHeaders: Function, refresh?: Function }}
+ * @throws {Error} - When the type is unknown or its required variables are missing.
+ */
+export function createJiraAuth(env) {
+  const authType = (env.JIRA_AUTH_TYPE || 'session').toLowerCase();
+  switch (authType) {
+    case 'session': return createSessionAuth(env);
+    case 'basic': return createBasicAuth(env);
+    case 'pat': return createPatAuth(env);
+    case 'oauth': return createOAuthAuth(env);
+    default:
+      throw new Error(`Unknown JIRA_AUTH_TYPE "${env.JIRA_AUTH_TYPE}". Expected one of: ${AUTH_TYPES.join(', ')}.`);
+  }
+}
+
+/**
+ * Wires an auth strategy into an axios instance: headers are resolved per request,
+ * and a single 401 triggers a token refresh + retry when the strategy supports it.
+ * @param {import('axios').AxiosInstance} client
+ * @param {object} auth - Strategy returned by createJiraAuth.
+ * @returns {import('axios').AxiosInstance}
+ */
+export function attachJiraAuth(client, auth) {
+  client.interceptors.request.use(async (config) => {
+    const authHeaders = await auth.getHeaders();
+    Object.entries(authHeaders).forEach(([name, value]) => config.headers.set(name, value));
+    return config;
+  });
+
+  if (auth.refresh) {
+    client.interceptors.response.use(null, async (error) => {
+      const config = error.config;
+      if (error.response?.status === 401 && config && !config._authRetried) {
+        config._authRetried = true;
+        await auth.refresh();
+        return client.request(config);
+      }
+      throw error;
+    });
+  }
+
+  return client;
+}
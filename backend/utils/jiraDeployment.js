@@ -0,0 +1,87 @@
+/*
+ * JiraMetricsDashboard - Jira deployment profiles
+ *
+ * Selected with JIRA_DEPLOYMENT_TYPE:
+ * - 'cloud' (default): REST v3, POST /search/jql with nextPageToken pagination,
+ *   changelogs paged via GET /issue/{key}/changelog, JQL validated via POST /jql/parse.
+ * - 'datacenter' (alias 'server'): REST v2, POST /search with startAt/total pagination;
+ *   expand=changelog already returns the full history. There is no JQL parse endpoint,
+ *   so JQL is validated with a strict, zero-result search instead.
+ *
+ * The search loop in utils/jiraService.js only talks to the profile through
+ * buildSearchPayload() and getNextCursor(), so both paging styles share one loop.
+ */
+
+export const DEPLOYMENT_TYPES = ['cloud', 'datacenter'];
+
+const cloudProfile = {
+  type: 'cloud',
+  apiBase: '/rest/api/3',
+  searchUrl: '/rest/api/3/search/jql',
+  supportsChangelogPaging: true,
+  supportsOAuth: true,
+  jqlParseUrl: '/rest/api/3/jql/parse',
+  /**
+   * @param {string} jql
+   * @param {number} maxResults
+   * @param {string|null} cursor - nextPageToken from the previous page (null for the first page).
+   */
+  buildSearchPayload(jql, maxResults, cursor) {
+    const payload = { jql, maxResults, fields: ['id', 'key'] };
+    if (cursor) payload.nextPageToken = cursor; // Include the token only if it exists (i.e., not the first page)
+    return payload;
+  },
+  /**
+   * @returns {string|null} - Token for the next page, or null when this was the last page.
+   */
+  getNextCursor(responseData, _cursor, issuesInPage) {
+    const token = responseData?.nextPageToken || null;
+    return token && issuesInPage > 0 ? token : null;
+  },
+  describeCursor(cursor) {
+    return `Token: ${cursor ? 'PRESENT' : 'NONE'}`;
+  },
+};
+
+const dataCenterProfile = {
+  type: 'datacenter',
+  apiBase: '/rest/api/2',
+  searchUrl: '/rest/api/2/search',
+  supportsChangelogPaging: false,
+  supportsOAuth: false,
+  jqlParseUrl: null,
+  /**
+   * @param {number|null} cursor - startAt offset (null for the first page).
+   */
+  buildSearchPayload(jql, maxResults, cursor) {
+    return { jql, maxResults, startAt: cursor || 0, fields: ['id', 'key'] };
+  },
+  /**
+   * @returns {number|null} - startAt for the next page, or null once `total` has been read.
+   */
+  getNextCursor(responseData, cursor, issuesInPage) {
+    if (issuesInPage === 0) return null;
+    const nextStartAt = (cursor || 0) + issuesInPage;
+    const total = Number(responseData?.total);
+    return !isNaN(total) && nextStartAt < total ? nextStartAt : null;
+  },
+  describeCursor(cursor) {
+    return `startAt: ${cursor || 0}`;
+  },
+};
+
+/**
+ * Resolves the profile for JIRA_DEPLOYMENT_TYPE.
+ * @param {string} [deploymentType] - 'cloud', 'datacenter' or 'server'.
+ * @returns {object} - Deployment profile.
+ * @throws {Error} - When the type is unknown.
+ */
+export function getJiraDeployment(deploymentType) {
+  switch ((deploymentType || 'cloud').toLowerCase()) {
+    case 'cloud': return cloudProfile;
+    case 'datacenter':
+    case 'server': return dataCenterProfile;
+    default:
+      throw new Error(`Unknown JIRA_DEPLOYMENT_TYPE "${deploymentType}". Expected one of: ${DEPLOYMENT_TYPES.join(', ')}.`);
+  }
+}
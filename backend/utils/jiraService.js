@@ -0,0 +1,613 @@
+/*
+ * JiraMetricsDashboard - Jira service
+ *
+ * Everything that talks to Jira, usable without the Express server (API routes, CLI, jobs):
+ * - Two-step fetch: Step 1 search for issue references, Step 2 GET each issue with its
+ *   complete changelog, through a bounded pool with 429-aware retries.
+ * - Issue cache sync (MongoDB, see issueCache.js) and cache-aware fetchIssues().
+ * - Project metadata (issue types, priorities, statuses) and JQL validation.
+ * The caller owns the MongoDB connection; the cache functions need it when the cache is enabled.
+ */
+import axios from 'axios';
+import { withRetry, mapWithConcurrency } from './rateLimit.js';
+import { createJiraAuth, attachJiraAuth } from './jiraAuth.js';
+import { getJiraDeployment } from './jiraDeployment.js';
+import { buildProjectClause, buildIssueQuery, jqlInputError } from './jqlBuilder.js';
+import {
+  getSyncState, markSynced, getCachedIssueKeys, getCachedIssues,
+  upsertCachedIssues, removeCachedIssues,
+} from './issueCache.js';
+
+// Strip quoted values so keywords inside strings (e.g. summary ~ "order by") are ignored
+const stripJqlStrings = (jql) => jql.replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g, '""');
+
+/**
+ * Creates the Jira service from environment variables.
+ * @param {object} [env] - Defaults to process.env (JIRA_*, see .env.example).
+ * @returns {object} - { deployment, auth, cacheEnabled, verifyAuth, getJiraTimeZone, fetchProjectMetadata, validateJql,
+ *   assertValidExtraClauses, searchIssueReferences, fetchIssueDetails, syncProjectCache, resyncProjectCache, fetchIssues }
+ * @throws {Error} - When the deployment type, auth strategy or base URL is misconfigured.
+ */
+export function createJiraService(env = process.env) {
+  // --- Configuration ---
+  // Resolve the Jira deployment profile and auth strategy (validates their required variables)
+  const jiraDeployment = getJiraDeployment(env.JIRA_DEPLOYMENT_TYPE);
+  const jiraAuth = createJiraAuth(env);
+  if (jiraAuth.type === 'oauth' && !jiraDeployment.supportsOAuth) {
+    throw new Error(`JIRA_AUTH_TYPE=oauth is only available for Jira Cloud (JIRA_DEPLOYMENT_TYPE=${jiraDeployment.type}). Use pat or basic instead.`);
+  }
+  const JIRA_API = jiraDeployment.apiBase; // '/rest/api/3' (Cloud) or '/rest/api/2' (Data Center)
+  const JIRA_BASE_URL = jiraAuth.baseURL || env.JIRA_API_URL_BASE;
+  if (!JIRA_BASE_URL) {
+    throw new Error('Missing JIRA_API_URL_BASE in .env file.');
+  }
+  // Site URL for issue links (the OAuth API base is not browsable, so it falls back to JIRA_API_URL_BASE)
+  const JIRA_BROWSE_URL = (env.JIRA_BROWSE_URL || (jiraAuth.baseURL ? env.JIRA_API_URL_BASE : JIRA_BASE_URL) || '').replace(/\/+$/, '') || null;
+
+  // Parse a positive integer env var with fallback
+  const parsePositiveIntEnv = (name, fallback, { allowZero = false } = {}) => {
+    const raw = env[name];
+    if (raw === undefined || raw === '') return fallback;
+    const parsed = parseInt(raw, 10);
+    if (isNaN(parsed) || parsed < 0 || (!allowZero && parsed === 0)) {
+      console.warn(`[WARN] Invalid ${name}. Defaulting to ${fallback}.`);
+      return fallback;
+    }
+    return parsed;
+  };
+
+  const MAX_RESULTS = parsePositiveIntEnv('JIRA_MAX_RESULTS', 50);
+  // Step 2 pool size and retry policy for throttled (429) / transient Jira responses
+  const DETAIL_CONCURRENCY = parsePositiveIntEnv('JIRA_CONCURRENCY', 5);
+  const RETRY_OPTIONS = {
+    maxRetries: parsePositiveIntEnv('JIRA_MAX_RETRIES', 4, { allowZero: true }),
+    baseDelayMs: parsePositiveIntEnv('JIRA_RETRY_BASE_DELAY_MS', 1000),
+    maxDelayMs: parsePositiveIntEnv('JIRA_RETRY_MAX_DELAY_MS', 60000),
+  };
+  // Persistent issue cache (on unless explicitly disabled)
+  const CACHE_ENABLED = (env.JIRA_CACHE_ENABLED || 'true').toLowerCase() !== 'false';
+
+  // --- Axios Client (Jira) ---
+  const jiraApi = attachJiraAuth(axios.create({
+    baseURL: JIRA_BASE_URL,
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    timeout: 30000, // Timeout for requests
+  }), jiraAuth); // Auth headers are resolved per request by the configured strategy
+
+  // --- Jira Fetch Helpers ---
+  const CHANGELOG_PAGE_SIZE = 100; // Maximum page size accepted by the changelog endpoint
+
+  /**
+   * Ensures an issue carries its complete changelog.
+   * `expand=changelog` returns at most one page of histories; when `changelog.total`
+   * exceeds what was returned, every page is fetched from the dedicated endpoint
+   * and replaces the truncated histories (oldest first, as the endpoint returns them).
+   * @param {object} issueData - Issue payload from GET /issue/{key}?expand=changelog.
+   * @param {AbortSignal} [signal] - Cancels outstanding changelog requests.
+   * @returns {Promise<object>} - The same issue object, with changelog.histories completed.
+   */
+  async function fetchCompleteChangelog(issueData, signal) {
+    const changelog = issueData?.changelog;
+    const histories = changelog?.histories;
+    if (!jiraDeployment.supportsChangelogPaging || !changelog || !Array.isArray(histories) || !(changelog.total > histories.length)) {
+      return issueData;
+    }
+
+    const issueIdOrKey = issueData.key || issueData.id;
+    console.log(`[DEBUG] Changelog for ${issueIdOrKey} truncated (${histories.length}/${changelog.total}). Paging full changelog...`);
+
+    const allHistories = [];
+    let startAt = 0;
+    let isLast = false;
+    while (!isLast) {
+      const response = await withRetry(
+        () => jiraApi.get(`${JIRA_API}/issue/${issueIdOrKey}/changelog`, { params: { startAt, maxResults: CHANGELOG_PAGE_SIZE }, signal }),
+        { ...RETRY_OPTIONS, label: `Changelog ${issueIdOrKey} @${startAt}`, signal }
+      );
+      const values = Array.isArray(response.data?.values) ? response.data.values : [];
+      allHistories.push(...values);
+      startAt += values.length;
+      const total = response.data?.total ?? changelog.total;
+      // Stop on explicit last page, an empty page, or once everything reported has been read
+      isLast = response.data?.isLast === true || values.length === 0 || startAt >= total;
+    }
+
+    issueData.changelog = { ...changelog, startAt: 0, maxResults: allHistories.length, total: allHistories.length, histories: allHistories };
+    return issueData;
+  }
+
+  /**
+   * STEP 1: Paginates through search results to collect issue references (id, key).
+   * @param {string} jql - Complete JQL query.
+   * @param {string} logPrefix - Prefix for log lines (e.g. the route name).
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the search.
+   * @param {Function} [options.onPage] - ({ page, refsFound }) => void, called after each page.
+   * @returns {Promise<Array<{ id: string, key: string }>>}
+   */
+  async function searchIssueReferences(jql, logPrefix, { signal, onPage } = {}) {
+    let issueReferences = [];   // Stores basic info (id, key) from search
+
+    // Cloud pages with nextPageToken, Data Center with startAt; the deployment profile owns the cursor
+    let pageCursor = null;    // Cursor for the next page (null on the first page)
+    let keepFetching = true;  // Flag to control the pagination loop
+    let safetyBreak = 0;      // Prevent accidental infinite loops
+
+    console.log(`[INFO] ${logPrefix}: Starting Step 1 - Fetching issue references...`);
+    const { searchUrl } = jiraDeployment;
+
+    while (keepFetching && safetyBreak < 1000) { // Loop until last page or safety break
+        safetyBreak++;
+
+        // Only id/key are requested to minimize payload size
+        const payload = jiraDeployment.buildSearchPayload(jql, MAX_RESULTS, pageCursor);
+
+        console.log(`[DEBUG] ${logPrefix}: Step 1.${safetyBreak} - Calling POST ${searchUrl} (${jiraDeployment.describeCursor(pageCursor)})`);
+
+        try {
+            // Make the API call to Jira
+            const response = await withRetry(
+                () => jiraApi.post(searchUrl, payload, { signal }),
+                { ...RETRY_OPTIONS, label: `${logPrefix}: Step 1.${safetyBreak}`, signal }
+            );
+            const issues = response.data?.issues || []; // Extract issues from response
+            const issuesCountInPage = issues.length;    // Count issues returned in this page
+
+            // Resolve the cursor for the *next* request
+            pageCursor = jiraDeployment.getNextCursor(response.data, pageCursor, issuesCountInPage);
+
+            if (!Array.isArray(issues)) {
+                 console.warn(`[WARN] ${logPrefix}: Step 1 - Invalid response structure (expected 'issues' array). Stopping.`, response.data);
+                 keepFetching = false;
+            } else {
+                 // Add fetched references to the list
+                 if (issuesCountInPage > 0) {
+                    issueReferences = issueReferences.concat(issues);
+                    console.log(`[INFO] ${logPrefix}: Step 1 - Fetched page. Got ${issuesCountInPage}. Total refs now: ${issueReferences.length}`);
+                 }
+                 onPage?.({ page: safetyBreak, refsFound: issueReferences.length });
+
+                 // --- PAGINATION TERMINATION LOGIC ---
+                 // Stop once the profile reports no further page (no token / startAt past total), or if no issues were returned.
+                 if (pageCursor == null || issuesCountInPage === 0) {
+                    keepFetching = false; 
+                    console.log(`[DEBUG] ${logPrefix}: Step 1 - Last page detected (Issues: ${issuesCountInPage}).`);
+                 }
+                 // --- END LOGIC ---
+            }
+        } catch (searchError) {
+             if (signal?.aborted) throw searchError; // Cancelled by the client, nothing to report
+             // Handle errors during the search API call
+             console.error(`[ERROR] ${logPrefix}: Step 1 - Payload sent:`, JSON.stringify(payload));
+             console.error(`[ERROR] ${logPrefix}: Step 1 - Error during JQL search:`, searchError.response?.data || searchError.message);
+             searchError.jql = jql; 
+             throw searchError; 
+        }
+
+        if (safetyBreak >= 1000) {
+            console.error(`[FATAL ERROR] ${logPrefix}: Step 1 - Safety break triggered during search pagination.`);
+            throw new Error("Pagination safety break triggered during search.");
+        }
+    } // End while loop for Step 1
+
+    console.log(`[INFO] ${logPrefix}: Finished Step 1 - Found ${issueReferences.length} total issue references.`);
+    return issueReferences;
+  }
+
+  /**
+   * STEP 2: Fetches full details (with complete changelog) for each issue reference.
+   * Runs through a bounded pool; each call retries on 429/transient errors.
+   * @param {Array<{ id?: string, key?: string }>} issueReferences
+   * @param {string} logPrefix - Prefix for log lines.
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels outstanding and pending detail requests.
+   * @param {Function} [options.onProgress] - ({ fetched, failed, total }) => void, throttled to ~1% steps.
+   * @returns {Promise<{ issues: Array<object>, failed: Array<{ key, status, error }> }>}
+   */
+  async function fetchIssueDetails(issueReferences, logPrefix, { signal, onProgress } = {}) {
+    const issues = [];
+    const failed = [];   // { key, status, error } for issues whose details could not be fetched
+    if (issueReferences.length === 0) {
+      console.log(`[INFO] ${logPrefix}: Step 2 - Skipped fetching details (0 issue refs).`);
+      return { issues, failed };
+    }
+
+    console.log(`[INFO] ${logPrefix}: Starting Step 2 - Fetching full details for ${issueReferences.length} issues (concurrency: ${DETAIL_CONCURRENCY})...`);
+
+    // Progress is reported every ~1% of issues (and at the end) to keep the stream light
+    const total = issueReferences.length;
+    const progressStep = Math.max(1, Math.floor(total / 100));
+    let fetchedCount = 0;
+    let failedCount = 0;
+    const reportProgress = (succeeded) => {
+      if (succeeded) fetchedCount++; else failedCount++;
+      const done = fetchedCount + failedCount;
+      if (done % progressStep === 0 || done === total) onProgress?.({ fetched: fetchedCount, failed: failedCount, total });
+    };
+
+    const detailResults = await mapWithConcurrency(issueReferences, DETAIL_CONCURRENCY, async (issueRef) => {
+      const issueIdOrKey = issueRef.key || issueRef.id;
+
+      if (!issueIdOrKey) {
+          console.warn(`[WARN] ${logPrefix}: Step 2 - Found issue reference without id or key:`, issueRef);
+          reportProgress(false);
+          return { data: null, failure: { key: null, status: null, error: 'Missing id/key' } };
+      }
+
+      // Request issue details and expand changelog in a single GET request (paged further if truncated)
+      const issueUrl = `${JIRA_API}/issue/${issueIdOrKey}?expand=changelog`;
+      try {
+          const response = await withRetry(
+              () => jiraApi.get(issueUrl, { signal }),
+              { ...RETRY_OPTIONS, label: `${logPrefix}: Step 2 - ${issueIdOrKey}`, signal }
+          );
+          const issueData = await fetchCompleteChangelog(response.data, signal);
+          reportProgress(true);
+          return { data: issueData, failure: null };
+      } catch (err) {
+          if (signal?.aborted) throw err; // Cancelled by the client, stop the pool
+          reportProgress(false);
+          console.error(`[ERROR] ${logPrefix}: Step 2 - Failed GET for issue ${issueIdOrKey} after ${err.attempts || 1} attempt(s):`, err.response?.data || err.message);
+          const errorMessage = err.response?.data?.errorMessages?.join(' ') || err.message || 'Unknown error';
+          return { data: null, failure: { key: issueIdOrKey, status: err.response?.status || null, error: errorMessage } };
+      }
+    }, { signal });
+    console.log(`[DEBUG] ${logPrefix}: Step 2 - Detail requests finished.`);
+
+    detailResults.forEach(({ data, failure }) => {
+      if (data) issues.push(data);
+      else failed.push(failure);
+    });
+
+    console.log(`[INFO] ${logPrefix}: Finished Step 2 - Successfully got details for ${issues.length}. Failed for ${failed.length}.`);
+    if (failed.length > 0) {
+      console.warn(`[WARN] ${logPrefix}: Step 2 - Failed keys: ${failed.map(f => f.key || '(missing)').join(', ')}`);
+    }
+    return { issues, failed };
+  }
+
+  // --- Project Key Helpers ---
+  // Project an issue belongs to (falls back to the key prefix, e.g. "PLAT-12" -> "PLAT")
+  const issueProjectKey = (issue) => issue?.fields?.project?.key || String(issue?.key || '').split('-')[0];
+
+  // Upserts fetched issues into the cache under their own project
+  async function cacheIssuesByProject(issues) {
+    const issuesByProject = new Map();
+    issues.forEach((issue) => {
+      const projectKey = issueProjectKey(issue);
+      if (!issuesByProject.has(projectKey)) issuesByProject.set(projectKey, []);
+      issuesByProject.get(projectKey).push(issue);
+    });
+    await Promise.all(Array.from(issuesByProject.entries()).map(([projectKey, projectIssues]) => upsertCachedIssues(projectKey, projectIssues)));
+  }
+
+  // --- JQL Validation ---
+
+  /**
+   * Validates a JQL clause with Jira (parse endpoint on Cloud, strict zero-result search on Data Center).
+   * The clause is ANDed into a larger query, so ORDER BY is rejected up front.
+   * @param {string} jql - Clause entered by the user.
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<Array<string>>} - Parse errors; empty when the clause is valid.
+   */
+  async function validateJql(jql, signal) {
+    if (/\border\s+by\b/i.test(stripJqlStrings(jql))) {
+      return ['ORDER BY is not allowed in the advanced JQL filter; results are always ordered by created date.'];
+    }
+
+    if (jiraDeployment.jqlParseUrl) {
+      const response = await withRetry(
+        () => jiraApi.post(jiraDeployment.jqlParseUrl, { queries: [jql] }, { params: { validation: 'strict' }, signal }),
+        { ...RETRY_OPTIONS, label: 'JQL parse', signal }
+      );
+      return response.data?.queries?.[0]?.errors || [];
+    }
+
+    try {
+      await withRetry(
+        () => jiraApi.post(jiraDeployment.searchUrl, { jql, maxResults: 0, validateQuery: 'strict', fields: ['id'] }, { signal }),
+        { ...RETRY_OPTIONS, label: 'JQL validation search', signal }
+      );
+      return [];
+    } catch (error) {
+      if (error.response?.status === 400) {
+        const data = error.response.data || {};
+        return [...(data.errorMessages || []), ...Object.values(data.errors || {})];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Validates every free-form clause of a filter set with Jira.
+   * @param {object} filters - Output of normalizeFilters().
+   * @param {AbortSignal} [signal]
+   * @throws {Error} - JqlInputError carrying `jqlErrors` when Jira rejects a clause.
+   */
+  async function assertValidExtraClauses(filters, signal) {
+    if (!filters.extraClauses?.length) return;
+    const jqlErrors = (await Promise.all(filters.extraClauses.map(clause => validateJql(clause, signal)))).flat();
+    if (jqlErrors.length > 0) {
+      throw jqlInputError('Advanced JQL is invalid', { jqlErrors });
+    }
+  }
+
+  // --- Issue Cache Sync ---
+  const SYNC_OVERLAP_MINUTES = 2; // Re-read a small overlap so edits around lastSyncTime are never missed
+
+  /**
+   * Brings a project's cached issues up to date by re-fetching cached issues
+   * whose `updated` is at or after the project's lastSyncTime.
+   * Uses a relative JQL date ("-Nm") so Jira's user timezone does not matter.
+   * @param {string} projectKey
+   * @param {string} logPrefix
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @param {Function} [options.onProgress] - Receives Step 2 progress for the refreshed issues.
+   * @returns {Promise<{ projectKey: string, syncStartedAt: Date, refreshed: number, failed: Array }>}
+   */
+  async function syncProjectCache(projectKey, logPrefix, { signal, onProgress } = {}) {
+    const syncStartedAt = new Date();
+    const syncState = await getSyncState(projectKey);
+    if (!syncState?.lastSyncTime) {
+      console.log(`[INFO] ${logPrefix}: Cache - No previous sync for ${projectKey}. Issues will be fetched on demand.`);
+      return { projectKey, syncStartedAt, refreshed: 0, failed: [] };
+    }
+
+    const minutesSinceSync = Math.ceil((syncStartedAt.getTime() - new Date(syncState.lastSyncTime).getTime()) / 60000) + SYNC_OVERLAP_MINUTES;
+    const updatedJql = `${buildProjectClause([projectKey])} AND updated >= "-${minutesSinceSync}m" ORDER BY updated ASC`;
+    console.log(`[INFO] ${logPrefix}: Cache - Incremental sync for ${projectKey} (last sync ${new Date(syncState.lastSyncTime).toISOString()}).`);
+
+    const updatedRefs = await searchIssueReferences(updatedJql, `${logPrefix} [sync]`, { signal });
+    // Only refresh issues already cached; uncached ones are fetched when a query needs them
+    const cachedKeys = new Set(await getCachedIssueKeys(projectKey));
+    const staleRefs = updatedRefs.filter(ref => ref.key && cachedKeys.has(ref.key));
+    const { issues, failed } = await fetchIssueDetails(staleRefs, `${logPrefix} [sync]`, { signal, onProgress });
+    await upsertCachedIssues(projectKey, issues);
+    console.log(`[INFO] ${logPrefix}: Cache - Refreshed ${issues.length} cached issues for ${projectKey}.`);
+
+    return { projectKey, syncStartedAt, refreshed: issues.length, failed };
+  }
+
+  // --- Project Metadata ---
+  /**
+   * Loads issue types, priorities, statuses and custom fields for one or more projects.
+   * Issue types and statuses are merged across projects and de-duplicated by ID;
+   * each carries `projectKeys` listing the projects that use it.
+   * @param {Array<string>} projectKeys - Keys already checked by parseProjectKeys().
+   * @returns {Promise<{ projectKeys, projects: Array<{ key, name }>, issueTypes, priorities, statuses, customFields, browseUrl }>}
+   */
+  async function fetchProjectMetadata(projectKeys) {
+    // Fetch all metadata concurrently (project details + statuses per project, priorities and fields once)
+    const [prioritiesRes, fieldsRes, ...projectResults] = await Promise.all([
+      jiraApi.get(`${JIRA_API}/priority`),
+      // Custom fields are only offered for "segment by"; metadata still loads without them
+      jiraApi.get(`${JIRA_API}/field`).catch((error) => {
+        console.warn(`[WARN] fetchProjectMetadata: Could not load fields - ${error.response?.status || error.message}`);
+        return { data: [] };
+      }),
+      ...projectKeys.map(async (projectKey) => {
+        const [projectDetailsRes, statusesRes] = await Promise.all([
+          jiraApi.get(`${JIRA_API}/project/${projectKey}`),
+          jiraApi.get(`${JIRA_API}/project/${projectKey}/statuses`), // Statuses per project
+        ]);
+        return { projectKey, projectDetails: projectDetailsRes.data, statusesByIssueType: statusesRes.data };
+      }),
+    ]);
+
+    // Merge entries from every project, deduplicating by ID and recording which projects use each
+    const mergeById = (entriesPerProject) => {
+      const merged = new Map();
+      entriesPerProject.forEach(({ projectKey, entries }) => {
+        entries.forEach((entry) => {
+          if (entry?.id == null) return;
+          const existing = merged.get(String(entry.id));
+          if (existing) {
+            if (!existing.projectKeys.includes(projectKey)) existing.projectKeys.push(projectKey);
+          } else {
+            merged.set(String(entry.id), { ...entry, projectKeys: [projectKey] });
+          }
+        });
+      });
+      return Array.from(merged.values());
+    };
+
+    const mergedIssueTypes = mergeById(projectResults.map(({ projectKey, projectDetails }) => ({
+      projectKey,
+      entries: projectDetails?.issueTypes || [],
+    })));
+
+    // Process statuses: flatten, deduplicate, and sort
+    const formattedStatuses = mergeById(projectResults.map(({ projectKey, statusesByIssueType }) => ({
+      projectKey,
+      entries: (statusesByIssueType || [])
+        .flatMap(issueType => issueType.statuses || []) // Get statuses from all issue types
+        .map(status => ({ id: status.id, name: status.name })), // Extract id and name
+    }))).sort((a, b) => (a.name || '').localeCompare(b.name || '')); // Sort alphabetically
+
+    return {
+      projectKeys,
+      projects: projectResults.map(({ projectKey, projectDetails }) => ({ key: projectKey, name: projectDetails?.name || projectKey })),
+      issueTypes: mergedIssueTypes,
+      priorities: prioritiesRes.data || [],
+      statuses: formattedStatuses,
+      customFields: (fieldsRes.data || [])
+        .filter(field => field?.custom && field.id)
+        .map(field => ({ id: field.id, name: field.name || field.id }))
+        .sort((a, b) => a.name.localeCompare(b.name)),
+      browseUrl: JIRA_BROWSE_URL, // Issue links: `${browseUrl}/browse/${key}` (null when unknown)
+    };
+  }
+
+  // --- Cache-Aware Issue Fetch ---
+  /**
+   * Fetches every issue matching the projects and filters, with complete changelogs.
+   * With the cache enabled: syncs each project's cache, runs Step 1, serves cached issues
+   * and only runs Step 2 for issues not cached yet.
+   * @param {Array<string>} projectKeys - Keys already checked by parseProjectKeys().
+   * @param {object} filters - Output of normalizeFilters() (extra clauses should already be validated).
+   * @param {object} [options]
+   * @param {string} [options.logPrefix]
+   * @param {AbortSignal} [options.signal] - Cancels all outstanding Jira requests.
+   * @param {Function} [options.onProgress] - ({ phase: 'sync'|'search'|'details', ... }) => void
+   * @returns {Promise<{ jql: string, issues: Array<object>, total: number, failed: Array, cache: object|null }>}
+   */
+  async function fetchIssues(projectKeys, filters, { logPrefix = 'fetchIssues', signal, onProgress } = {}) {
+    const jiraTimeZone = filters.timezone ? await getJiraTimeZone() : null;
+    const jql = buildIssueQuery(projectKeys, filters, 'created DESC', jiraTimeZone);
+    console.log(`[INFO] ${logPrefix}: Executing JQL: ${jql}`);
+    const report = (event) => onProgress?.(event);
+
+    // --- Refresh cached issues changed since the last sync (one project at a time) ---
+    const syncResults = [];
+    if (CACHE_ENABLED) {
+      for (const syncKey of projectKeys) {
+        report({ phase: 'sync', projectKey: syncKey });
+        syncResults.push(await syncProjectCache(syncKey, logPrefix, {
+          signal,
+          onProgress: (progress) => report({ phase: 'sync', projectKey: syncKey, ...progress }),
+        }));
+      }
+    }
+
+    // --- STEP 1: Resolve which issues match the query ---
+    report({ phase: 'search', page: 0, refsFound: 0 });
+    const issueReferences = await searchIssueReferences(jql, logPrefix, {
+      signal,
+      onPage: (progress) => report({ phase: 'search', ...progress }),
+    });
+    const reportDetails = (progress) => report({ phase: 'details', refsFound: issueReferences.length, ...progress });
+
+    // --- STEP 2: Serve details from the cache, fetching only what is missing ---
+    let allIssueDetails = [];
+    let failedIssues = [];
+    let cacheHits = 0;
+    if (CACHE_ENABLED) {
+      const cachedIssues = await getCachedIssues(projectKeys, issueReferences.map(ref => ref.key).filter(Boolean));
+      const missingRefs = issueReferences.filter(ref => !cachedIssues.has(ref.key));
+      cacheHits = issueReferences.length - missingRefs.length;
+      console.log(`[INFO] ${logPrefix}: Cache - ${cacheHits} hits, ${missingRefs.length} to fetch.`);
+
+      reportDetails({ fetched: 0, failed: 0, total: missingRefs.length, cacheHits });
+      const { issues: fetchedIssues, failed } = await fetchIssueDetails(missingRefs, logPrefix, {
+        signal,
+        onProgress: (progress) => reportDetails({ ...progress, cacheHits }),
+      });
+      await cacheIssuesByProject(fetchedIssues);
+      failedIssues = failed.concat(syncResults.flatMap(result => result.failed));
+
+      // Keep Step 1 ordering (created DESC)
+      const fetchedByKey = new Map(fetchedIssues.map(issue => [issue.key, issue]));
+      allIssueDetails = issueReferences
+        .map(ref => cachedIssues.get(ref.key) || fetchedByKey.get(ref.key))
+        .filter(Boolean);
+
+      // Every cached issue now reflects Jira as of syncStartedAt (unless that project's sync had failures)
+      await Promise.all(syncResults
+        .filter(result => result.failed.length === 0)
+        .map(result => markSynced(result.projectKey, result.syncStartedAt, { updatedCount: result.refreshed })));
+    } else {
+      reportDetails({ fetched: 0, failed: 0, total: issueReferences.length });
+      ({ issues: allIssueDetails, failed: failedIssues } = await fetchIssueDetails(issueReferences, logPrefix, { signal, onProgress: reportDetails }));
+    }
+
+    return {
+      jql,
+      issues: allIssueDetails,
+      total: allIssueDetails.length,
+      failed: failedIssues,
+      cache: CACHE_ENABLED
+        ? { hits: cacheHits, fetched: allIssueDetails.length - cacheHits, refreshed: syncResults.reduce((sum, result) => sum + result.refreshed, 0) }
+        : null,
+    };
+  }
+
+  /**
+   * Re-runs the project search and caches every issue it returns, including ones never cached before.
+   * Cached issues the search no longer returns (deleted or moved out of the project) are dropped.
+   * @param {string} projectKey
+   * @param {string} logPrefix
+   * @returns {Promise<{ projectKey: string, refreshed: number, added: number, removed: number, failed: Array }>}
+   */
+  async function resyncProjectCache(projectKey, logPrefix) {
+    const syncStartedAt = new Date();
+    const projectRefs = (await searchIssueReferences(`${buildProjectClause([projectKey])} ORDER BY created DESC`, `${logPrefix} [search]`))
+      .filter(ref => ref.key);
+    const cachedKeys = new Set(await getCachedIssueKeys(projectKey));
+    const { issues, failed } = await fetchIssueDetails(projectRefs, logPrefix);
+    await upsertCachedIssues(projectKey, issues);
+
+    // Issues outside the project now, or deleted between search and fetch (404), are dropped from the cache
+    const projectKeys = new Set(projectRefs.map(ref => ref.key));
+    const goneKeys = [...cachedKeys].filter(key => !projectKeys.has(key))
+      .concat(failed.filter(f => f.status === 404).map(f => f.key));
+    const removed = await removeCachedIssues(projectKey, goneKeys);
+    const otherFailures = failed.filter(f => f.status !== 404);
+    if (otherFailures.length === 0) {
+      await markSynced(projectKey, syncStartedAt, { updatedCount: issues.length, full: true });
+    }
+
+    const added = issues.filter(issue => !cachedKeys.has(issue.key)).length;
+    console.log(`[INFO] ${logPrefix}: Refreshed ${issues.length - added}, added ${added}, removed ${removed}, failed ${otherFailures.length}.`);
+    return { projectKey, refreshed: issues.length - added, added, removed, failed: otherFailures };
+  }
+
+  // --- Jira User Timezone ---
+  // JQL dates are read in the searching user's profile timezone; looked up once and reused
+  let jiraTimeZonePromise = null;
+  const rememberTimeZone = (user) => {
+    if (user?.timeZone) jiraTimeZonePromise = Promise.resolve(user.timeZone);
+  };
+
+  /**
+   * @returns {Promise<string|null>} - The Jira user's timezone, or null when it cannot be read
+   *   (created-date bounds are then used as-is).
+   */
+  function getJiraTimeZone() {
+    if (!jiraTimeZonePromise) {
+      jiraTimeZonePromise = jiraApi.get(`${JIRA_API}/myself`)
+        .then(response => response.data?.timeZone || null)
+        .catch((error) => {
+          console.warn(`[WARN] Could not read the Jira user's timezone (${error.response?.status || error.message}). Date filters are not converted.`);
+          jiraTimeZonePromise = null; // Retry on the next search
+          return null;
+        });
+    }
+    return jiraTimeZonePromise;
+  }
+
+  // Confirm the configured credentials are accepted (logs the outcome, never throws)
+  async function verifyAuth() {
+    try {
+      const response = await jiraApi.get(`${JIRA_API}/myself`);
+      rememberTimeZone(response.data);
+      console.log(`[INFO] Jira ${jiraDeployment.type} auth (${jiraAuth.type}) verified as: ${response.data?.displayName || response.data?.name || 'unknown user'}`);
+      return true;
+    } catch (error) {
+      const status = error.response?.status;
+      const hint = status === 401 || status === 403
+        ? 'Credentials were rejected. Check JIRA_AUTH_TYPE and its credentials in .env.'
+        : 'Could not reach Jira. Check JIRA_API_URL_BASE and network access.';
+      console.error(`[ERROR] Jira ${jiraDeployment.type} auth (${jiraAuth.type}) check failed (${status || error.message}). ${hint}`);
+      return false;
+    }
+  }
+
+  return {
+    deployment: jiraDeployment,
+    auth: jiraAuth,
+    cacheEnabled: CACHE_ENABLED,
+    verifyAuth,
+    getJiraTimeZone,
+    fetchProjectMetadata,
+    validateJql,
+    assertValidExtraClauses,
+    searchIssueReferences,
+    fetchIssueDetails,
+    syncProjectCache,
+    resyncProjectCache,
+    fetchIssues,
+  };
+}
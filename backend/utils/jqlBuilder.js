@@ -0,0 +1,205 @@
+/*
+ * JiraMetricsDashboard - JQL builder
+ *
+ * Builds issue search JQL from structured input instead of interpolating raw strings:
+ * - Project keys must look like Jira keys; every other value is quoted and escaped.
+ * - Filters are { issueTypes, priorities, startDate, endDate, extraClauses }.
+ * - Extra clauses (free-form JQL) must be self-contained: balanced parentheses and
+ *   closed quotes, so they cannot break out of their `AND (...)` wrapper.
+ * Malformed input throws an error with `status = 400`; check it with isJqlInputError().
+ */
+import { isValidTimeZone, zonedDateTimeToUtc, toZonedDateTimeString, addDays } from '../../frontend/src/utils/timezone.js';
+
+const PROJECT_KEY_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Creates the error used for input that cannot be turned into JQL (mapped to HTTP 400 by the routes).
+ * @param {string} message
+ * @param {object} [details] - Extra properties to attach (e.g. `jqlErrors` from Jira's parser).
+ * @returns {Error}
+ */
+export function jqlInputError(message, details = {}) {
+  const error = Object.assign(new Error(message), details);
+  error.name = 'JqlInputError';
+  error.status = 400;
+  return error;
+}
+
+/**
+ * @param {Error} error
+ * @returns {boolean} - True when the error came from rejected builder input.
+ */
+export function isJqlInputError(error) {
+  return error?.name === 'JqlInputError';
+}
+
+/**
+ * Quotes a value as a JQL string literal, escaping backslashes and double quotes.
+ * @param {string|number} value
+ * @returns {string} - e.g. `"Won\"t Fix"`.
+ */
+export function escapeJqlValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Normalizes and validates project keys from an array or a comma/space separated string:
+ * trimmed, upper-cased and de-duplicated, keeping the given order.
+ * @param {Array<string>|string|undefined} value
+ * @returns {Array<string>} - Empty when nothing was provided.
+ * @throws {Error} - JqlInputError when a key is not a valid Jira project key.
+ */
+export function parseProjectKeys(value) {
+  if (value != null && !Array.isArray(value) && typeof value !== 'string') {
+    throw jqlInputError('projectKeys must be an array or a comma-separated string');
+  }
+  const rawKeys = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+  const keys = [...new Set(rawKeys.map(key => String(key ?? '').trim().toUpperCase()).filter(Boolean))];
+  const invalidKeys = keys.filter(key => !PROJECT_KEY_PATTERN.test(key));
+  if (invalidKeys.length > 0) {
+    throw jqlInputError(`Invalid project key(s): ${invalidKeys.join(', ')}`);
+  }
+  return keys;
+}
+
+// Validates a list of Jira IDs (issue types, priorities); IDs are quoted when used
+function normalizeIdList(value, fieldName) {
+  if (value == null) return [];
+  if (!Array.isArray(value)) throw jqlInputError(`filters.${fieldName} must be an array`);
+  return value.map((id) => {
+    if ((typeof id !== 'string' && typeof id !== 'number') || String(id).trim() === '') {
+      throw jqlInputError(`filters.${fieldName} must only contain non-empty IDs`);
+    }
+    return String(id).trim();
+  });
+}
+
+// Validates a YYYY-MM-DD date (empty means "no bound")
+function normalizeDate(value, fieldName) {
+  if (value == null || value === '') return null;
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value) || isNaN(new Date(value))) {
+    throw jqlInputError(`filters.${fieldName} must be a date formatted as YYYY-MM-DD`);
+  }
+  return value;
+}
+
+/**
+ * Rejects a free-form clause whose parentheses or quotes are unbalanced,
+ * since it could otherwise close the `AND (...)` wrapper and widen the query.
+ * @param {string} clause
+ */
+function assertSelfContainedClause(clause) {
+  let depth = 0;
+  let quote = null;
+  for (let i = 0; i < clause.length; i++) {
+    const char = clause[i];
+    if (quote) {
+      if (char === '\\') i++; // Skip the escaped character
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')' && --depth < 0) {
+      break;
+    }
+  }
+  if (quote || depth !== 0) {
+    throw jqlInputError(`Extra JQL clause has unbalanced ${quote ? 'quotes' : 'parentheses'}: ${clause}`);
+  }
+}
+
+/**
+ * Validates structured filters from a request body.
+ * @param {object} [filters]
+ * @param {Array<string>} [filters.issueTypes] - Issue type IDs.
+ * @param {Array<string>} [filters.priorities] - Priority IDs.
+ * @param {string} [filters.startDate] - Created on/after (YYYY-MM-DD).
+ * @param {string} [filters.endDate] - Created on/before (YYYY-MM-DD, inclusive).
+ * @param {string} [filters.timezone] - IANA timezone the dates are days in (defaults to the Jira user's timezone).
+ * @param {Array<string>} [filters.extraClauses] - Free-form JQL clauses, ANDed together.
+ * @returns {{ issueTypes: Array<string>, priorities: Array<string>, startDate: string|null, endDate: string|null, timezone: string|null, extraClauses: Array<string> }}
+ * @throws {Error} - JqlInputError when any field is malformed.
+ */
+export function normalizeFilters(filters = {}) {
+  if (filters === null || typeof filters !== 'object' || Array.isArray(filters)) {
+    throw jqlInputError('filters must be an object');
+  }
+  const startDate = normalizeDate(filters.startDate, 'startDate');
+  const endDate = normalizeDate(filters.endDate, 'endDate');
+  if (startDate && endDate && startDate > endDate) {
+    throw jqlInputError('filters.startDate must not be after filters.endDate');
+  }
+  if (filters.timezone != null && filters.timezone !== '' && !isValidTimeZone(filters.timezone)) {
+    throw jqlInputError(`filters.timezone must be an IANA timezone such as "America/Los_Angeles"`);
+  }
+
+  if (filters.extraClauses != null && !Array.isArray(filters.extraClauses)) {
+    throw jqlInputError('filters.extraClauses must be an array of JQL strings');
+  }
+  const extraClauses = (filters.extraClauses || []).map((clause) => {
+    if (typeof clause !== 'string') throw jqlInputError('filters.extraClauses must only contain strings');
+    return clause.trim();
+  }).filter(Boolean);
+  extraClauses.forEach(assertSelfContainedClause);
+
+  return {
+    issueTypes: normalizeIdList(filters.issueTypes, 'issueTypes'),
+    priorities: normalizeIdList(filters.priorities, 'priorities'),
+    startDate,
+    endDate,
+    timezone: filters.timezone || null,
+    extraClauses,
+  };
+}
+
+/**
+ * @param {Array<string>} projectKeys - Keys already checked by parseProjectKeys().
+ * @returns {string} - `project = "A"` or `project in ("A", "B")`.
+ */
+export function buildProjectClause(projectKeys) {
+  if (!Array.isArray(projectKeys) || projectKeys.length === 0) {
+    throw jqlInputError('At least one project key is required');
+  }
+  return projectKeys.length === 1
+    ? `project = ${escapeJqlValue(projectKeys[0])}`
+    : `project in (${projectKeys.map(escapeJqlValue).join(', ')})`;
+}
+
+/**
+ * Builds the created-date clauses. JQL reads dates in the Jira user's timezone, so when the
+ * filters are days in another timezone, each day boundary is converted to Jira's wall clock.
+ * @param {object} filters - Output of normalizeFilters().
+ * @param {string|null} jiraTimeZone - Timezone of the Jira user running the search, if known.
+ * @returns {Array<string>}
+ */
+function buildCreatedClauses({ startDate, endDate, timezone }, jiraTimeZone) {
+  const clauses = [];
+  if (!timezone || !isValidTimeZone(jiraTimeZone) || timezone === jiraTimeZone) {
+    if (startDate) clauses.push(`created >= ${escapeJqlValue(startDate)}`);
+    if (endDate) clauses.push(`created <= ${escapeJqlValue(`${endDate} 23:59`)}`);
+    return clauses;
+  }
+  const dayStartInJira = (date) => toZonedDateTimeString(zonedDateTimeToUtc(date, '00:00', timezone), jiraTimeZone);
+  if (startDate) clauses.push(`created >= ${escapeJqlValue(dayStartInJira(startDate))}`);
+  if (endDate) clauses.push(`created < ${escapeJqlValue(dayStartInJira(addDays(endDate, 1)))}`);
+  return clauses;
+}
+
+/**
+ * Builds the complete issue search query.
+ * @param {Array<string>} projectKeys - Keys already checked by parseProjectKeys().
+ * @param {object} [filters] - Output of normalizeFilters().
+ * @param {string} [orderBy] - ORDER BY clause (trusted, set by the caller).
+ * @param {string|null} [jiraTimeZone] - Jira user's timezone, used to convert the created-date bounds.
+ * @returns {string}
+ */
+export function buildIssueQuery(projectKeys, filters = {}, orderBy = 'created DESC', jiraTimeZone = null) {
+  const clauses = [buildProjectClause(projectKeys)];
+  if (filters.issueTypes?.length > 0) clauses.push(`issueType in (${filters.issueTypes.map(escapeJqlValue).join(', ')})`);
+  if (filters.priorities?.length > 0) clauses.push(`priority in (${filters.priorities.map(escapeJqlValue).join(', ')})`);
+  clauses.push(...buildCreatedClauses(filters, jiraTimeZone));
+  (filters.extraClauses || []).forEach(clause => clauses.push(`(${clause})`));
+  return `${clauses.join(' AND ')}${orderBy ? ` ORDER BY ${orderBy}` : ''}`;
+}
@@ -0,0 +1,96 @@
+/*
+ * JiraMetricsDashboard - Metrics output formats
+ *
+ * Renders a computeViewMetrics() result for the CLI:
+ * - json: the full result.
+ * - csv: one long table (section, key, value) covering the headline numbers.
+ * - md: a short report with one table per section.
+ */
+
+export const OUTPUT_FORMATS = ['json', 'csv', 'md'];
+
+const round = (value, digits = 2) => (typeof value === 'number' && isFinite(value) ? Number(value.toFixed(digits)) : value);
+
+/**
+ * Flattens the headline metrics into [section, key, value] rows (shared by csv and md).
+ * @param {object} metrics - processMetrics() result.
+ * @returns {Array<{ section: string, rows: Array<[string, *]> }>}
+ */
+function collectSections(metrics) {
+  if (!metrics) return [];
+  return [
+    { section: 'summary', rows: Object.entries(metrics.summaryStats || {}).map(([key, value]) => [key, round(value)]) },
+    { section: 'timeInStatus.avgDays', rows: (metrics.timeInStatus?.byGroup || []).map(g => [g.groupName, round(g.avgDays)]) },
+    { section: 'distribution.count', rows: (metrics.distribution?.byGroup || []).map(g => [g.name, g.count]) },
+    { section: 'cycleTime.histogram', rows: (metrics.cycleTimeData?.histogram || []).map(b => [b.range, b.count]) },
+    { section: 'leadTime.histogram', rows: (metrics.leadTimeData?.leadTime.histogram || []).map(b => [b.range, b.count]) },
+    { section: 'preStartWait.histogram', rows: (metrics.leadTimeData?.preStartWait.histogram || []).map(b => [b.range, b.count]) },
+    { section: 'throughput', rows: (metrics.throughputData || []).map(d => [d.date, d.count]) },
+    // Only present when the view has a "segment by" dimension
+    { section: 'segments.completed', rows: (metrics.segments?.items || []).map(s => [s.name, s.completedCount]) },
+    { section: 'segments.p85CycleTime', rows: (metrics.segments?.items || []).map(s => [s.name, round(s.cycleTime.p85)]) },
+    // Only present when the view has SLA targets
+    { section: 'sla.responseBreachRate', rows: (metrics.sla?.byTarget || []).filter(t => t.responseHours).map(t => [t.label, round(t.response.breachRate)]) },
+    { section: 'sla.resolutionBreachRate', rows: (metrics.sla?.byTarget || []).filter(t => t.resolutionHours).map(t => [t.label, round(t.resolution.breachRate)]) },
+    // Only present when the view uses business time: the same stats in calendar (wall-clock) time
+    { section: 'calendarTime.summary', rows: Object.entries(metrics.calendarTime?.summaryStats || {}).map(([key, value]) => [key, round(value)]) },
+    // Only present when the view has a comparison period
+    { section: 'comparison.summary', rows: Object.entries(metrics.comparison?.summaryStats || {}).map(([key, value]) => [key, round(value)]) },
+  ];
+}
+
+// Quotes a CSV field when it contains a delimiter, quote or newline
+const csvField = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Escapes pipes so values cannot break a Markdown table row
+const mdCell = (value) => (value == null ? '' : String(value).replace(/\|/g, '\\|'));
+
+/**
+ * @param {object} result - computeViewMetrics() result.
+ * @param {string} format - One of OUTPUT_FORMATS.
+ * @returns {string}
+ */
+export function formatMetrics(result, format) {
+  switch (format) {
+    case 'json':
+      return `${JSON.stringify(result, null, 2)}\n`;
+
+    case 'csv': {
+      const lines = [['section', 'key', 'value']];
+      collectSections(result.metrics).forEach(({ section, rows }) => rows.forEach(([key, value]) => lines.push([section, key, value])));
+      return `${lines.map(line => line.map(csvField).join(',')).join('\n')}\n`;
+    }
+
+    case 'md': {
+      const { view } = result;
+      const out = [
+        `# ${view.name || 'Jira metrics'}`,
+        '',
+        `- Projects: ${view.projectKeys.join(', ')}`,
+        `- Created: ${view.startDate || '*'} to ${view.endDate || '*'} (${view.timezone || 'UTC'})`,
+        `- Issues: ${result.issueCount}${result.failed.length > 0 ? ` (${result.failed.length} could not be fetched)` : ''}`,
+      ];
+      if (result.metrics?.comparison) {
+        out.push(`- Compared with: ${result.metrics.comparison.startDate} to ${result.metrics.comparison.endDate} (${result.metrics.comparison.issueCount} issues)`);
+      }
+      if (result.metrics?.durationBasis === 'business') {
+        out.push('- Durations: business time (hours are working hours, days are working days)');
+      }
+      if (!result.metrics) {
+        out.push('', '_No issues matched this view._');
+      }
+      collectSections(result.metrics).forEach(({ section, rows }) => {
+        if (rows.length === 0) return;
+        out.push('', `## ${section}`, '', '| Key | Value |', '| --- | ---: |');
+        rows.forEach(([key, value]) => out.push(`| ${mdCell(key)} | ${mdCell(value)} |`));
+      });
+      return `${out.join('\n')}\n`;
+    }
+
+    default:
+      throw new Error(`Unknown format "${format}". Expected one of: ${OUTPUT_FORMATS.join(', ')}.`);
+  }
+}
@@ -0,0 +1,127 @@
+/*
+ * JiraMetricsDashboard - Backend rate limit helpers
+ *
+ * Keeps Jira from throttling large fetches:
+ * - mapWithConcurrency: runs an async mapper over a list with a bounded pool.
+ * - withRetry: retries throttled/transient requests with exponential backoff,
+ *   honouring Jira's Retry-After and X-RateLimit-* response headers.
+ */
+
+// HTTP statuses worth retrying (throttled or temporarily unavailable)
+const RETRYABLE_STATUSES = new Set([429, 502, 503, 504]);
+// Network-level error codes worth retrying
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN']);
+
+// Resolves after `ms`, or rejects early if the signal aborts
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(signal.reason || new Error('Aborted'));
+  const timerId = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timerId);
+    reject(signal.reason || new Error('Aborted'));
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Determines whether a failed axios request should be retried.
+ * @param {Error} error - Axios error.
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+  const status = error?.response?.status;
+  if (status) return RETRYABLE_STATUSES.has(status);
+  return RETRYABLE_CODES.has(error?.code);
+}
+
+/**
+ * Reads the server-requested wait (in ms) from Jira's rate limit headers.
+ * Retry-After may be seconds or an HTTP date; X-RateLimit-Reset is an ISO timestamp
+ * and only applies once X-RateLimit-Remaining has hit zero.
+ * @param {object} headers - Axios response headers.
+ * @returns {number|null} - Milliseconds to wait, or null if the headers give no hint.
+ */
+function getHeaderDelayMs(headers) {
+  if (!headers) return null;
+
+  const retryAfter = headers['retry-after'];
+  if (retryAfter != null && retryAfter !== '') {
+    const seconds = Number(retryAfter);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const retryDate = Date.parse(retryAfter);
+    if (!isNaN(retryDate)) return Math.max(0, retryDate - Date.now());
+  }
+
+  const remaining = headers['x-ratelimit-remaining'];
+  const reset = headers['x-ratelimit-reset'];
+  if (remaining != null && Number(remaining) <= 0 && reset) {
+    const resetDate = Date.parse(reset);
+    if (!isNaN(resetDate)) return Math.max(0, resetDate - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Executes a request function, retrying throttled or transient failures.
+ * @param {Function} requestFn - () => Promise (typically an axios call).
+ * @param {object} options
+ * @param {number} options.maxRetries - Retries after the first attempt.
+ * @param {number} options.baseDelayMs - Initial backoff delay, doubled per attempt.
+ * @param {number} options.maxDelayMs - Upper bound for any single wait.
+ * @param {string} [options.label] - Used in log messages.
+ * @param {AbortSignal} [options.signal] - Stops retrying (and waiting) once aborted.
+ * @returns {Promise<*>} - Resolves with the request result or rejects with the last error.
+ */
+export async function withRetry(requestFn, { maxRetries, baseDelayMs, maxDelayMs, label = 'request', signal }) {
+  let attempt = 0;
+  while (true) {
+    try {
+      return await requestFn();
+    } catch (error) {
+      if (signal?.aborted || attempt >= maxRetries || !isRetryableError(error)) {
+        error.attempts = attempt + 1;
+        throw error;
+      }
+
+      // Prefer the server's hint, fall back to exponential backoff with jitter
+      const headerDelay = getHeaderDelayMs(error.response?.headers);
+      const backoffDelay = baseDelayMs * 2 ** attempt + Math.random() * baseDelayMs;
+      const delayMs = Math.min(headerDelay ?? backoffDelay, maxDelayMs);
+
+      attempt++;
+      console.warn(`[WARN] ${label}: ${error.response?.status || error.code} received. Retry ${attempt}/${maxRetries} in ${Math.round(delayMs)}ms.`);
+      await sleep(delayMs, signal);
+    }
+  }
+}
+
+/**
+ * Maps over items with at most `limit` mapper calls in flight.
+ * Results keep the order of the input array. The mapper should handle its own errors.
+ * @param {Array} items
+ * @param {number} limit - Maximum concurrent mapper calls.
+ * @param {Function} mapper - async (item, index) => result
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Once aborted, no new items are started and the call rejects.
+ * @returns {Promise<Array>}
+ */
+export async function mapWithConcurrency(items, limit, mapper, { signal } = {}) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      if (signal?.aborted) throw signal.reason || new Error('Aborted');
+      const index = nextIndex++;
+      results[index] = await mapper(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
@@ -0,0 +1,127 @@
+/*
+ * JiraMetricsDashboard - View metrics
+ *
+ * Runs a saved View (or an equivalent plain config) end to end without the browser:
+ * fetch through the Jira service, then the same processMetrics() the dashboard uses
+ * (frontend/src/utils/dataProcessor.js is shared, so both sides produce identical numbers).
+ * Used by POST /api/metrics and the CLI.
+ */
+import { processMetrics } from '../../frontend/src/utils/dataProcessor.js';
+import { normalizeCalendarConfig } from '../../frontend/src/utils/workingCalendar.js';
+import { normalizeSegmentConfig } from '../../frontend/src/utils/segments.js';
+import { normalizeSlaConfig } from '../../frontend/src/utils/sla.js';
+import {
+  normalizeComparisonConfig, getComparisonRange, getFetchRange, filterIssuesByCreatedDate, summarizeComparison,
+} from '../../frontend/src/utils/periodComparison.js';
+import { parseProjectKeys, normalizeFilters, jqlInputError } from './jqlBuilder.js';
+
+// Validates a { type: 'group'|'status', value } flow config
+function normalizeFlowConfig(config, fieldName) {
+  if (!config || !['group', 'status'].includes(config.type) || !config.value) {
+    throw jqlInputError(`${fieldName} must be { type: 'group'|'status', value }`);
+  }
+  return { type: config.type, value: String(config.value) };
+}
+
+/**
+ * Normalizes a View document or plain view config into the inputs of a metrics run.
+ * @param {object} view - Same shape as the View model (projectKeys, startDate, endDate, standardFilters,
+ *   statusGroups, triageConfig, cycleStartConfig, cycleEndConfig, calendar, timezone, flowActivity, segmentBy, comparison, sla).
+ * @returns {object} - { name, projectKeys, filters, startDate, endDate, timezone, statusGroups, triageConfig, cycleStartConfig, cycleEndConfig, calendar, flowActivity, segmentBy, comparisonRange, sla }
+ * @throws {Error} - JqlInputError when the config is incomplete or malformed.
+ */
+export function resolveViewConfig(view) {
+  const config = typeof view?.toObject === 'function' ? view.toObject() : view;
+  if (!config || typeof config !== 'object') {
+    throw jqlInputError('A view configuration is required');
+  }
+
+  // Views saved before multi-project support only carry `projectKey`
+  const projectKeys = parseProjectKeys(config.projectKeys?.length ? config.projectKeys : config.projectKey);
+  if (projectKeys.length === 0) {
+    throw jqlInputError('The view has no project keys');
+  }
+  const advancedJql = config.standardFilters?.jql?.trim();
+  const filters = normalizeFilters({
+    issueTypes: config.standardFilters?.issueTypes,
+    priorities: config.standardFilters?.priorities,
+    startDate: config.startDate,
+    endDate: config.endDate,
+    timezone: config.timezone || 'UTC', // Same default as the dashboard (useFilters.applyLoadedFilters)
+    extraClauses: advancedJql ? [advancedJql] : [],
+  });
+
+  return {
+    name: config.name || null,
+    projectKeys,
+    filters,
+    startDate: filters.startDate,
+    endDate: filters.endDate,
+    timezone: filters.timezone || 'UTC', // Day bucketing (throughput, CFD)
+    statusGroups: Array.isArray(config.statusGroups) ? config.statusGroups : [],
+    triageConfig: normalizeFlowConfig(config.triageConfig, 'triageConfig'),
+    cycleStartConfig: normalizeFlowConfig(config.cycleStartConfig, 'cycleStartConfig'),
+    cycleEndConfig: normalizeFlowConfig(config.cycleEndConfig, 'cycleEndConfig'),
+    calendar: normalizeCalendarConfig(config.calendar),
+    flowActivity: Array.isArray(config.flowActivity) ? config.flowActivity : [],
+    segmentBy: normalizeSegmentConfig(config.segmentBy),
+    comparisonRange: getComparisonRange(normalizeComparisonConfig(config.comparison), filters.startDate, filters.endDate), // null when off
+    sla: normalizeSlaConfig(config.sla),
+  };
+}
+
+/**
+ * Fetches a view's issues and computes its metrics.
+ * @param {object} jira - Service from createJiraService().
+ * @param {object} view - View document or plain config (see resolveViewConfig).
+ * @param {object} [options]
+ * @param {string} [options.logPrefix]
+ * @param {AbortSignal} [options.signal]
+ * @param {Function} [options.onProgress] - Fetch progress events (see jira.fetchIssues).
+ * @returns {Promise<{ view, jql, issueCount, failed, cache, metrics }>} - `metrics` is the processMetrics() result (null when no issues matched).
+ */
+export async function computeViewMetrics(jira, view, { logPrefix = 'metrics', signal, onProgress } = {}) {
+  const config = resolveViewConfig(view);
+  await jira.assertValidExtraClauses(config.filters, signal);
+
+  // One fetch covers the comparison period too; the issues are split by created day below
+  const fetchFilters = { ...config.filters, ...getFetchRange(config.startDate, config.endDate, config.comparisonRange) };
+  const [metadata, fetchResult] = await Promise.all([
+    jira.fetchProjectMetadata(config.projectKeys),
+    jira.fetchIssues(config.projectKeys, fetchFilters, { logPrefix, signal, onProgress }),
+  ]);
+
+  // Same fallback as the dashboard: without saved groups, every status is its own group
+  const statusGroups = config.statusGroups.length > 0
+    ? config.statusGroups
+    : metadata.statuses.map(s => ({ id: s.id, name: s.name, statuses: [String(s.id)] }));
+
+  const { comparisonRange } = config;
+  const periodIssues = comparisonRange
+    ? filterIssuesByCreatedDate(fetchResult.issues, config.startDate, config.endDate, config.timezone)
+    : fetchResult.issues;
+  const metrics = processMetrics(
+    periodIssues, statusGroups, config.startDate, config.endDate,
+    config.cycleStartConfig, config.cycleEndConfig, config.triageConfig,
+    metadata.statuses, config.calendar, config.timezone, config.flowActivity,
+    config.segmentBy, config.sla
+  );
+  if (metrics && comparisonRange) {
+    const comparisonIssues = filterIssuesByCreatedDate(fetchResult.issues, comparisonRange.startDate, comparisonRange.endDate, config.timezone);
+    const comparisonMetrics = processMetrics(
+      comparisonIssues, statusGroups, comparisonRange.startDate, comparisonRange.endDate,
+      config.cycleStartConfig, config.cycleEndConfig, config.triageConfig,
+      metadata.statuses, config.calendar, config.timezone, config.flowActivity
+    );
+    metrics.comparison = summarizeComparison(comparisonMetrics, comparisonRange, comparisonIssues.length);
+  }
+
+  return {
+    view: { name: config.name, projectKeys: config.projectKeys, startDate: config.startDate, endDate: config.endDate, timezone: config.timezone },
+    jql: fetchResult.jql,
+    issueCount: comparisonRange ? periodIssues.length : fetchResult.total, // Main period only
+    failed: fetchResult.failed,
+    cache: fetchResult.cache,
+    metrics,
+  };
+}
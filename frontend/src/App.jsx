@@ -36,9 +36,9 @@ function AppContent() {
 
   // --- State from Hooks ---
   const {
-    startDate, setStartDate, endDate, setEndDate, standardFilters, setStandardFilters,
+    startDate, setStartDate, endDate, setEndDate, timezone, setTimezone, standardFilters, setStandardFilters,
     triageConfig, setTriageConfig, cycleStartConfig, setCycleStartConfig, cycleEndConfig, setCycleEndConfig,
-    resetInvalidFlowConfigs, applyLoadedFilters,
+    calendarConfig, setCalendarConfig, flowActivityConfig, setFlowActivityConfig, segmentConfig, setSegmentConfig, comparisonConfig, setComparisonConfig, slaConfig, setSlaConfig, resetInvalidFlowConfigs, applyLoadedFilters,
   } = useFilters();
 
   const {
@@ -46,10 +46,10 @@ function AppContent() {
   } = useStatusGroups([], addLog, resetInvalidFlowConfigs);
 
   const {
-    projectKey, setProjectKey, metadata, setMetadata, issues,
+    projectKeys, setProjectKeys, metadata, setMetadata, issues,
     isLoading, setIsLoading, isMetadataLoading,
     error, setError, metadataError, setMetadataError,
-    fetchMetadata, handleFilterSubmit, clearErrors: clearDataErrors
+    fetchMetadata, handleFilterSubmit, fetchProgress, cancelFetch, jqlErrors, validateJql, clearErrors: clearDataErrors
   } = useJiraData(addLog);
 
   const [processedData, setProcessedData] = useState(null); // Keep processedData state here
@@ -70,14 +70,16 @@ function AppContent() {
       applyLoadedFilters(viewToLoad); // Apply filters via useFilters hook
       setStatusGroups(viewToLoad.statusGroups || []); // Set status groups via useStatusGroups hook's setter
       explicitFetchTriggered.current = true; // Set flag to trigger fetch
-      addLog('info', `[App] Setting project key from loaded view: ${viewToLoad.projectKey}`);
-      setProjectKey(viewToLoad.projectKey); // Trigger project change via useJiraData hook's setter
+      // Views saved before multi-project support only carry `projectKey`
+      const viewProjectKeys = viewToLoad.projectKeys?.length ? viewToLoad.projectKeys : [viewToLoad.projectKey].filter(Boolean);
+      addLog('info', `[App] Setting project key(s) from loaded view: ${viewProjectKeys.join(', ')}`);
+      setProjectKeys(viewProjectKeys); // Trigger project change via useJiraData hook's setter
       flowWarningLoggedRef.current = false; // Reset warning flag
-  }, [applyLoadedFilters, setStatusGroups, setProjectKey, addLog]); // Include dependencies
+  }, [applyLoadedFilters, setStatusGroups, setProjectKeys, addLog]); // Include dependencies
 
   const currentConfigForSave = useMemo(() => ({
-      projectKey, startDate, endDate, standardFilters, statusGroups, triageConfig, cycleStartConfig, cycleEndConfig
-   }), [projectKey, startDate, endDate, standardFilters, statusGroups, triageConfig, cycleStartConfig, cycleEndConfig]);
+      projectKeys, startDate, endDate, timezone, standardFilters, statusGroups, triageConfig, cycleStartConfig, cycleEndConfig, calendarConfig, flowActivityConfig, segmentConfig, comparisonConfig, slaConfig
+   }), [projectKeys, startDate, endDate, timezone, standardFilters, statusGroups, triageConfig, cycleStartConfig, cycleEndConfig, calendarConfig, flowActivityConfig, segmentConfig, comparisonConfig, slaConfig]);
 
   const {
     savedViews, isLoadingViews, saveCurrentView, loadView, deleteView,
@@ -94,7 +96,7 @@ function AppContent() {
 
   // --- Export Data Handler ---
   const handleExportData = useCallback(() => {
-      if (!processedData || !projectKey || !metadata) {
+      if (!processedData || projectKeys.length === 0 || !metadata) {
           addLog('warn', '[App] Cannot export: Load project and process data first.');
           alert('Please load project data before exporting.');
           return;
@@ -107,9 +109,19 @@ function AppContent() {
           summaryStats = {},   // Use default empty object if undefined
           cfdData = [],
           cycleTimeData = {},
+          leadTimeData,
           throughputData = [],
           distribution,
-          timeInStatus
+          timeInStatus,
+          agingWip,
+          flowEfficiency,
+          trends,
+          transitions,
+          blockedTime,
+          segments,
+          sla,
+          comparison,
+          calendarTime
       } = processedData;
       // --- *** END FIX *** ---
 
@@ -124,12 +136,13 @@ function AppContent() {
       const dataToExport = {
           // Configuration Snapshot
           configuration: {
-              projectKey,
-              dateRange: { start: startDate, end: endDate },
+              projectKeys,
+              dateRange: { start: startDate, end: endDate, timezone },
               filters: {
                   // Map IDs using metadata if available
                   issueTypes: standardFilters.issueTypes.map(id => mapIssueTypeIdToName(id)),
                   priorities: standardFilters.priorities.map(id => mapPriorityIdToName(id)),
+                  jql: standardFilters.jql || '',
               },
               statusGroups: statusGroups.map(g => ({
                   name: g.name,
@@ -151,6 +164,12 @@ function AppContent() {
                        value: cycleEndConfig.type === 'status' ? mapIdToName(cycleEndConfig.value, statusIdNameMap, 'Status') : cycleEndConfig.value
                   },
               },
+              // Durations below are business time when the calendar is enabled
+              workingCalendar: calendarConfig,
+              flowActivity: flowActivityConfig,
+              segmentBy: segmentConfig,
+              slaTargets: slaConfig.targets, // Hours follow the working calendar when enabled
+              comparisonPeriod: comparison ? { start: comparison.startDate, end: comparison.endDate } : null,
               generatedAt: new Date().toISOString(),
           },
           // Calculated Metrics (using destructured values)
@@ -158,19 +177,53 @@ function AppContent() {
               overall: {
                   mttaHours: supportMetrics.avgMttaHours,
                   mttrHours: supportMetrics.avgMttrHours,
+                  mttaPercentilesHours: { p50: summaryStats.p50MttaHours, p85: summaryStats.p85MttaHours, p95: summaryStats.p95MttaHours },
+                  mttrPercentilesHours: { p50: summaryStats.p50MttrHours, p85: summaryStats.p85MttrHours, p95: summaryStats.p95MttrHours },
+                  mttaHistogram: supportMetrics.mtta?.histogram,
+                  mttrHistogram: supportMetrics.mttr?.histogram,
                   avgCycleTimeDays: summaryStats.avgCycleTime,
                   medianCycleTimeDays: summaryStats.p50CycleTime,
                   p85CycleTimeDays: summaryStats.p85CycleTime,
+                  avgLeadTimeDays: summaryStats.avgLeadTime,
+                  medianLeadTimeDays: summaryStats.p50LeadTime,
+                  p85LeadTimeDays: summaryStats.p85LeadTime,
+                  medianPreStartWaitDays: summaryStats.p50PreStartWait,
               },
               flow: {
                   cfdData, // Already in suitable format
                   cycleTimeHistogram: cycleTimeData.histogram, // Already in suitable format
+                  cycleTimeRecords: cycleTimeData.records, // One entry per completed issue
+                  leadTimeHistogram: leadTimeData?.leadTime.histogram, // Created to Resolution Point
+                  leadTimeRecords: leadTimeData?.leadTime.records, // One entry per resolved issue
+                  preStartWaitHistogram: leadTimeData?.preStartWait.histogram, // Created to Work Start Point
+                  flowEfficiency: flowEfficiency && { overall: flowEfficiency.overall, trend: flowEfficiency.trend, byGroup: flowEfficiency.byGroup },
                   throughput: throughputData, // Already in suitable format
+                  weeklyTrend: trends?.weekly, // Cycle time percentiles, MTTA/MTTR and throughput per week
+                  blockedTime, // Flagged / "is blocked by" time per group, reason and issue
+                  transitions: transitions && { byStatus: transitions.byStatus, rework: transitions.rework, reopenByIssueType: transitions.reopenByIssueType },
               },
               currentState: {
                   distributionByGroup: distribution?.byGroup, // Use optional chaining
                   timeInStatusByGroup: timeInStatus?.byGroup, // Use optional chaining
-              }
+                  agingWip: agingWip?.items, // In-progress issues, oldest first
+              },
+              segments: segments?.items ?? null, // Per-segment metrics when "segment by" is set
+              sla: sla && { // Only when SLA targets are set
+                  summary: sla.summary,
+                  byTarget: sla.byTarget,
+                  weeklyBreachRate: sla.trend,
+                  issues: sla.issues, // Offending issues first
+              },
+              // Business time only: the same durations in calendar (wall-clock) time
+              calendarTime: calendarTime && {
+                  summaryStats: calendarTime.summaryStats,
+                  timeInStatusByGroup: calendarTime.timeInStatus?.byGroup,
+              },
+              comparison: comparison && { // Same figures for the comparison period
+                  summaryStats: comparison.summaryStats,
+                  calendarSummaryStats: comparison.calendarSummaryStats,
+                  throughput: comparison.throughputData,
+              },
           }
       };
       setExportData(dataToExport); // Store the generated data
@@ -178,15 +231,20 @@ function AppContent() {
   }, [
       // Add dependencies needed to build the export data
       processedData, // <<< ADDED processedData
-      projectKey,
+      projectKeys,
       metadata, // Need metadata for mapping IDs
       startDate,
       endDate,
+      timezone,
       standardFilters,
       statusGroups,
       triageConfig,
       cycleStartConfig,
       cycleEndConfig,
+      calendarConfig,
+      flowActivityConfig,
+      segmentConfig,
+      slaConfig,
       addLog,
       // Note: Don't need individual metrics like supportMetrics here anymore
   ]);
@@ -194,9 +252,9 @@ function AppContent() {
 
   // --- Call the useAppEffects hook ---
   useAppEffects({
-      projectKey, metadata, metadataError, isMetadataLoading, issues, isLoading,
+      projectKeys, metadata, metadataError, isMetadataLoading, issues, isLoading,
       fetchMetadata, handleFilterSubmit, error, setError, setIsLoading, setMetadata, setMetadataError,
-      startDate, endDate, standardFilters, cycleStartConfig, cycleEndConfig, triageConfig,
+      startDate, endDate, timezone, standardFilters, cycleStartConfig, cycleEndConfig, triageConfig, calendarConfig, flowActivityConfig, segmentConfig, comparisonConfig, slaConfig,
       statusGroups, setStatusGroups, setDefaultStatusGroups,
       processedData, setProcessedData,
       addLog, clearAllErrors, explicitFetchTriggered, flowWarningLoggedRef
@@ -206,40 +264,56 @@ function AppContent() {
   // --- Derived State ---
   const displayError = error || metadataError;
   const statusMap = useMemo(() => new Map(metadata?.statuses?.map(s => [String(s.id), s.name || `Status ${s.id}`]) || []), [metadata]);
-  const canExport = !!processedData && !!projectKey; // Determine if export is possible
+  const canExport = !!processedData && projectKeys.length > 0; // Determine if export is possible
 
 
   // --- Render the Layout ---
   return (
     <> {/* Use Fragment to render Modals alongside Layout */}
       <AppLayout
-          projectKey={projectKey}
+          projectKeys={projectKeys}
           metadata={metadata}
           processedData={processedData}
           statusMap={statusMap}
           statusGroups={statusGroups}
           isLoading={isLoading}
           isMetadataLoading={isMetadataLoading}
+          fetchProgress={fetchProgress}
           displayError={displayError}
           startDate={startDate}
           endDate={endDate}
+          timezone={timezone}
           standardFilters={standardFilters}
+          jqlErrors={jqlErrors}
           cycleStartConfig={cycleStartConfig}
           cycleEndConfig={cycleEndConfig}
           triageConfig={triageConfig}
+          calendarConfig={calendarConfig}
+          flowActivityConfig={flowActivityConfig}
+          segmentConfig={segmentConfig}
+          comparisonConfig={comparisonConfig}
+          slaConfig={slaConfig}
           savedViews={savedViews}
           isLoadingViews={isLoadingViews}
           isLogModalOpen={isLogModalOpen}
           // Handlers
-          onProjectChange={setProjectKey}
+          onProjectChange={setProjectKeys}
           onStatusGroupsChange={handleStatusGroupsChange}
           onFilterSubmit={handleFilterSubmitClick}
+          onCancelFetch={cancelFetch}
+          onValidateJql={validateJql}
           onStartDateChange={setStartDate}
           onEndDateChange={setEndDate}
+          onTimezoneChange={setTimezone}
           onStandardFiltersChange={setStandardFilters}
           onCycleStartConfigChange={setCycleStartConfig}
           onCycleEndConfigChange={setCycleEndConfig}
           onTriageConfigChange={setTriageConfig}
+          onCalendarConfigChange={setCalendarConfig}
+          onFlowActivityConfigChange={setFlowActivityConfig}
+          onSegmentConfigChange={setSegmentConfig}
+          onComparisonConfigChange={setComparisonConfig}
+          onSlaConfigChange={setSlaConfig}
           onSaveView={saveCurrentView}
           onLoadView={loadView}
           onDeleteView={deleteView}
@@ -0,0 +1,159 @@
+/*
+ * JiraMetricsDashboard - AgingWipChart.jsx
+ *
+ * Aging Work In Progress: every in-progress issue plotted in its current status (or group)
+ * by its age since the work start point, against the historical cycle time percentiles.
+ * Points and table rows link to the issue in Jira.
+ */
+
+import React, { useMemo, useState } from 'react';
+import {
+  ResponsiveContainer, ScatterChart, Scatter, XAxis, YAxis, ZAxis, CartesianGrid,
+  Tooltip as RechartsTooltip, ReferenceLine,
+} from 'recharts';
+import { getIssueUrl, openIssue } from '../utils/jiraLinks.js';
+
+const PERCENTILE_LINES = [
+    { key: 'p50', label: '50%', color: '#10B981' },
+    { key: 'p70', label: '70%', color: '#F59E0B' },
+    { key: 'p85', label: '85%', color: '#F97316' },
+    { key: 'p95', label: '95%', color: '#EF4444' },
+];
+
+// Color of an item by the highest percentile its age has passed
+const getAgeColor = (ageDays, percentiles) => {
+    const passed = [...PERCENTILE_LINES].reverse().find(line => percentiles[line.key] > 0 && ageDays >= percentiles[line.key]);
+    return passed ? passed.color : '#3B82F6';
+};
+
+const AgingTooltip = ({ active, payload, dayUnitLabel }) => {
+    if (active && payload && payload.length) {
+        const item = payload[0].payload;
+        return (
+            <div className="max-w-xs rounded border bg-white p-2 text-sm shadow">
+                <p className="font-bold">{item.key}</p>
+                {item.summary && <p className="text-gray-700">{item.summary}</p>}
+                <p className="text-gray-600">{`${item.column} · ${item.ageDays.toFixed(1)} ${dayUnitLabel}`}</p>
+                <p className="text-xs text-gray-400">Click to open in Jira</p>
+            </div>
+        );
+    }
+    return null;
+};
+
+function AgingWipChart({
+    agingWip, // { items: [{ key, summary, statusId, statusName, groupName, startedAt, ageDays }], percentiles }
+    groupOrder = [],
+    jiraBrowseUrl, // Site URL for issue links (may be null)
+    dayUnitLabel = 'days',
+}) {
+    const [groupBy, setGroupBy] = useState('group'); // 'group' | 'status'
+    const items = agingWip?.items || [];
+    const percentiles = agingWip?.percentiles || {};
+
+    // Columns in workflow order (group order; statuses inside a group by name), then the points
+    const { columns, points } = useMemo(() => {
+        const columnOf = (item) => (groupBy === 'group' ? (item.groupName || item.statusName) : item.statusName);
+        const rank = (item) => {
+            const index = groupOrder.indexOf(item.groupName);
+            return index > -1 ? index : groupOrder.length;
+        };
+        const ordered = [...items].sort((a, b) => rank(a) - rank(b) || columnOf(a).localeCompare(columnOf(b)));
+        const columnNames = [...new Set(ordered.map(columnOf))];
+
+        // Spread issues sharing a column so equal ages do not hide each other
+        const seenPerColumn = new Map();
+        const plotted = items.map((item) => {
+            const column = columnOf(item);
+            const seen = seenPerColumn.get(column) || 0;
+            seenPerColumn.set(column, seen + 1);
+            const jitter = ((seen % 7) - 3) * 0.06;
+            return { ...item, column, x: columnNames.indexOf(column) + jitter, color: getAgeColor(item.ageDays, percentiles) };
+        });
+        return { columns: columnNames, points: plotted };
+    }, [items, groupBy, groupOrder, percentiles]);
+
+    const issueUrl = (key) => getIssueUrl(jiraBrowseUrl, key);
+    const handlePointClick = (point) => openIssue(jiraBrowseUrl, point?.key || point?.payload?.key);
+
+    if (items.length === 0) {
+        return <p className="text-gray-500">No in-progress issues. Aging WIP needs the Work Start and Resolution points configured.</p>;
+    }
+
+    const maxAge = Math.max(...items.map(i => i.ageDays), percentiles.p95 || 0);
+
+    return (
+        <div className="space-y-4">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+                <p className="text-sm text-gray-600">
+                    {items.length} issue(s) in progress. Lines show how long past issues took (cycle time percentiles).
+                </p>
+                <div className="flex items-center space-x-4 text-sm">
+                    {['group', 'status'].map(option => (
+                        <label key={option} className="flex items-center">
+                            <input type="radio" name="aging-groupBy" value={option} checked={groupBy === option} onChange={() => setGroupBy(option)} className="mr-1 h-4 w-4 border-gray-300 text-blue-600 focus:ring-blue-500" />
+                            {option === 'group' ? 'By Group' : 'By Status'}
+                        </label>
+                    ))}
+                </div>
+            </div>
+
+            <div style={{ width: '100%', height: 400 }}>
+                <ResponsiveContainer width="100%" height="100%" minWidth={0} minHeight={200}>
+                    <ScatterChart margin={{ top: 10, right: 60, left: 0, bottom: 40 }}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis
+                            type="number"
+                            dataKey="x"
+                            domain={[-0.5, columns.length - 0.5]}
+                            ticks={columns.map((_, i) => i)}
+                            tickFormatter={(i) => columns[i] ?? ''}
+                            interval={0}
+                            angle={-20}
+                            textAnchor="end"
+                            fontSize={12}
+                        />
+                        <YAxis type="number" dataKey="ageDays" domain={[0, Math.ceil(maxAge * 1.1) || 1]} label={{ value: `Age (${dayUnitLabel})`, angle: -90, position: 'insideLeft' }} />
+                        <ZAxis range={[60, 60]} />
+                        <RechartsTooltip content={<AgingTooltip dayUnitLabel={dayUnitLabel} />} cursor={{ strokeDasharray: '3 3' }} />
+                        {PERCENTILE_LINES.filter(line => percentiles[line.key] > 0).map(line => (
+                            <ReferenceLine key={line.key} y={percentiles[line.key]} stroke={line.color} strokeDasharray="6 3" label={{ value: `${line.label} (${percentiles[line.key].toFixed(1)})`, position: 'right', fill: line.color, fontSize: 11 }} />
+                        ))}
+                        <Scatter data={points} onClick={handlePointClick} cursor={jiraBrowseUrl ? 'pointer' : 'default'} shape={(props) => (
+                            <circle cx={props.cx} cy={props.cy} r={6} fill={props.payload.color} fillOpacity={0.8} stroke="#fff" />
+                        )} />
+                    </ScatterChart>
+                </ResponsiveContainer>
+            </div>
+
+            {/* Oldest items first */}
+            <div className="max-h-72 overflow-y-auto">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="sticky top-0 bg-gray-50">
+                        <tr>
+                            <th className="px-4 py-2 text-left font-medium text-gray-500">Issue</th>
+                            <th className="px-4 py-2 text-left font-medium text-gray-500">{groupBy === 'group' ? 'Group' : 'Status'}</th>
+                            <th className="px-4 py-2 text-right font-medium text-gray-500">Age ({dayUnitLabel})</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                        {points.map(item => (
+                            <tr key={item.key}>
+                                <td className="px-4 py-2">
+                                    {issueUrl(item.key)
+                                        ? <a href={issueUrl(item.key)} target="_blank" rel="noopener noreferrer" className="font-medium text-blue-600 hover:underline">{item.key}</a>
+                                        : <span className="font-medium">{item.key}</span>}
+                                    {item.summary && <span className="ml-2 text-gray-600">{item.summary}</span>}
+                                </td>
+                                <td className="whitespace-nowrap px-4 py-2 text-gray-700">{item.column}</td>
+                                <td className="whitespace-nowrap px-4 py-2 text-right font-medium" style={{ color: item.color }}>{item.ageDays.toFixed(1)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+}
+
+export default AgingWipChart;
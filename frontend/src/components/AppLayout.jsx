@@ -13,19 +13,20 @@ import ExportModal from './ExportModal.jsx';
 // This component receives all necessary state and handlers as props
 function AppLayout({
     // Project/Data State
-    projectKey,
+    projectKeys,
     metadata,
     processedData,
     statusMap,
     statusGroups,
     isLoading, // Combined loading
     isMetadataLoading,
+    fetchProgress, // Live issue fetch progress (null when idle)
     displayError, // Combined error message
 
     // Filter State & Handlers
-    startDate, endDate, standardFilters, cycleStartConfig, cycleEndConfig, triageConfig,
-    onStatusGroupsChange, onFilterSubmit, onStartDateChange, onEndDateChange,
-    onStandardFiltersChange, onCycleStartConfigChange, onCycleEndConfigChange, onTriageConfigChange,
+    startDate, endDate, timezone, standardFilters, jqlErrors, cycleStartConfig, cycleEndConfig, triageConfig, calendarConfig, flowActivityConfig, segmentConfig, comparisonConfig, slaConfig,
+    onStatusGroupsChange, onFilterSubmit, onCancelFetch, onValidateJql, onStartDateChange, onEndDateChange, onTimezoneChange,
+    onStandardFiltersChange, onCycleStartConfigChange, onCycleEndConfigChange, onTriageConfigChange, onCalendarConfigChange, onFlowActivityConfigChange, onSegmentConfigChange, onComparisonConfigChange, onSlaConfigChange,
 
     // Saved Views State & Handlers
     savedViews, isLoadingViews, onSaveView, onLoadView, onDeleteView,
@@ -52,7 +53,7 @@ function AppLayout({
     return (
         <div className="min-h-screen bg-gray-100 font-inter relative">
             <Header
-                projectKey={projectKey}
+                projectKeys={projectKeys}
                 onProjectChange={onProjectChange}
                 savedViews={savedViews}
                 isLoadingViews={isLoadingViews}
@@ -77,7 +78,7 @@ function AppLayout({
             )}
 
             <ErrorBoundary>
-                {projectKey ? (
+                {projectKeys.length > 0 ? (
                     <main className="container mx-auto grid max-w-7xl grid-cols-1 gap-6 p-4 pt-6 md:grid-cols-4">
                         {/* Filter Panel */}
                         <div className="col-span-1 md:col-span-1">
@@ -86,18 +87,28 @@ function AppLayout({
                                 statusGroups={statusGroups}
                                 startDate={startDate}
                                 endDate={endDate}
+                                timezone={timezone}
+                                comparisonConfig={comparisonConfig}
                                 standardFilters={standardFilters}
+                                jqlErrors={jqlErrors}
                                 cycleStartConfig={cycleStartConfig}
                                 cycleEndConfig={cycleEndConfig}
                                 triageConfig={triageConfig}
+                                calendarConfig={calendarConfig}
+                                flowActivityConfig={flowActivityConfig}
                                 onStatusGroupsChange={onStatusGroupsChange}
                                 onFilterSubmit={onFilterSubmit}
+                                onValidateJql={onValidateJql}
                                 onStartDateChange={onStartDateChange}
                                 onEndDateChange={onEndDateChange}
+                                onTimezoneChange={onTimezoneChange}
+                                onComparisonConfigChange={onComparisonConfigChange}
                                 onStandardFiltersChange={onStandardFiltersChange}
                                 onCycleStartConfigChange={onCycleStartConfigChange}
                                 onCycleEndConfigChange={onCycleEndConfigChange}
                                 onTriageConfigChange={onTriageConfigChange}
+                                onCalendarConfigChange={onCalendarConfigChange}
+                                onFlowActivityConfigChange={onFlowActivityConfigChange}
                                 isLoading={showProcessingOrFetchingIndicator}
                             />
                         </div>
@@ -110,18 +121,29 @@ function AppLayout({
                                 groupOrder={statusGroups.map((g) => g.name)}
                                 statusMap={statusMap}
                                 statusGroups={statusGroups}
+                                fetchProgress={fetchProgress}
+                                onCancelFetch={onCancelFetch}
+                                jiraBrowseUrl={metadata?.browseUrl}
+                                timezone={timezone}
+                                segmentConfig={segmentConfig}
+                                onSegmentConfigChange={onSegmentConfigChange}
+                                customFields={metadata?.customFields}
+                                slaConfig={slaConfig}
+                                onSlaConfigChange={onSlaConfigChange}
+                                priorities={metadata?.priorities}
+                                issueTypes={metadata?.issueTypes}
                             />
                         </div>
                     </main>
                 ) : (
                     <div className="container mx-auto mt-6 max-w-7xl p-4 text-center text-gray-500">
-                        {isMetadataLoadError ? `Failed to load project: ${displayError}` : 'Please enter a project key above and click "Load" to begin.'}
+                        {isMetadataLoadError ? `Failed to load project: ${displayError}` : 'Please enter one or more project keys above (comma-separated) and click "Load" to begin.'}
                     </div>
                 )}
             </ErrorBoundary>
 
             {/* Log Modal */}
-            <TransactionalConsole isOpen={isLogModalOpen} onClose={onToggleLogModal} />
+            <TransactionalConsole isOpen={isLogModalOpen} onClose={onToggleLogModal} fetchProgress={fetchProgress} onCancelFetch={onCancelFetch} />
 
             {/* Explanation Modal (Already passed down from AppContent) */}
             <MetricsExplanationModal isOpen={isExplanationModalOpen} onClose={onToggleExplanationModal} />
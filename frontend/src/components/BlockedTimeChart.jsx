@@ -0,0 +1,142 @@
+/*
+ * JiraMetricsDashboard - BlockedTimeChart.jsx
+ *
+ * Blocked time from processBlockedTime(): totals, cycle time with and without blocked time,
+ * blocked time per status group and reason, and the most blocked issues (linked to Jira).
+ */
+
+import React from 'react';
+import {
+  ResponsiveContainer, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, Legend,
+} from 'recharts';
+import { getIssueUrl } from '../utils/jiraLinks.js';
+
+const MAX_LISTED_ISSUES = 20;
+const REASON_LABELS = { flagged: 'Flagged', link: 'Blocked by link' };
+
+const formatDays = (value) => (typeof value === 'number' ? value.toFixed(1) : '0.0');
+
+function BlockedTimeChart({
+    blockedTime, // processBlockedTime() result
+    jiraBrowseUrl,
+    dayUnitLabel = 'days',
+}) {
+    if (!blockedTime || blockedTime.summary.issuesBlocked === 0) {
+        return <p className="text-gray-500">No issue was flagged or blocked by another issue. Blocked time comes from the Flagged field and "is blocked by" links in the issue history; a link counts as blocking until it is removed or the issue is resolved.</p>;
+    }
+
+    const { summary, byGroup, byReason, cycleTime, issues } = blockedTime;
+    const cycleComparison = [
+        { name: 'Average', withBlocked: cycleTime.withBlocked.avg, excludingBlocked: cycleTime.excludingBlocked.avg },
+        { name: 'Median (P50)', withBlocked: cycleTime.withBlocked.p50, excludingBlocked: cycleTime.excludingBlocked.p50 },
+        { name: '85th Percentile', withBlocked: cycleTime.withBlocked.p85, excludingBlocked: cycleTime.excludingBlocked.p85 },
+    ];
+
+    return (
+        <div className="space-y-6">
+            <p className="text-sm text-gray-600">
+                An issue is blocked while it is flagged or has an "is blocked by" link. A link counts as blocking until it is removed or the issue is resolved.
+            </p>
+            <div className="grid grid-cols-2 gap-4 lg:grid-cols-4">
+                <div className="rounded-lg border p-4 text-center">
+                    <p className="text-sm font-medium text-gray-500">Issues Blocked</p>
+                    <p className="mt-1 text-2xl font-bold text-gray-800">{summary.issuesBlocked}</p>
+                    <p className="mt-1 text-xs text-gray-500">{summary.currentlyBlocked} unresolved and still blocked</p>
+                </div>
+                <div className="rounded-lg border p-4 text-center">
+                    <p className="text-sm font-medium text-gray-500">Total Blocked Time</p>
+                    <p className="mt-1 text-2xl font-bold text-gray-800">{formatDays(summary.totalBlockedDays)}</p>
+                    <p className="mt-1 text-xs text-gray-500">{dayUnitLabel}</p>
+                </div>
+                <div className="rounded-lg border p-4 text-center">
+                    <p className="text-sm font-medium text-gray-500">Cycle Time Blocked</p>
+                    <p className="mt-1 text-2xl font-bold text-gray-800">{(cycleTime.blockedShare * 100).toFixed(1)}%</p>
+                    <p className="mt-1 text-xs text-gray-500">{cycleTime.completedBlocked} of {cycleTime.completed} completed issues</p>
+                </div>
+                <div className="rounded-lg border p-4 text-center">
+                    <p className="text-sm font-medium text-gray-500">P85 Without Blocked Time</p>
+                    <p className="mt-1 text-2xl font-bold text-gray-800">{formatDays(cycleTime.excludingBlocked.p85)}</p>
+                    <p className="mt-1 text-xs text-gray-500">vs {formatDays(cycleTime.withBlocked.p85)} {dayUnitLabel} with it</p>
+                </div>
+            </div>
+
+            <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
+                {/* Blocked time per group */}
+                <div>
+                    <h3 className="mb-2 text-sm font-semibold text-gray-700">Blocked Time by Status Group</h3>
+                    <div style={{ width: '100%', height: 250 }}>
+                        <ResponsiveContainer width="100%" height="100%" minWidth={0} minHeight={200}>
+                            <BarChart data={byGroup} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
+                                <CartesianGrid strokeDasharray="3 3" />
+                                <XAxis dataKey="groupName" fontSize={12} />
+                                <YAxis label={{ value: `Blocked (${dayUnitLabel})`, angle: -90, position: 'insideLeft' }} />
+                                <RechartsTooltip formatter={(value, name, entry) => [`${formatDays(value)} ${dayUnitLabel} (${entry.payload.issues} issues)`, name]} />
+                                <Bar dataKey="blockedDays" name="Blocked time" fill="#F59E0B" />
+                            </BarChart>
+                        </ResponsiveContainer>
+                    </div>
+                    <p className="mt-1 text-xs text-gray-500">
+                        {byReason.filter(r => r.issues > 0).map(r => `${r.label}: ${formatDays(r.blockedDays)} ${dayUnitLabel} (${r.issues} issues)`).join(' · ')}
+                    </p>
+                </div>
+
+                {/* Cycle time with vs without blocked time */}
+                <div>
+                    <h3 className="mb-2 text-sm font-semibold text-gray-700">Cycle Time With and Without Blocked Time</h3>
+                    <div style={{ width: '100%', height: 250 }}>
+                        <ResponsiveContainer width="100%" height="100%" minWidth={0} minHeight={200}>
+                            <BarChart data={cycleComparison} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
+                                <CartesianGrid strokeDasharray="3 3" />
+                                <XAxis dataKey="name" fontSize={12} />
+                                <YAxis label={{ value: `Cycle Time (${dayUnitLabel})`, angle: -90, position: 'insideLeft' }} />
+                                <RechartsTooltip formatter={(value) => formatDays(value)} />
+                                <Legend />
+                                <Bar dataKey="withBlocked" name="As measured" fill="#3B82F6" />
+                                <Bar dataKey="excludingBlocked" name="Without blocked time" fill="#10B981" />
+                            </BarChart>
+                        </ResponsiveContainer>
+                    </div>
+                </div>
+            </div>
+
+            {/* Most blocked issues */}
+            <div>
+                <h3 className="mb-2 text-sm font-semibold text-gray-700">Most Blocked Issues</h3>
+                <div className="max-h-72 overflow-y-auto">
+                    <table className="min-w-full divide-y divide-gray-200 text-sm">
+                        <thead className="sticky top-0 bg-gray-50">
+                            <tr>
+                                <th className="px-3 py-2 text-left font-medium text-gray-500">Issue</th>
+                                <th className="px-3 py-2 text-left font-medium text-gray-500">Reason</th>
+                                <th className="px-3 py-2 text-right font-medium text-gray-500">Blocked ({dayUnitLabel})</th>
+                                <th className="px-3 py-2 text-left font-medium text-gray-500">Now</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-100">
+                            {issues.slice(0, MAX_LISTED_ISSUES).map(issue => (
+                                <tr key={issue.key}>
+                                    <td className="px-3 py-2">
+                                        {getIssueUrl(jiraBrowseUrl, issue.key)
+                                            ? <a href={getIssueUrl(jiraBrowseUrl, issue.key)} target="_blank" rel="noopener noreferrer" className="font-medium text-blue-600 hover:underline">{issue.key}</a>
+                                            : <span className="font-medium">{issue.key}</span>}
+                                        {issue.summary && <span className="ml-2 text-gray-600">{issue.summary}</span>}
+                                    </td>
+                                    <td className="whitespace-nowrap px-3 py-2 text-gray-700">{issue.reasons.map(reason => REASON_LABELS[reason]).join(', ')}</td>
+                                    <td className="px-3 py-2 text-right text-gray-700">{formatDays(issue.blockedDays)}</td>
+                                    <td className="whitespace-nowrap px-3 py-2">
+                                        {issue.currentlyBlocked
+                                            ? <span className="rounded bg-red-100 px-2 py-0.5 text-xs font-medium text-red-800" title={`Since ${issue.blockedSince}`}>Blocked</span>
+                                            : <span className="text-xs text-gray-500">Unblocked</span>}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+                {issues.length > MAX_LISTED_ISSUES && <p className="mt-1 text-xs text-gray-500">Showing the {MAX_LISTED_ISSUES} most blocked of {issues.length} issues.</p>}
+            </div>
+        </div>
+    );
+}
+
+export default BlockedTimeChart;
@@ -0,0 +1,131 @@
+/*
+ * JiraMetricsDashboard - CycleTimeScatterplot.jsx
+ *
+ * One dot per completed issue: completion date (X) against cycle time (Y), with
+ * p50/p85/p95 reference lines. Dots above the 85th percentile are listed as outliers;
+ * dots and outlier keys link to the issue in Jira. Issues that were blocked during their cycle get an amber ring.
+ */
+
+import React, { useMemo } from 'react';
+import {
+  ResponsiveContainer, ScatterChart, Scatter, XAxis, YAxis, ZAxis, CartesianGrid,
+  Tooltip as RechartsTooltip, ReferenceLine,
+} from 'recharts';
+import { toZonedDateString } from '../utils/timezone.js';
+import { getIssueUrl, openIssue } from '../utils/jiraLinks.js';
+
+const PERCENTILE_LINES = [
+    { key: 'p50', label: '50%', color: '#10B981' },
+    { key: 'p85', label: '85%', color: '#F97316' },
+    { key: 'p95', label: '95%', color: '#EF4444' },
+];
+
+const ScatterTooltip = ({ active, payload, dayUnitLabel }) => {
+    if (active && payload && payload.length) {
+        const record = payload[0].payload;
+        return (
+            <div className="max-w-xs rounded border bg-white p-2 text-sm shadow">
+                <p className="font-bold">{record.key}</p>
+                {record.summary && <p className="text-gray-700">{record.summary}</p>}
+                <p className="text-gray-600">{[record.issueType, record.priority].filter(Boolean).join(' · ')}</p>
+                <p className="text-gray-600">{`${record.startDay} → ${record.completedDay}: ${record.durationDays.toFixed(1)} ${dayUnitLabel}`}</p>
+                {record.blockedDays > 0 && <p className="text-amber-600">{`Blocked ${record.blockedDays.toFixed(1)} ${dayUnitLabel} of it`}</p>}
+                <p className="text-xs text-gray-400">Click to open in Jira</p>
+            </div>
+        );
+    }
+    return null;
+};
+
+function CycleTimeScatterplot({
+    cycleTimeData, // processCycleTime() result: { records, p50, p85, p95 }
+    jiraBrowseUrl, // Site URL for issue links (may be null)
+    timezone = 'UTC', // The view's timezone (dates on the X axis)
+    dayUnitLabel = 'days',
+}) {
+    const records = cycleTimeData?.records || [];
+    const p85 = cycleTimeData?.p85 || 0;
+
+    const points = useMemo(() => records.map(record => ({
+        ...record,
+        completedTime: new Date(record.completedAt).getTime(),
+        startDay: toZonedDateString(new Date(record.startedAt), timezone),
+        completedDay: toZonedDateString(new Date(record.completedAt), timezone),
+        isOutlier: p85 > 0 && record.durationDays > p85,
+    })), [records, timezone, p85]);
+
+    const outliers = useMemo(() => points.filter(point => point.isOutlier).sort((a, b) => b.durationDays - a.durationDays), [points]);
+
+    if (records.length === 0) {
+        return <p className="text-gray-500">No completed issues with both a Work Start and a Resolution point.</p>;
+    }
+
+    const handlePointClick = (point) => openIssue(jiraBrowseUrl, point?.key || point?.payload?.key);
+    const formatDay = (time) => toZonedDateString(new Date(time), timezone);
+
+    return (
+        <div className="space-y-4">
+            <div style={{ width: '100%', height: 400 }}>
+                <ResponsiveContainer width="100%" height="100%" minWidth={0} minHeight={200}>
+                    <ScatterChart margin={{ top: 10, right: 60, left: 0, bottom: 0 }}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis type="number" dataKey="completedTime" domain={['dataMin', 'dataMax']} tickFormatter={formatDay} fontSize={12} name="Completed" />
+                        <YAxis type="number" dataKey="durationDays" label={{ value: `Cycle Time (${dayUnitLabel})`, angle: -90, position: 'insideLeft' }} />
+                        <ZAxis range={[50, 50]} />
+                        <RechartsTooltip content={<ScatterTooltip dayUnitLabel={dayUnitLabel} />} cursor={{ strokeDasharray: '3 3' }} />
+                        {PERCENTILE_LINES.filter(line => cycleTimeData[line.key] > 0).map(line => (
+                            <ReferenceLine key={line.key} y={cycleTimeData[line.key]} stroke={line.color} strokeDasharray="6 3" label={{ value: `${line.label} (${cycleTimeData[line.key].toFixed(1)})`, position: 'right', fill: line.color, fontSize: 11 }} />
+                        ))}
+                        <Scatter data={points} onClick={handlePointClick} cursor={jiraBrowseUrl ? 'pointer' : 'default'} shape={(props) => (
+                            <circle cx={props.cx} cy={props.cy} r={5} fill={props.payload.isOutlier ? '#EF4444' : '#3B82F6'} fillOpacity={0.75} stroke={props.payload.blockedDays > 0 ? '#F59E0B' : '#fff'} strokeWidth={props.payload.blockedDays > 0 ? 2 : 1} />
+                        )} />
+                    </ScatterChart>
+                </ResponsiveContainer>
+            </div>
+
+            {/* Outlier drilldown */}
+            <div>
+                <h3 className="mb-2 text-sm font-semibold text-gray-700">
+                    Outliers above the 85th percentile ({outliers.length} of {records.length})
+                </h3>
+                {outliers.length > 0 ? (
+                    <div className="max-h-72 overflow-y-auto">
+                        <table className="min-w-full divide-y divide-gray-200 text-sm">
+                            <thead className="sticky top-0 bg-gray-50">
+                                <tr>
+                                    <th className="px-4 py-2 text-left font-medium text-gray-500">Issue</th>
+                                    <th className="px-4 py-2 text-left font-medium text-gray-500">Type / Priority</th>
+                                    <th className="px-4 py-2 text-left font-medium text-gray-500">Started</th>
+                                    <th className="px-4 py-2 text-left font-medium text-gray-500">Completed</th>
+                                    <th className="px-4 py-2 text-right font-medium text-gray-500">Cycle Time ({dayUnitLabel})</th>
+                                    <th className="px-4 py-2 text-right font-medium text-gray-500">Blocked</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                                {outliers.map(record => (
+                                    <tr key={record.key}>
+                                        <td className="px-4 py-2">
+                                            {getIssueUrl(jiraBrowseUrl, record.key)
+                                                ? <a href={getIssueUrl(jiraBrowseUrl, record.key)} target="_blank" rel="noopener noreferrer" className="font-medium text-blue-600 hover:underline">{record.key}</a>
+                                                : <span className="font-medium">{record.key}</span>}
+                                            {record.summary && <span className="ml-2 text-gray-600">{record.summary}</span>}
+                                        </td>
+                                        <td className="whitespace-nowrap px-4 py-2 text-gray-700">{[record.issueType, record.priority].filter(Boolean).join(' / ') || '-'}</td>
+                                        <td className="whitespace-nowrap px-4 py-2 text-gray-700">{record.startDay}</td>
+                                        <td className="whitespace-nowrap px-4 py-2 text-gray-700">{record.completedDay}</td>
+                                        <td className="whitespace-nowrap px-4 py-2 text-right font-medium text-red-600">{record.durationDays.toFixed(1)}</td>
+                                        <td className="whitespace-nowrap px-4 py-2 text-right text-gray-700">{record.blockedDays > 0 ? record.blockedDays.toFixed(1) : '-'}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                ) : (
+                    <p className="text-sm text-gray-500">No outliers.</p>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default CycleTimeScatterplot;
@@ -0,0 +1,66 @@
+// frontend/src/components/FetchProgress.jsx
+import React from 'react';
+
+// Human-readable label for each backend fetch phase
+const describeProgress = (progress) => {
+    const { phase, page = 0, refsFound = 0, fetched = 0, failed = 0, total = 0, cacheHits = 0 } = progress;
+    switch (phase) {
+        case 'sync':
+            return total > 0 ? `Refreshing cache: ${fetched + failed}/${total} updated issues` : 'Checking cache for updated issues...';
+        case 'search':
+            return page > 0 ? `Step 1: page ${page}, ${refsFound} issues found` : 'Step 1: searching issues...';
+        case 'details':
+            return `Step 2: ${fetched}/${total} details fetched${failed ? `, ${failed} failed` : ''}${cacheHits ? ` (+${cacheHits} cached)` : ''}`;
+        default:
+            return 'Fetching...';
+    }
+};
+
+/**
+ * Progress bar for a streaming issue fetch.
+ * Search has no known total, so its bar is indeterminate (pulsing).
+ * @param {object} progress - Latest progress event from useJiraData.
+ * @param {Function} [onCancel] - Renders a Cancel button when provided.
+ * @param {boolean} [dark] - Styling for the dark log console.
+ */
+function FetchProgress({ progress, onCancel, dark = false }) {
+    if (!progress) return null;
+
+    const { fetched = 0, failed = 0, total = 0 } = progress;
+    const hasTotal = (progress.phase === 'details' || progress.phase === 'sync') && total > 0;
+    const percent = hasTotal ? Math.min(100, ((fetched + failed) / total) * 100) : 100;
+
+    return (
+        <div className="w-full">
+            <div className="mb-1 flex items-center justify-between gap-2">
+                <span className={`truncate text-sm ${dark ? 'text-gray-300' : 'text-gray-700'}`}>
+                    {describeProgress(progress)}
+                </span>
+                <div className="flex flex-shrink-0 items-center gap-2">
+                    {hasTotal && <span className={`text-xs ${dark ? 'text-gray-400' : 'text-gray-500'}`}>{percent.toFixed(0)}%</span>}
+                    {onCancel && (
+                        <button
+                            onClick={onCancel}
+                            className="rounded border border-red-300 px-2 py-0.5 text-xs font-medium text-red-600 hover:bg-red-50"
+                            title="Cancel the in-flight fetch"
+                        >
+                            Cancel
+                        </button>
+                    )}
+                </div>
+            </div>
+            <div className={`h-2 w-full overflow-hidden rounded-full ${dark ? 'bg-gray-700' : 'bg-gray-200'}`}>
+                <div
+                    className={`h-2 rounded-full bg-blue-500 transition-all duration-300 ${hasTotal ? '' : 'animate-pulse'}`}
+                    style={{ width: `${percent}%` }}
+                    role="progressbar"
+                    aria-valuenow={hasTotal ? Math.round(percent) : undefined}
+                    aria-valuemin={0}
+                    aria-valuemax={100}
+                />
+            </div>
+        </div>
+    );
+}
+
+export default FetchProgress;
@@ -5,7 +5,10 @@
  * allowing selection by Status Group OR individual Status.
  */
 
-import React, { useState, useEffect, useMemo } from 'react'; // Import useEffect here
+import React, { useState, useEffect, useMemo, useCallback } from 'react'; // Import useEffect here
+import { WEEKDAY_LABELS, normalizeCalendarConfig } from '../utils/workingCalendar.js';
+import { isValidTimeZone, getSupportedTimeZones } from '../utils/timezone.js';
+import { COMPARISON_MODES, getComparisonRange } from '../utils/periodComparison.js';
 
 // --- Helper Component for Flow Config Section ---
 const FlowConfigSelector = ({
@@ -98,6 +101,142 @@ const FlowConfigSelector = ({
 };
 // --- End Helper Component ---
 
+// --- Helper Component for the Flow Efficiency Section ---
+// Marks groups (and optionally single statuses, which take precedence) as active or waiting time
+const FlowActivitySelector = ({ config, onConfigChange, availableGroups, availableStatuses, formatStatusName, isLoading, inputClass }) => {
+    const activityOf = (type, value) => config.find(entry => entry.type === type && entry.value === value)?.activity || '';
+
+    const handleChange = (type, value, activity) => {
+        const others = config.filter(entry => !(entry.type === type && entry.value === value));
+        onConfigChange(activity ? [...others, { type, value, activity }] : others);
+    };
+
+    const renderActivitySelect = (type, value, label) => (
+        <div key={`${type}-${value}`} className="grid grid-cols-2 items-center gap-2">
+            <span className="truncate text-sm text-gray-700" title={label}>{label}</span>
+            <select className={inputClass} value={activityOf(type, value)} onChange={(e) => handleChange(type, value, e.target.value)} disabled={isLoading}>
+                <option value="">{type === 'status' ? '-- Use Group --' : '-- Not Set --'}</option>
+                <option value="active">Active</option>
+                <option value="waiting">Waiting</option>
+            </select>
+        </div>
+    );
+
+    if (availableGroups.length === 0) {
+        return <p className="text-sm text-gray-500">{isLoading ? 'Loading statuses...' : 'No status groups yet.'}</p>;
+    }
+    return (
+        <div className="space-y-3">
+            <div className="max-h-60 space-y-2 overflow-y-auto pr-2">
+                {availableGroups.map(group => renderActivitySelect('group', group.name, group.name))}
+            </div>
+            <details>
+                <summary className="cursor-pointer text-sm font-medium text-blue-600">Override individual statuses</summary>
+                <div className="mt-2 max-h-60 space-y-2 overflow-y-auto pr-2">
+                    {availableStatuses.map(status => (
+                        status && status.id != null
+                            ? renderActivitySelect('status', String(status.id), formatStatusName(status))
+                            : null
+                    ))}
+                </div>
+            </details>
+        </div>
+    );
+};
+// --- End Helper Component ---
+
+// --- Helper Component for the Working Calendar Section ---
+// Edits are kept in a local draft and applied together; the business time toggle applies immediately
+const WorkingCalendarConfig = ({ config, onConfigChange, isLoading, inputClass, buttonClass }) => {
+    const toDraft = (calendar) => ({ ...calendar, holidaysText: calendar.holidays.join('\n') });
+    const [draft, setDraft] = useState(() => toDraft(config));
+    const [draftError, setDraftError] = useState('');
+
+    useEffect(() => {
+        setDraft(toDraft(config));
+        setDraftError('');
+    }, [config]);
+
+    const toggleWorkingDay = (day) => {
+        setDraft((prev) => ({
+            ...prev,
+            workingDays: prev.workingDays.includes(day) ? prev.workingDays.filter(d => d !== day) : [...prev.workingDays, day],
+        }));
+    };
+
+    const handleApply = () => {
+        const holidays = draft.holidaysText.split(/[\s,]+/).filter(Boolean);
+        const invalidHolidays = holidays.filter(d => !/^\d{4}-\d{2}-\d{2}$/.test(d) || isNaN(new Date(d)));
+        if (draft.workingDays.length === 0) return setDraftError('Select at least one working day.');
+        if (!draft.dayStart || !draft.dayEnd || draft.dayStart >= draft.dayEnd) return setDraftError('The working day must end after it starts.');
+        if (!isValidTimeZone(draft.timezone)) return setDraftError(`Unknown timezone "${draft.timezone}".`);
+        if (invalidHolidays.length > 0) return setDraftError(`Holidays must be YYYY-MM-DD dates: ${invalidHolidays.join(', ')}`);
+        const { holidaysText: _holidaysText, ...calendar } = draft;
+        onConfigChange(normalizeCalendarConfig({ ...calendar, holidays, enabled: config.enabled }));
+    };
+
+    return (
+        <div className="space-y-4">
+            <div className="flex items-center">
+                <input
+                    id="calendar-enabled"
+                    type="checkbox"
+                    checked={config.enabled}
+                    onChange={(e) => onConfigChange({ ...config, enabled: e.target.checked })}
+                    disabled={isLoading}
+                    className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+                <label htmlFor="calendar-enabled" className="ml-2 block text-sm font-medium text-gray-900">
+                    Business time
+                </label>
+            </div>
+            <p className="text-xs text-gray-500">
+                When on, cycle time, MTTA/MTTR and time in status only count working hours, and a day is one working day. The dashboard can then switch those figures between business and calendar time.
+            </p>
+            <fieldset>
+                <legend className="mb-1 block text-sm font-medium text-gray-700">Working Days</legend>
+                <div className="flex flex-wrap gap-x-3 gap-y-1">
+                    {WEEKDAY_LABELS.map((label, day) => (
+                        <label key={label} className="flex items-center text-sm text-gray-900">
+                            <input
+                                type="checkbox"
+                                checked={draft.workingDays.includes(day)}
+                                onChange={() => toggleWorkingDay(day)}
+                                disabled={isLoading}
+                                className="mr-1 h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                            />
+                            {label}
+                        </label>
+                    ))}
+                </div>
+            </fieldset>
+            <div className="grid grid-cols-2 gap-2">
+                <div>
+                    <label htmlFor="calendar-dayStart" className="mb-1 block text-sm font-medium text-gray-700">Day Starts</label>
+                    <input type="time" id="calendar-dayStart" className={inputClass} value={draft.dayStart} onChange={(e) => setDraft(prev => ({ ...prev, dayStart: e.target.value }))} disabled={isLoading} />
+                </div>
+                <div>
+                    <label htmlFor="calendar-dayEnd" className="mb-1 block text-sm font-medium text-gray-700">Day Ends</label>
+                    <input type="time" id="calendar-dayEnd" className={inputClass} value={draft.dayEnd} onChange={(e) => setDraft(prev => ({ ...prev, dayEnd: e.target.value }))} disabled={isLoading} />
+                </div>
+            </div>
+            <div>
+                <label htmlFor="calendar-timezone" className="mb-1 block text-sm font-medium text-gray-700">Timezone</label>
+                <input type="text" id="calendar-timezone" list="timezone-options" className={inputClass} value={draft.timezone} onChange={(e) => setDraft(prev => ({ ...prev, timezone: e.target.value.trim() }))} disabled={isLoading} placeholder="e.g. Europe/Berlin" />
+            </div>
+            <div>
+                <label htmlFor="calendar-holidays" className="mb-1 block text-sm font-medium text-gray-700">Holidays</label>
+                <textarea id="calendar-holidays" rows={3} className={`${inputClass} font-mono`} value={draft.holidaysText} onChange={(e) => setDraft(prev => ({ ...prev, holidaysText: e.target.value }))} disabled={isLoading} placeholder="One YYYY-MM-DD date per line" />
+            </div>
+            {draftError && <p className="text-xs text-red-600" role="alert">{draftError}</p>}
+            <button type="button" onClick={handleApply} disabled={isLoading} className={`${buttonClass} w-full`}>
+                Apply Calendar & Re-Process
+            </button>
+        </div>
+    );
+};
+// --- End Helper Component ---
+
 
 function FilterPanel({
   metadata, // Now includes allStatuses: [{id, name}]
@@ -109,16 +248,43 @@ function FilterPanel({
   endDate,
   onStartDateChange,
   onEndDateChange,
+  timezone,
+  onTimezoneChange,
+  comparisonConfig,
+  onComparisonConfigChange,
   standardFilters,
   onStandardFiltersChange,
+  jqlErrors = [], // Parse errors for the advanced JQL clause
+  onValidateJql,
   triageConfig,
   onTriageConfigChange,
   cycleStartConfig,
   onCycleStartConfigChange,
   cycleEndConfig,
   onCycleEndConfigChange,
+  calendarConfig,
+  onCalendarConfigChange,
+  flowActivityConfig = [],
+  onFlowActivityConfigChange,
 }) {
   const [groupNameMap, setGroupNameMap] = useState({});
+  // Typed timezone; only valid names are applied (each change re-processes the metrics)
+  const [timezoneInput, setTimezoneInput] = useState(timezone);
+  const timeZoneOptions = useMemo(() => getSupportedTimeZones(), []);
+  const isTimezoneInputValid = isValidTimeZone(timezoneInput);
+
+  useEffect(() => {
+    setTimezoneInput(timezone);
+  }, [timezone]);
+
+  const handleTimezoneInputChange = (value) => {
+    const trimmed = value.trim();
+    setTimezoneInput(trimmed);
+    if (isValidTimeZone(trimmed) && trimmed !== timezone) onTimezoneChange(trimmed);
+  };
+
+  const comparisonRange = getComparisonRange(comparisonConfig, startDate, endDate);
+  const handleComparisonChange = (changes) => onComparisonConfigChange(prev => ({ ...prev, ...changes }));
 
   // --- MOVED: CSS Styles Definition (as constants) ---
   const inputStdClass = "block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm";
@@ -212,11 +378,23 @@ function FilterPanel({
       if (!metadata?.statuses || !Array.isArray(metadata.statuses)) return [];
       return [...metadata.statuses].sort((a,b) => (a.name || '').localeCompare(b.name || ''));
   }, [metadata]);
+
+  // In multi-project loads, entries not shared by every project are suffixed with their project keys
+  const loadedProjectCount = metadata?.projects?.length || 0;
+  const withProjectScope = useCallback((name, entry) => {
+      if (loadedProjectCount < 2 || !Array.isArray(entry?.projectKeys) || entry.projectKeys.length >= loadedProjectCount) return name;
+      return `${name} (${entry.projectKeys.join(', ')})`;
+  }, [loadedProjectCount]);
   // --- End Memoize ---
 
 
   return (
     <aside className="sticky top-6 space-y-6">
+      {/* Shared suggestions for the timezone inputs */}
+      <datalist id="timezone-options">
+        {timeZoneOptions.map(tz => <option key={tz} value={tz} />)}
+      </datalist>
+
       {/* --- Standard Filters --- */}
       <form
         onSubmit={handleSubmitFilters}
@@ -235,11 +413,51 @@ function FilterPanel({
             <label htmlFor="filter-endDate" className="mb-1 block text-sm font-medium text-gray-700"> End Date </label>
             <input type="date" id="filter-endDate" className={inputStdClass} value={endDate} onChange={(e) => onEndDateChange(e.target.value)} disabled={isLoading || !metadata} />
           </div>
+          {/* Timezone */}
+          <div>
+            <label htmlFor="filter-timezone" className="mb-1 block text-sm font-medium text-gray-700"> Timezone </label>
+            <input
+              type="text"
+              id="filter-timezone"
+              list="timezone-options"
+              className={`${inputStdClass} ${isTimezoneInputValid ? '' : 'border-red-500 focus:border-red-500 focus:ring-red-500'}`}
+              value={timezoneInput}
+              onChange={(e) => handleTimezoneInputChange(e.target.value)}
+              disabled={isLoading || !metadata}
+              placeholder="e.g. America/Los_Angeles"
+              aria-invalid={!isTimezoneInputValid}
+            />
+            <p className={`mt-1 text-xs ${isTimezoneInputValid ? 'text-gray-500' : 'text-red-600'}`}>
+              {isTimezoneInputValid ? 'Dates, throughput and CFD days are in this timezone.' : `Unknown timezone. Still using ${timezone}.`}
+            </p>
+          </div>
+          {/* Comparison Period */}
+          {comparisonConfig && onComparisonConfigChange && (
+            <div>
+              <label htmlFor="filter-comparison" className="mb-1 block text-sm font-medium text-gray-700"> Compare With </label>
+              <select id="filter-comparison" className={inputStdClass} value={comparisonConfig.mode} onChange={(e) => handleComparisonChange({ mode: e.target.value })} disabled={isLoading || !metadata}>
+                {COMPARISON_MODES.map(mode => <option key={mode.value} value={mode.value}>{mode.label}</option>)}
+              </select>
+              {comparisonConfig.mode === 'custom' && (
+                <div className="mt-2 grid grid-cols-2 gap-2">
+                  <input type="date" aria-label="Comparison start date" className={inputStdClass} value={comparisonConfig.startDate} onChange={(e) => handleComparisonChange({ startDate: e.target.value })} disabled={isLoading || !metadata} />
+                  <input type="date" aria-label="Comparison end date" className={inputStdClass} value={comparisonConfig.endDate} onChange={(e) => handleComparisonChange({ endDate: e.target.value })} disabled={isLoading || !metadata} />
+                </div>
+              )}
+              {comparisonConfig.mode !== 'off' && (
+                <p className="mt-1 text-xs text-gray-500">
+                  {comparisonRange
+                    ? `${comparisonRange.startDate} to ${comparisonRange.endDate}. Loaded together with the main range.`
+                    : 'Pick a start and end date for the comparison range.'}
+                </p>
+              )}
+            </div>
+          )}
           {/* Issue Types Filter */}
           <div>
             <label htmlFor="filter-issueTypes" className="mb-1 block text-sm font-medium text-gray-700"> Issue Types </label>
             <select id="filter-issueTypes" multiple className={`${inputStdClass} h-24`} value={standardFilters.issueTypes} onChange={(e) => handleFilterChange('issueTypes', e.target.options)} disabled={!metadata?.issueTypes || isLoading}>
-              {(metadata?.issueTypes || []).map((it) => it && it.id != null ? (<option key={it.id} value={it.id}>{it.name || `Type ${it.id}`}</option>) : null )}
+              {(metadata?.issueTypes || []).map((it) => it && it.id != null ? (<option key={it.id} value={it.id}>{withProjectScope(it.name || `Type ${it.id}`, it)}</option>) : null )}
             </select>
           </div>
           {/* Priorities Filter */}
@@ -250,6 +468,35 @@ function FilterPanel({
             </select>
           </div>
 
+          {/* Advanced JQL Filter */}
+          <div>
+            <label htmlFor="filter-jql" className="mb-1 block text-sm font-medium text-gray-700"> Advanced JQL </label>
+            <textarea
+              id="filter-jql"
+              rows={3}
+              className={`${inputStdClass} font-mono ${jqlErrors.length > 0 ? 'border-red-500 focus:border-red-500 focus:ring-red-500' : ''}`}
+              value={standardFilters.jql || ''}
+              onChange={(e) => onStandardFiltersChange((prev) => ({ ...prev, jql: e.target.value }))}
+              disabled={isLoading || !metadata}
+              placeholder='e.g. labels = platform AND component = "API"'
+              aria-invalid={jqlErrors.length > 0}
+              aria-describedby={jqlErrors.length > 0 ? 'filter-jql-errors' : undefined}
+            />
+            <div className="mt-1 flex items-start justify-between gap-2">
+              <p className="text-xs text-gray-500">Combined with the filters above using AND.</p>
+              {onValidateJql && (
+                <button type="button" onClick={() => onValidateJql(standardFilters.jql)} disabled={isLoading || !metadata || !standardFilters.jql?.trim()} className="flex-shrink-0 text-xs font-medium text-blue-600 hover:underline disabled:cursor-not-allowed disabled:opacity-50">
+                  Check JQL
+                </button>
+              )}
+            </div>
+            {jqlErrors.length > 0 && (
+              <ul id="filter-jql-errors" className="mt-1 list-disc space-y-0.5 pl-4 text-xs text-red-600">
+                {jqlErrors.map((message, i) => <li key={i}>{message}</li>)}
+              </ul>
+            )}
+          </div>
+
           {/* Submit Button */}
           <button type="submit" disabled={isLoading || !metadata} className={`${buttonPrimaryClass} w-full`}>
             {isLoading ? 'Loading...' : 'Load Ticket Data'}
@@ -270,8 +517,8 @@ function FilterPanel({
             {availableStatusesForSelect.map((status) =>
               status && status.id != null ? (
                 <div key={status.id} className="grid grid-cols-2 items-center gap-2">
-                  <span className="truncate text-sm text-gray-700" title={status.name}>
-                    {status.name || 'Unnamed Status'}
+                  <span className="truncate text-sm text-gray-700" title={withProjectScope(status.name, status)}>
+                    {withProjectScope(status.name || 'Unnamed Status', status)}
                   </span>
                   <input
                     type="text"
@@ -337,6 +584,39 @@ function FilterPanel({
           />
         </div>
       </div>
+
+      {/* --- Flow Efficiency --- */}
+      <div className="rounded-lg bg-white p-4 shadow-lg">
+        <h3 className="mb-4 border-b pb-2 text-lg font-semibold text-gray-800">
+          Flow Efficiency
+        </h3>
+        <p className="mb-3 text-sm text-gray-600">
+          Mark where work is actively done and where it waits. Flow efficiency is active time divided by cycle time.
+        </p>
+        <FlowActivitySelector
+          config={flowActivityConfig}
+          onConfigChange={onFlowActivityConfigChange}
+          availableGroups={availableGroupsForSelect}
+          availableStatuses={availableStatusesForSelect}
+          formatStatusName={(status) => withProjectScope(status.name || `Status ${status.id}`, status)}
+          isLoading={isLoading || !metadata}
+          inputClass={inputStdClass}
+        />
+      </div>
+
+      {/* --- Working Calendar --- */}
+      <div className="rounded-lg bg-white p-4 shadow-lg">
+        <h3 className="mb-4 border-b pb-2 text-lg font-semibold text-gray-800">
+          Working Calendar
+        </h3>
+        <WorkingCalendarConfig
+          config={calendarConfig}
+          onConfigChange={onCalendarConfigChange}
+          isLoading={isLoading}
+          inputClass={inputStdClass}
+          buttonClass={buttonSuccessClass}
+        />
+      </div>
     </aside>
   );
 }
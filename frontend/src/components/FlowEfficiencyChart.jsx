@@ -0,0 +1,118 @@
+/*
+ * JiraMetricsDashboard - FlowEfficiencyChart.jsx
+ *
+ * Flow efficiency (active time / cycle time) of completed issues: headline numbers,
+ * per-issue distribution, weekly trend and where the cycle time went per group.
+ */
+
+import React from 'react';
+import {
+  ResponsiveContainer, BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip,
+} from 'recharts';
+
+const ACTIVITY_STYLES = {
+    active: 'bg-green-100 text-green-800',
+    waiting: 'bg-yellow-100 text-yellow-800',
+    mixed: 'bg-gray-100 text-gray-700',
+};
+
+const formatPercent = (value) => `${((Number(value) || 0) * 100).toFixed(1)}%`;
+
+function FlowEfficiencyChart({
+    flowEfficiency, // processFlowEfficiency() result
+    dayUnitLabel = 'days',
+}) {
+    if (!flowEfficiency || flowEfficiency.issues.length === 0) {
+        return (
+            <p className="text-gray-500">
+                No flow efficiency data. Mark status groups as Active or Waiting in the Flow Efficiency panel; completed issues (Work Start to Resolution) are then measured.
+            </p>
+        );
+    }
+
+    const { issues, overall, distribution, trend, byGroup } = flowEfficiency;
+    const trendData = trend.map(week => ({ ...week, efficiencyPct: week.efficiency * 100 }));
+
+    return (
+        <div className="space-y-6">
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+                <div className="rounded-lg border p-4 text-center">
+                    <p className="text-sm font-medium text-gray-500">Flow Efficiency</p>
+                    <p className="mt-1 text-2xl font-bold text-gray-800">{formatPercent(overall.efficiency)}</p>
+                    <p className="mt-1 text-xs text-gray-500">Total active time / total cycle time</p>
+                </div>
+                <div className="rounded-lg border p-4 text-center">
+                    <p className="text-sm font-medium text-gray-500">Average per Issue</p>
+                    <p className="mt-1 text-2xl font-bold text-gray-800">{formatPercent(overall.avgEfficiency)}</p>
+                    <p className="mt-1 text-xs text-gray-500">{issues.length} completed issues</p>
+                </div>
+                <div className="rounded-lg border p-4 text-center">
+                    <p className="text-sm font-medium text-gray-500">Median per Issue</p>
+                    <p className="mt-1 text-2xl font-bold text-gray-800">{formatPercent(overall.p50Efficiency)}</p>
+                </div>
+            </div>
+
+            <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
+                <div>
+                    <h3 className="mb-2 text-sm font-semibold text-gray-700">Issues by Flow Efficiency</h3>
+                    <div style={{ width: '100%', height: 250 }}>
+                        <ResponsiveContainer width="100%" height="100%" minWidth={0} minHeight={200}>
+                            <BarChart data={distribution} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
+                                <CartesianGrid strokeDasharray="3 3" />
+                                <XAxis dataKey="range" fontSize={11} />
+                                <YAxis allowDecimals={false} />
+                                <RechartsTooltip />
+                                <Bar dataKey="count" name="Issues" fill="#10B981" />
+                            </BarChart>
+                        </ResponsiveContainer>
+                    </div>
+                </div>
+                <div>
+                    <h3 className="mb-2 text-sm font-semibold text-gray-700">Weekly Trend (by Completion Week)</h3>
+                    <div style={{ width: '100%', height: 250 }}>
+                        <ResponsiveContainer width="100%" height="100%" minWidth={0} minHeight={200}>
+                            <LineChart data={trendData} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
+                                <CartesianGrid strokeDasharray="3 3" />
+                                <XAxis dataKey="weekStart" fontSize={11} />
+                                <YAxis domain={[0, 100]} unit="%" />
+                                <RechartsTooltip formatter={(value, name, entry) => [`${value.toFixed(1)}% (${entry.payload.issues} issues)`, 'Flow efficiency']} />
+                                <Line type="monotone" dataKey="efficiencyPct" name="Flow efficiency" stroke="#3B82F6" strokeWidth={2} dot />
+                            </LineChart>
+                        </ResponsiveContainer>
+                    </div>
+                </div>
+            </div>
+
+            {/* Where the cycle time went */}
+            <div>
+                <h3 className="mb-2 text-sm font-semibold text-gray-700">Cycle Time by Group</h3>
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <th className="px-4 py-2 text-left font-medium text-gray-500">Group</th>
+                            <th className="px-4 py-2 text-left font-medium text-gray-500">Marked As</th>
+                            <th className="px-4 py-2 text-right font-medium text-gray-500">Total ({dayUnitLabel})</th>
+                            <th className="px-4 py-2 text-right font-medium text-gray-500">Share of Cycle Time</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                        {byGroup.map(group => (
+                            <tr key={group.groupName}>
+                                <td className="px-4 py-2 text-gray-800">{group.groupName}</td>
+                                <td className="px-4 py-2">
+                                    {group.activity
+                                        ? <span className={`rounded px-2 py-0.5 text-xs font-medium ${ACTIVITY_STYLES[group.activity]}`}>{group.activity}</span>
+                                        : <span className="text-xs text-gray-400">not set</span>}
+                                </td>
+                                <td className="px-4 py-2 text-right text-gray-700">{group.totalDays.toFixed(1)}</td>
+                                <td className="px-4 py-2 text-right text-gray-700">{formatPercent(group.share)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+}
+
+export default FlowEfficiencyChart;
@@ -0,0 +1,133 @@
+/*
+ * JiraMetricsDashboard - ForecastPanel.jsx
+ *
+ * Forecast tab: Monte Carlo answers to "when will N items be done?" and
+ * "how many items by date X?" from the view's daily throughput (see utils/forecast.js).
+ */
+
+import React, { useMemo, useState } from 'react';
+import {
+  ResponsiveContainer, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, ReferenceLine,
+} from 'recharts';
+import {
+  CONFIDENCE_LEVELS, DEFAULT_MAX_DAYS, getThroughputSamples, forecastWhenDone, forecastItemsByDate, forecastDayToDate, daysUntil,
+} from '../utils/forecast.js';
+import { toZonedDateString } from '../utils/timezone.js';
+
+const CONFIDENCE_COLORS = { 50: '#F59E0B', 85: '#10B981', 95: '#3B82F6' };
+const inputStdClass = "block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm";
+
+const ResultCard = ({ level, value, detail }) => (
+    <div className="rounded-lg border p-4 text-center" style={{ borderColor: CONFIDENCE_COLORS[level] }}>
+        <p className="text-sm font-medium text-gray-500">{level}% confidence</p>
+        <p className="mt-1 text-2xl font-bold text-gray-800">{value}</p>
+        {detail && <p className="mt-1 text-xs text-gray-500">{detail}</p>}
+    </div>
+);
+
+function ForecastPanel({
+    throughputData = [], // [{ date, count }] from processThroughput
+    defaultBacklogSize = 10,
+    timezone = 'UTC', // The view's timezone ("today" and forecast dates)
+}) {
+    // Fixed while the panel is open, so the horizon stays in step with the default target date
+    const today = useMemo(() => toZonedDateString(new Date(), timezone), [timezone]);
+    const [backlogSize, setBacklogSize] = useState(String(defaultBacklogSize || 10));
+    const [targetDate, setTargetDate] = useState(() => forecastDayToDate(today, 30));
+
+    // Only days that already happened count as history
+    const samples = useMemo(() => getThroughputSamples(throughputData, today), [throughputData, today]);
+    const totalCompleted = samples.reduce((sum, count) => sum + count, 0);
+
+    const items = parseInt(backlogSize, 10);
+    const whenDone = useMemo(() => forecastWhenDone(samples, items), [samples, items]);
+    const horizonDays = targetDate ? daysUntil(today, targetDate) : 0;
+    const byDate = useMemo(() => forecastItemsByDate(samples, horizonDays), [samples, horizonDays]);
+
+    if (samples.length === 0 || totalCompleted === 0) {
+        return (
+            <div className="rounded-lg bg-white p-6 shadow-lg">
+                <p className="text-gray-500">No completed issues in the selected date range, so there is no throughput history to forecast from.</p>
+            </div>
+        );
+    }
+
+    const distributionData = (whenDone?.distribution || []).map(({ value, count }) => ({
+        date: forecastDayToDate(today, value),
+        days: value,
+        trials: count,
+    }));
+
+    return (
+        <>
+            <div className="rounded-lg bg-white p-6 shadow-lg">
+                <h2 className="mb-2 text-xl font-semibold text-gray-800">Monte Carlo Forecast</h2>
+                <p className="text-sm text-gray-600">
+                    Based on {samples.length} days of throughput ({totalCompleted} items completed, {(totalCompleted / samples.length).toFixed(2)} per day on average).
+                    Each of {whenDone?.trials ?? byDate?.trials ?? 0} simulations replays randomly chosen past days. Forecasts start tomorrow ({forecastDayToDate(today, 1)}).
+                </p>
+            </div>
+
+            {/* When will N items be done? */}
+            <div className="rounded-lg bg-white p-6 shadow-lg">
+                <h2 className="mb-4 text-xl font-semibold text-gray-800">When will these items be done?</h2>
+                <div className="mb-4 max-w-xs">
+                    <label htmlFor="forecast-backlog" className="mb-1 block text-sm font-medium text-gray-700">Items remaining</label>
+                    <input id="forecast-backlog" type="number" min="1" step="1" className={inputStdClass} value={backlogSize} onChange={(e) => setBacklogSize(e.target.value)} />
+                </div>
+                {whenDone ? (
+                    <>
+                        <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+                            {CONFIDENCE_LEVELS.map(level => (
+                                <ResultCard key={level} level={level} value={forecastDayToDate(today, whenDone.byConfidence[level])} detail={`within ${whenDone.byConfidence[level]} days`} />
+                            ))}
+                        </div>
+                        {whenDone.unfinishedTrials > 0 && (
+                            <p className="mt-2 text-xs text-yellow-700">{whenDone.unfinishedTrials} simulations did not finish within 10 years.</p>
+                        )}
+                        <div className="mt-6" style={{ width: '100%', height: 260 }}>
+                            <ResponsiveContainer width="100%" height="100%" minWidth={0} minHeight={200}>
+                                <BarChart data={distributionData} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
+                                    <CartesianGrid strokeDasharray="3 3" />
+                                    <XAxis dataKey="date" fontSize={12} />
+                                    <YAxis allowDecimals={false} label={{ value: 'Simulations', angle: -90, position: 'insideLeft' }} />
+                                    <RechartsTooltip formatter={(value) => [value, 'Simulations finishing that day']} />
+                                    {CONFIDENCE_LEVELS.map(level => (
+                                        <ReferenceLine key={level} x={forecastDayToDate(today, whenDone.byConfidence[level])} stroke={CONFIDENCE_COLORS[level]} strokeDasharray="6 3" label={{ value: `${level}%`, position: 'top', fill: CONFIDENCE_COLORS[level], fontSize: 11 }} />
+                                    ))}
+                                    <Bar dataKey="trials" name="Simulations" fill="#93C5FD" />
+                                </BarChart>
+                            </ResponsiveContainer>
+                        </div>
+                    </>
+                ) : (
+                    <p className="text-gray-500">Enter a whole number of items (1 or more).</p>
+                )}
+            </div>
+
+            {/* How many items by date X? */}
+            <div className="rounded-lg bg-white p-6 shadow-lg">
+                <h2 className="mb-4 text-xl font-semibold text-gray-800">How many items by a date?</h2>
+                <div className="mb-4 max-w-xs">
+                    <label htmlFor="forecast-targetDate" className="mb-1 block text-sm font-medium text-gray-700">Target date</label>
+                    <input id="forecast-targetDate" type="date" min={forecastDayToDate(today, 1)} max={forecastDayToDate(today, DEFAULT_MAX_DAYS)} className={inputStdClass} value={targetDate} onChange={(e) => setTargetDate(e.target.value)} />
+                </div>
+                {byDate ? (
+                    <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+                        {CONFIDENCE_LEVELS.map(level => (
+                            <ResultCard key={level} level={level} value={`${byDate.byConfidence[level]}+ items`} detail={`in ${byDate.days} days`} />
+                        ))}
+                    </div>
+                ) : (
+                    <p className="text-gray-500">
+                        {horizonDays > DEFAULT_MAX_DAYS
+                            ? `Pick a date up to ${forecastDayToDate(today, DEFAULT_MAX_DAYS)} (${DEFAULT_MAX_DAYS} days ahead).`
+                            : 'Pick a date after today.'}
+                    </p>
+                )}
+            </div>
+        </>
+    );
+}
+
+export default ForecastPanel;
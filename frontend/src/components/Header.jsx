@@ -16,7 +16,7 @@ const ExportIcon = () => (
 
 
 function Header({
-  projectKey: currentProjectKey,
+  projectKeys: currentProjectKeys,
   onProjectChange,
   // Saved Views
   savedViews,
@@ -31,12 +31,14 @@ function Header({
   // --- NEW: Prop to disable export ---
   canExport,
 }) {
-  const [projectKeyInput, setProjectKeyInput] = useState(currentProjectKey || '');
+  const currentProjectKeysLabel = (currentProjectKeys || []).join(', ');
+  const hasProject = currentProjectKeysLabel !== '';
+  const [projectKeyInput, setProjectKeyInput] = useState(currentProjectKeysLabel);
   const [selectedViewId, setSelectedViewId] = useState('');
 
-  useEffect(() => { setProjectKeyInput(currentProjectKey || ''); }, [currentProjectKey]);
-  const handleProjectSubmit = (e) => { e.preventDefault(); const key=projectKeyInput.trim().toUpperCase(); if(key && (key!==currentProjectKey || !currentProjectKey)){onProjectChange(key);} };
-  const handleSaveClick = () => { if (!currentProjectKey) { alert("Load project first."); return; } const name = prompt('View name:'); if (name) onSaveView(name.trim()); };
+  useEffect(() => { setProjectKeyInput(currentProjectKeysLabel); }, [currentProjectKeysLabel]);
+  const handleProjectSubmit = (e) => { e.preventDefault(); const keys=projectKeyInput.trim(); if(keys){onProjectChange(keys);} }; // Comma-separated keys, parsed by useJiraData
+  const handleSaveClick = () => { if (!hasProject) { alert("Load project first."); return; } const name = prompt('View name:'); if (name) onSaveView(name.trim()); };
   const handleLoadChange = (e) => { const id = e.target.value; setSelectedViewId(id); if (id) onLoadView(id); };
   const handleDeleteClick = () => { if (!selectedViewId) { alert('Select view first.'); return; } const view = savedViews?.find(v => v._id === selectedViewId); if (view) { if (window.confirm(`Delete "${view.name}"?`)) { onDeleteView(selectedViewId, view.name); setSelectedViewId(''); } } else { alert("View not found."); } };
 
@@ -52,7 +54,7 @@ function Header({
             </div>
             {/* Project Input Form */}
              <form onSubmit={handleProjectSubmit} className="flex w-full max-w-xs flex-shrink">
-                <input type="text" className="block w-full min-w-0 flex-1 rounded-l-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm" placeholder="Project Key (e.g., PROJ)" value={projectKeyInput} onChange={(e) => setProjectKeyInput(e.target.value)} aria-label="Jira Project Key" />
+                <input type="text" className="block w-full min-w-0 flex-1 rounded-l-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm" placeholder="Project Key(s) (e.g., PROJ, OPS)" value={projectKeyInput} onChange={(e) => setProjectKeyInput(e.target.value)} aria-label="Jira Project Keys" />
                 <button type="submit" className="-ml-px relative inline-flex items-center space-x-2 rounded-r-md border border-gray-300 bg-gray-50 px-3 py-2 text-sm font-medium text-gray-700 hover:bg-gray-100 focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500">Load</button>
             </form>
         </div>
@@ -64,7 +66,7 @@ function Header({
                <span className="text-sm font-medium text-gray-600">Saved Views:</span>
                <div className="flex w-full flex-col gap-2 sm:w-auto sm:flex-row">
                    <select value={selectedViewId} onChange={handleLoadChange} disabled={isLoadingViews || !savedViews || savedViews.length === 0} className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:w-48 sm:text-sm" aria-label="Load Saved View"> <option value="">{isLoadingViews ? 'Loading...' : '-- Load View --'}</option> {(savedViews || []).map((view) => ( <option key={view?._id} value={view?._id}> {view?.name} </option> ))} </select>
-                   <button onClick={handleSaveClick} disabled={!currentProjectKey} className="inline-flex items-center rounded-md border border-transparent bg-blue-600 px-3 py-2 text-sm font-medium text-white shadow-sm hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:cursor-not-allowed disabled:bg-gray-400" title={!currentProjectKey ? "Load a project first" : "Save current filters as a view"}>Save</button>
+                   <button onClick={handleSaveClick} disabled={!hasProject} className="inline-flex items-center rounded-md border border-transparent bg-blue-600 px-3 py-2 text-sm font-medium text-white shadow-sm hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:cursor-not-allowed disabled:bg-gray-400" title={!hasProject ? "Load a project first" : "Save current filters as a view"}>Save</button>
                    <button onClick={handleDeleteClick} disabled={!selectedViewId || isLoadingViews} className="inline-flex items-center rounded-md border border-red-300 bg-white px-3 py-2 text-sm font-medium text-red-700 shadow-sm hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50" title={!selectedViewId ? "Select a view to delete" : "Delete selected view"}>Delete</button>
                </div>
            </div>
@@ -0,0 +1,86 @@
+/*
+ * JiraMetricsDashboard - LeadTimeChart.jsx
+ *
+ * Lead time (creation to resolution) next to cycle time (work start to resolution) and the
+ * pre-start wait before work begins (processLeadTime()), as percentiles and histograms.
+ */
+
+import React from 'react';
+import {
+  ResponsiveContainer, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, Legend,
+} from 'recharts';
+
+const formatDays = (value) => (typeof value === 'number' ? value.toFixed(1) : 'N/A');
+
+const Histogram = ({ title, stats, color, dayUnitLabel }) => (
+    <div>
+        <h3 className="mb-1 text-sm font-semibold text-gray-700">{title}</h3>
+        <p className="mb-2 text-xs text-gray-500">
+            {stats.durations.length > 0
+                ? `${stats.durations.length} issues · P50 ${formatDays(stats.p50)} · P85 ${formatDays(stats.p85)} · P95 ${formatDays(stats.p95)} ${dayUnitLabel}`
+                : 'No issues measured.'}
+        </p>
+        {stats.histogram.length > 0 && (
+            <div style={{ width: '100%', height: 250 }}>
+                <ResponsiveContainer width="100%" height="100%" minWidth={0} minHeight={200}>
+                    <BarChart data={stats.histogram} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="range" fontSize={12} />
+                        <YAxis allowDecimals={false} label={{ value: 'Issue Count', angle: -90, position: 'insideLeft' }} />
+                        <RechartsTooltip />
+                        <Bar dataKey="count" name="Issues" fill={color} />
+                    </BarChart>
+                </ResponsiveContainer>
+            </div>
+        )}
+    </div>
+);
+
+function LeadTimeChart({
+    leadTimeData, // processLeadTime() result: { leadTime, preStartWait }
+    cycleTimeData, // processCycleTime() result
+    dayUnitLabel = 'days',
+}) {
+    if (!leadTimeData || leadTimeData.leadTime.durations.length === 0) {
+        return <p className="text-gray-500">No resolved issues. Lead time runs from creation to the Resolution point.</p>;
+    }
+
+    const { leadTime, preStartWait } = leadTimeData;
+    const comparison = ['avg', 'p50', 'p85', 'p95'].map(key => ({
+        name: key === 'avg' ? 'Average' : key.toUpperCase(),
+        preStartWait: preStartWait[key],
+        cycleTime: cycleTimeData?.[key] || 0,
+        leadTime: leadTime[key],
+    }));
+
+    return (
+        <div className="space-y-6">
+            <div>
+                <h3 className="mb-2 text-sm font-semibold text-gray-700">Pre-Start Wait, Cycle Time and Lead Time</h3>
+                <div style={{ width: '100%', height: 300 }}>
+                    <ResponsiveContainer width="100%" height="100%" minWidth={0} minHeight={200}>
+                        <BarChart data={comparison} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
+                            <CartesianGrid strokeDasharray="3 3" />
+                            <XAxis dataKey="name" fontSize={12} />
+                            <YAxis label={{ value: dayUnitLabel, angle: -90, position: 'insideLeft' }} />
+                            <RechartsTooltip formatter={(value) => formatDays(value)} />
+                            <Legend />
+                            <Bar dataKey="preStartWait" name="Pre-start wait" fill="#F59E0B" />
+                            <Bar dataKey="cycleTime" name="Cycle time" fill="#3B82F6" />
+                            <Bar dataKey="leadTime" name="Lead time" fill="#8B5CF6" />
+                        </BarChart>
+                    </ResponsiveContainer>
+                </div>
+                <p className="mt-1 text-xs text-gray-500">
+                    Each measure covers the issues that reached its end point, so pre-start wait and cycle time percentiles do not add up to lead time.
+                </p>
+            </div>
+            <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
+                <Histogram title="Lead Time Histogram (Created to End Point)" stats={leadTime} color="#8B5CF6" dayUnitLabel={dayUnitLabel} />
+                <Histogram title="Pre-Start Wait Histogram (Created to Start Point)" stats={preStartWait} color="#F59E0B" dayUnitLabel={dayUnitLabel} />
+            </div>
+        </div>
+    );
+}
+
+export default LeadTimeChart;
@@ -1,13 +1,25 @@
 /*
  * JiraMetricsDashboard - MetricsDashboard.jsx
  *
- * Displays metrics in tabs: Overall Metrics, Flow Metrics, Current State.
+ * Displays metrics in tabs: Overall Metrics, Flow Metrics, Trends, Current State (incl. Aging WIP), Segments, SLA, Forecast.
  * Includes improved Stat Cards with tooltips.
  */
 
 import React, { useState } from 'react';
 import TimeInStatusTable from './TimeInStatusTable.jsx';
 import StatCardWithTooltip from './StatCardWithTooltip.jsx'; // Using the updated card
+import FetchProgress from './FetchProgress.jsx';
+import AgingWipChart from './AgingWipChart.jsx';
+import ForecastPanel from './ForecastPanel.jsx';
+import CycleTimeScatterplot from './CycleTimeScatterplot.jsx';
+import FlowEfficiencyChart from './FlowEfficiencyChart.jsx';
+import SegmentedMetrics from './SegmentedMetrics.jsx';
+import TrendCharts from './TrendCharts.jsx';
+import TransitionMatrix from './TransitionMatrix.jsx';
+import BlockedTimeChart from './BlockedTimeChart.jsx';
+import LeadTimeChart from './LeadTimeChart.jsx';
+import SlaPanel from './SlaPanel.jsx';
+import { getStatDelta } from '../utils/periodComparison.js';
 import {
   ResponsiveContainer, PieChart, Pie, Cell, Tooltip as RechartsTooltip,
   Legend, AreaChart, Area, BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid,
@@ -76,12 +88,31 @@ function MetricsDashboard({
     error,
     groupOrder = [],
     statusMap,
-    statusGroups
+    statusGroups,
+    fetchProgress,
+    onCancelFetch,
+    jiraBrowseUrl, // Site URL for issue links
+    timezone, // The view's timezone
+    segmentConfig, // "Segment by" dimension
+    onSegmentConfigChange,
+    customFields, // Custom fields offered for "segment by"
+    slaConfig, // SLA targets per priority
+    onSlaConfigChange,
+    priorities, // Offered in the SLA target editor
+    issueTypes,
 }) {
   const [activeTab, setActiveTab] = useState('overall');
+  const [timeBasis, setTimeBasis] = useState('business'); // Business-time views: 'business' or 'calendar' durations
 
   // Loading State
-  if (isLoading) { return ( <div className="rounded-lg bg-white p-6 shadow-lg"><LoadingSpinner /></div> ); }
+  if (isLoading) {
+    return (
+      <div className="rounded-lg bg-white p-6 shadow-lg">
+        <LoadingSpinner />
+        {fetchProgress && <div className="mx-auto max-w-xl"><FetchProgress progress={fetchProgress} onCancel={onCancelFetch} /></div>}
+      </div>
+    );
+  }
 
   // Error State
   if (error && !isLoading) { return ( <div className="rounded-md border border-red-300 bg-red-50 p-4 text-red-700 shadow-lg" role="alert"><strong className="font-bold">Error: </strong><span className="block sm:inline">{String(error)}</span></div> ); }
@@ -93,9 +124,24 @@ function MetricsDashboard({
   if (!processedData) return null;
 
   const {
-    distribution, timeInStatus, cycleTimeData = {}, throughputData = [],
-    cfdData = [], summaryStats = {}, supportMetrics = {},
+    distribution, throughputData = [], cfdData = [], agingWip, flowEfficiency, trends, transitions, blockedTime, segments, sla, comparison, durationBasis, calendarTime,
   } = processedData;
+  // Business time: hours are working hours and a day is one working day
+  const isBusinessTime = durationBasis === 'business';
+  const dayUnitLabel = isBusinessTime ? 'business days' : 'days';
+  // Business-time views also carry wall-clock figures; the toggle switches cycle/lead time, MTTA/MTTR and time in status
+  const showCalendarTime = isBusinessTime && timeBasis === 'calendar' && !!calendarTime;
+  const {
+    timeInStatus, cycleTimeData = {}, leadTimeData, summaryStats = {}, supportMetrics = {},
+  } = showCalendarTime ? calendarTime : processedData;
+  const shownDayUnitLabel = showCalendarTime ? 'days' : dayUnitLabel;
+  // Comparison period (optional): deltas on the stat cards and an overlay on the throughput chart
+  const previousStats = showCalendarTime ? comparison?.calendarSummaryStats : comparison?.summaryStats;
+  const hasComparison = !!previousStats;
+  // Comparison days are aligned by position (day 1 with day 1, ...)
+  const throughputChartData = hasComparison
+    ? throughputData.map((day, i) => ({ ...day, previousCount: comparison.throughputData[i]?.count ?? null }))
+    : throughputData;
 
   console.log('[MetricsDashboard] Rendering with:', { summaryStats, supportMetrics });
 
@@ -109,9 +155,17 @@ function MetricsDashboard({
   const tooltipTexts = {
       mtta: "Mean Time to Acknowledge (MTTA): Average time from issue creation until it moves out of the configured 'Triage/New' status/group.",
       mttr: "Mean Time to Resolution (MTTR): Average time from issue creation until it first enters the configured 'Resolution' status/group.",
+      p50Mtta: "Median Time to Acknowledge: half of the acknowledged issues left the 'Triage/New' status/group within this time. Unlike the mean, a few very old tickets do not move it.",
+      p85Mtta: "85th Percentile Time to Acknowledge: 85% of the acknowledged issues left the 'Triage/New' status/group within this time.",
+      p50Mttr: "Median Time to Resolution: half of the resolved issues first reached the 'Resolution' status/group within this time. Unlike the mean, a few very old tickets do not move it.",
+      p85Mttr: "85th Percentile Time to Resolution: 85% of the resolved issues first reached the 'Resolution' status/group within this time.",
       avgCycle: "Average Cycle Time (Work): Average time from first entering the configured 'Work Start' status/group until first entering the configured 'Resolution' status/group.",
       p50Cycle: "Median Cycle Time (Work): 50% of issues that completed the work cycle finished within this many days (P50). Calculated between 'Work Start' and 'Resolution' points.",
       p85Cycle: "85th Percentile Cycle Time (Work): 85% of issues that completed the work cycle finished within this many days (P85). Calculated between 'Work Start' and 'Resolution' points.",
+      avgLead: "Average Lead Time: Average time from issue creation until first entering the configured 'Resolution' status/group, including the wait before work starts.",
+      p50Lead: "Median Lead Time: 50% of resolved issues were delivered within this many days of being created (P50).",
+      p85Lead: "85th Percentile Lead Time: 85% of resolved issues were delivered within this many days of being created (P85).",
+      p50PreStartWait: "Median Pre-start Wait: half of the issues that reached the 'Work Start' status/group waited this long after creation before work began.",
       // currentWip: "Current Work In Progress (WIP): Count of issues currently in any status *not* included in the 'Triage/New', 'Work Start', or 'Resolution' configurations." // Removed
   };
 
@@ -122,6 +176,11 @@ function MetricsDashboard({
       }
       return `${num.toFixed(decimals)}${unit}`;
   };
+  // Delta props for a stat card (all current cards are durations, so lower is better)
+  const comparisonProps = (statKey, currentValue, unit) => (hasComparison ? {
+      delta: getStatDelta(currentValue, previousStats[statKey]),
+      previousValue: formatValue(previousStats[statKey], unit),
+  } : {});
 
   return (
     <div className="space-y-6">
@@ -130,10 +189,41 @@ function MetricsDashboard({
         <nav className="-mb-px flex space-x-6" aria-label="Tabs">
            <button onClick={() => setActiveTab('overall')} className={`whitespace-nowrap border-b-2 px-1 py-4 text-sm font-medium ${ activeTab === 'overall' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:border-gray-300 hover:text-gray-700' }`} > Overall Metrics </button>
            <button onClick={() => setActiveTab('flow')} className={`whitespace-nowrap border-b-2 px-1 py-4 text-sm font-medium ${ activeTab === 'flow' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:border-gray-300 hover:text-gray-700' }`} > Flow & Cycle Time </button>
+           <button onClick={() => setActiveTab('trends')} className={`whitespace-nowrap border-b-2 px-1 py-4 text-sm font-medium ${ activeTab === 'trends' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:border-gray-300 hover:text-gray-700' }`} > Trends </button>
            <button onClick={() => setActiveTab('current')} className={`whitespace-nowrap border-b-2 px-1 py-4 text-sm font-medium ${ activeTab === 'current' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:border-gray-300 hover:text-gray-700' }`} > Current State </button>
+           <button onClick={() => setActiveTab('segments')} className={`whitespace-nowrap border-b-2 px-1 py-4 text-sm font-medium ${ activeTab === 'segments' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:border-gray-300 hover:text-gray-700' }`} > Segments </button>
+           <button onClick={() => setActiveTab('sla')} className={`whitespace-nowrap border-b-2 px-1 py-4 text-sm font-medium ${ activeTab === 'sla' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:border-gray-300 hover:text-gray-700' }`} > SLA </button>
+           <button onClick={() => setActiveTab('forecast')} className={`whitespace-nowrap border-b-2 px-1 py-4 text-sm font-medium ${ activeTab === 'forecast' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:border-gray-300 hover:text-gray-700' }`} > Forecast </button>
         </nav>
       </div>
 
+      {comparison && (
+        <p className="rounded-md border border-gray-200 bg-gray-50 px-3 py-2 text-sm text-gray-700">
+          {hasComparison
+            ? `Compared with ${comparison.startDate} to ${comparison.endDate} (${comparison.issueCount} issues). Green arrows are improvements.`
+            : `No issues were loaded for the comparison period ${comparison.startDate} to ${comparison.endDate}. Click "Load Ticket Data" to fetch it.`}
+        </p>
+      )}
+
+      {isBusinessTime && (
+        <div className="flex flex-wrap items-center justify-between gap-2 rounded-md border border-blue-200 bg-blue-50 px-3 py-2 text-sm text-blue-700">
+          <p>
+            {showCalendarTime
+              ? 'Cycle time, lead time, MTTA/MTTR and time in status are shown in calendar time (wall clock). Other charts stay in business time.'
+              : 'Durations are in business time (working hours of the configured calendar).'}
+          </p>
+          {calendarTime && (
+            <label className="flex items-center gap-2">
+              <span className="font-medium">Show durations in</span>
+              <select className="rounded-md border-gray-300 py-1 text-sm shadow-sm focus:border-blue-500 focus:ring-blue-500" value={timeBasis} onChange={(e) => setTimeBasis(e.target.value)}>
+                <option value="business">Business time</option>
+                <option value="calendar">Calendar time</option>
+              </select>
+            </label>
+          )}
+        </div>
+      )}
+
       {/* --- Tab Content --- */}
       <div className="space-y-6">
 
@@ -153,17 +243,81 @@ function MetricsDashboard({
                             value={formatValue(supportMetrics.avgMttaHours, 'h')}
                             subtext="Mean Time to Acknowledge"
                             tooltipText={tooltipTexts.mtta}
+                            {...comparisonProps('avgMttaHours', supportMetrics.avgMttaHours, 'h')}
                             iconPlaceholder="⏱️"
                         />
+                        <StatCardWithTooltip
+                            title="Median MTTA"
+                            value={formatValue(summaryStats.p50MttaHours, 'h')}
+                            subtext="50% acknowledged within"
+                            tooltipText={tooltipTexts.p50Mtta}
+                            {...comparisonProps('p50MttaHours', summaryStats.p50MttaHours, 'h')}
+                            iconPlaceholder="📊"
+                        />
+                        <StatCardWithTooltip
+                            title="85th % MTTA"
+                            value={formatValue(summaryStats.p85MttaHours, 'h')}
+                            subtext={`85% acknowledged within (P95: ${formatValue(summaryStats.p95MttaHours, 'h')})`}
+                            tooltipText={tooltipTexts.p85Mtta}
+                            {...comparisonProps('p85MttaHours', summaryStats.p85MttaHours, 'h')}
+                            iconPlaceholder="📈"
+                        />
                         <StatCardWithTooltip
                             title="MTTR"
                             value={formatValue(supportMetrics.avgMttrHours, 'h')}
                             subtext="Mean Time to Resolution"
                             tooltipText={tooltipTexts.mttr}
+                            {...comparisonProps('avgMttrHours', supportMetrics.avgMttrHours, 'h')}
                             iconPlaceholder="✅"
                         />
-                         {/* Add more operational cards here if needed */}
+                        <StatCardWithTooltip
+                            title="Median MTTR"
+                            value={formatValue(summaryStats.p50MttrHours, 'h')}
+                            subtext="50% resolved within"
+                            tooltipText={tooltipTexts.p50Mttr}
+                            {...comparisonProps('p50MttrHours', summaryStats.p50MttrHours, 'h')}
+                            iconPlaceholder="📊"
+                        />
+                        <StatCardWithTooltip
+                            title="85th % MTTR"
+                            value={formatValue(summaryStats.p85MttrHours, 'h')}
+                            subtext={`85% resolved within (P95: ${formatValue(summaryStats.p95MttrHours, 'h')})`}
+                            tooltipText={tooltipTexts.p85Mttr}
+                            {...comparisonProps('p85MttrHours', summaryStats.p85MttrHours, 'h')}
+                            iconPlaceholder="📈"
+                        />
                     </div>
+                    {isBusinessTime && !showCalendarTime && <p className="mt-2 text-xs text-gray-500">Hours are working hours.</p>}
+                </div>
+
+                {/* --- MTTA / MTTR Distributions --- */}
+                <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
+                    {[
+                        { title: 'Time to Acknowledge Distribution', stats: supportMetrics.mtta, color: '#3B82F6' },
+                        { title: 'Time to Resolution Distribution', stats: supportMetrics.mttr, color: '#10B981' },
+                    ].map(({ title, stats, color }) => (
+                        <div key={title} className="rounded-lg bg-white p-6 shadow-lg">
+                            <h2 className="mb-1 text-xl font-semibold text-gray-800">{title}</h2>
+                            <p className="mb-4 text-sm text-gray-500">
+                                {stats?.durations?.length
+                                    ? `${stats.durations.length} issues · P50 ${formatValue(stats.p50, 'h')} · P85 ${formatValue(stats.p85, 'h')} · P95 ${formatValue(stats.p95, 'h')}`
+                                    : 'No issues measured.'}
+                            </p>
+                            {stats?.histogram?.length > 0 && (
+                                <div style={{ width: '100%', height: 250 }}>
+                                    <ResponsiveContainer width="100%" height="100%" minWidth={0} minHeight={minChartHeight}>
+                                        <BarChart data={stats.histogram} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
+                                            <CartesianGrid strokeDasharray="3 3" />
+                                            <XAxis dataKey="range" fontSize={12} />
+                                            <YAxis allowDecimals={false} label={{ value: 'Issue Count', angle: -90, position: 'insideLeft' }} />
+                                            <RechartsTooltip content={<CustomChartTooltip />} />
+                                            <Bar dataKey="count" name="Issues" fill={color} />
+                                        </BarChart>
+                                    </ResponsiveContainer>
+                                </div>
+                            )}
+                        </div>
+                    ))}
                 </div>
 
                 {/* --- Cycle Time Metrics Section --- */}
@@ -177,25 +331,69 @@ function MetricsDashboard({
                             value={formatValue(summaryStats.avgCycleTime, 'd')}
                             subtext="In Progress to Resolved"
                             tooltipText={tooltipTexts.avgCycle}
+                            {...comparisonProps('avgCycleTime', summaryStats.avgCycleTime, 'd')}
                             iconPlaceholder="⏳"
                         />
                         <StatCardWithTooltip
                             title="Median Cycle (Work)"
                             value={formatValue(summaryStats.p50CycleTime, 'd')}
-                            subtext="50% finish within (days)"
+                            subtext={`50% finish within (${shownDayUnitLabel})`}
                             tooltipText={tooltipTexts.p50Cycle}
+                            {...comparisonProps('p50CycleTime', summaryStats.p50CycleTime, 'd')}
                             iconPlaceholder="📊"
                         />
                         <StatCardWithTooltip
                             title="85th % Cycle (Work)"
                             value={formatValue(summaryStats.p85CycleTime, 'd')}
-                            subtext="85% finish within (days)"
+                            subtext={`85% finish within (${shownDayUnitLabel})`}
                             tooltipText={tooltipTexts.p85Cycle}
+                            {...comparisonProps('p85CycleTime', summaryStats.p85CycleTime, 'd')}
                             iconPlaceholder="📈"
                         />
                     </div>
                 </div>
 
+                {/* --- Lead Time Metrics Section --- */}
+                 <div>
+                    <h3 className="mb-3 text-lg font-semibold text-gray-700 border-b pb-1">
+                        Lead Time 📦
+                    </h3>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-5">
+                         <StatCardWithTooltip
+                            title="Avg Lead Time"
+                            value={formatValue(summaryStats.avgLeadTime, 'd')}
+                            subtext="Created to Resolved"
+                            tooltipText={tooltipTexts.avgLead}
+                            {...comparisonProps('avgLeadTime', summaryStats.avgLeadTime, 'd')}
+                            iconPlaceholder="📦"
+                        />
+                        <StatCardWithTooltip
+                            title="Median Lead Time"
+                            value={formatValue(summaryStats.p50LeadTime, 'd')}
+                            subtext={`50% delivered within (${shownDayUnitLabel})`}
+                            tooltipText={tooltipTexts.p50Lead}
+                            {...comparisonProps('p50LeadTime', summaryStats.p50LeadTime, 'd')}
+                            iconPlaceholder="📊"
+                        />
+                        <StatCardWithTooltip
+                            title="85th % Lead Time"
+                            value={formatValue(summaryStats.p85LeadTime, 'd')}
+                            subtext={`85% delivered within (${shownDayUnitLabel})`}
+                            tooltipText={tooltipTexts.p85Lead}
+                            {...comparisonProps('p85LeadTime', summaryStats.p85LeadTime, 'd')}
+                            iconPlaceholder="📈"
+                        />
+                        <StatCardWithTooltip
+                            title="Median Pre-start Wait"
+                            value={formatValue(summaryStats.p50PreStartWait, 'd')}
+                            subtext="Created to Work Start"
+                            tooltipText={tooltipTexts.p50PreStartWait}
+                            {...comparisonProps('p50PreStartWait', summaryStats.p50PreStartWait, 'd')}
+                            iconPlaceholder="⏸️"
+                        />
+                    </div>
+                </div>
+
                  {/* --- REMOVED Current WIP Card --- */}
 
              </div>
@@ -214,14 +412,44 @@ function MetricsDashboard({
                 <h2 className="mb-4 text-xl font-semibold text-gray-800">Cycle Time Histogram (Work: Start to End Point)</h2>
                 {cycleTimeData?.histogram && cycleTimeData.histogram.length > 0 ? ( <div style={{ width: '100%', height: 300 }}> <ResponsiveContainer width="100%" height="100%" minWidth={0} minHeight={minChartHeight}> <BarChart data={cycleTimeData.histogram} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}> <CartesianGrid strokeDasharray="3 3" /> <XAxis dataKey="range" fontSize={12} /> <YAxis allowDecimals={false} label={{ value: 'Issue Count', angle: -90, position: 'insideLeft' }} /> <RechartsTooltip content={<CustomChartTooltip />} /> <Bar dataKey="count" name="Issues" fill="#3B82F6" /> </BarChart> </ResponsiveContainer> </div> ) : ( <p className="text-gray-500">No cycle time data available.</p> )}
             </div>
+            {/* Lead Time vs Cycle Time */}
+            <div className="rounded-lg bg-white p-6 shadow-lg">
+                <h2 className="mb-4 text-xl font-semibold text-gray-800">Lead Time vs Cycle Time (Created / Start to End Point)</h2>
+                <LeadTimeChart leadTimeData={leadTimeData} cycleTimeData={cycleTimeData} dayUnitLabel={shownDayUnitLabel} />
+            </div>
+            {/* Cycle Time Scatterplot */}
+            <div className="rounded-lg bg-white p-6 shadow-lg">
+                <h2 className="mb-4 text-xl font-semibold text-gray-800">Cycle Time Scatterplot (by Completion Date)</h2>
+                <CycleTimeScatterplot cycleTimeData={cycleTimeData} jiraBrowseUrl={jiraBrowseUrl} timezone={timezone} dayUnitLabel={shownDayUnitLabel} />
+            </div>
+            {/* Flow Efficiency */}
+            <div className="rounded-lg bg-white p-6 shadow-lg">
+                <h2 className="mb-4 text-xl font-semibold text-gray-800">Flow Efficiency (Active vs Waiting)</h2>
+                <FlowEfficiencyChart flowEfficiency={flowEfficiency} dayUnitLabel={dayUnitLabel} />
+            </div>
+            {/* Blocked Time */}
+            <div className="rounded-lg bg-white p-6 shadow-lg">
+                <h2 className="mb-4 text-xl font-semibold text-gray-800">Blocked Time</h2>
+                <BlockedTimeChart blockedTime={blockedTime} jiraBrowseUrl={jiraBrowseUrl} dayUnitLabel={dayUnitLabel} />
+            </div>
+            {/* Transitions & Rework */}
+            <div className="rounded-lg bg-white p-6 shadow-lg">
+                <h2 className="mb-4 text-xl font-semibold text-gray-800">Status Transitions & Rework</h2>
+                <TransitionMatrix transitions={transitions} jiraBrowseUrl={jiraBrowseUrl} dayUnitLabel={dayUnitLabel} />
+            </div>
             {/* Throughput */}
             <div className="rounded-lg bg-white p-6 shadow-lg">
                 <h2 className="mb-4 text-xl font-semibold text-gray-800">Throughput (Completed Issues per Day)</h2>
-                {throughputData && throughputData.length > 0 ? ( <div style={{ width: '100%', height: 300 }}> <ResponsiveContainer width="100%" height="100%" minWidth={0} minHeight={minChartHeight}> <LineChart data={throughputData} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}> <CartesianGrid strokeDasharray="3 3" /> <XAxis dataKey="date" fontSize={12} /> <YAxis allowDecimals={false} label={{ value: 'Issues Completed', angle: -90, position: 'insideLeft' }}/> <RechartsTooltip content={<CustomChartTooltip />} /> <Legend /> <Line type="monotone" dataKey="count" name="Completed" stroke="#10B981" strokeWidth={2} dot={true} activeDot={{ r: 6 }}/> </LineChart> </ResponsiveContainer> </div> ) : ( <p className="text-gray-500">No throughput data available.</p> )}
+                {throughputData && throughputData.length > 0 ? ( <div style={{ width: '100%', height: 300 }}> <ResponsiveContainer width="100%" height="100%" minWidth={0} minHeight={minChartHeight}> <LineChart data={throughputChartData} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}> <CartesianGrid strokeDasharray="3 3" /> <XAxis dataKey="date" fontSize={12} /> <YAxis allowDecimals={false} label={{ value: 'Issues Completed', angle: -90, position: 'insideLeft' }}/> <RechartsTooltip content={<CustomChartTooltip />} /> <Legend /> <Line type="monotone" dataKey="count" name="Completed" stroke="#10B981" strokeWidth={2} dot={true} activeDot={{ r: 6 }}/> {hasComparison && <Line type="monotone" dataKey="previousCount" name={`Comparison (from ${comparison.startDate})`} stroke="#9CA3AF" strokeWidth={2} strokeDasharray="5 5" dot={false} connectNulls={false} />} </LineChart> </ResponsiveContainer> </div> ) : ( <p className="text-gray-500">No throughput data available.</p> )}
             </div>
           </>
         )}
 
+        {/* --- Trends Tab --- */}
+        {activeTab === 'trends' && (
+          <TrendCharts trends={trends} dayUnitLabel={dayUnitLabel} isBusinessTime={isBusinessTime} />
+        )}
+
         {/* --- Current State Tab --- */}
         {activeTab === 'current' && (
           <>
@@ -230,6 +458,11 @@ function MetricsDashboard({
               <h2 className="mb-4 text-xl font-semibold text-gray-800">Current Status Distribution (by Group)</h2>
               {distribution?.byGroup && distribution.byGroup.some(d => d.count > 0) ? ( <div style={{ width: '100%', height: 400 }}> <ResponsiveContainer width="100%" height="100%" minWidth={0} minHeight={minChartHeight}> <PieChart> <Pie data={distribution.byGroup.filter((d) => d.count > 0)} cx="50%" cy="50%" labelLine={false} label={renderCustomizedPieLabel} outerRadius={150} fill="#8884d8" dataKey="count" nameKey="name"> {distribution.byGroup .filter((d) => d.count > 0) .map((entry, index) => ( <Cell key={`cell-${index}`} fill={getGroupColor(entry.name)}/> ))} </Pie> <RechartsTooltip content={<CustomPieTooltip />} /> <Legend layout="horizontal" align="center" verticalAlign="bottom" wrapperStyle={{paddingTop: '20px'}}/> </PieChart> </ResponsiveContainer> </div> ) : ( <p className="text-gray-500">No distribution data available.</p> )}
             </div>
+            {/* Aging Work In Progress */}
+            <div className="rounded-lg bg-white p-6 shadow-lg">
+              <h2 className="mb-4 text-xl font-semibold text-gray-800">Aging Work In Progress</h2>
+              <AgingWipChart agingWip={agingWip} groupOrder={groupOrder} jiraBrowseUrl={jiraBrowseUrl} dayUnitLabel={dayUnitLabel} />
+            </div>
             {/* Time In Status Table */}
             <div className="rounded-lg bg-white p-6 shadow-lg">
               <h2 className="mb-4 text-xl font-semibold text-gray-800">Average Time Spent in Status (per Issue)</h2>
@@ -237,6 +470,21 @@ function MetricsDashboard({
             </div>
           </>
         )}
+
+        {/* --- Segments Tab --- */}
+        {activeTab === 'segments' && (
+          <SegmentedMetrics segments={segments} segmentConfig={segmentConfig} onSegmentConfigChange={onSegmentConfigChange} customFields={customFields} dayUnitLabel={dayUnitLabel} />
+        )}
+
+        {/* --- SLA Tab --- */}
+        {activeTab === 'sla' && (
+          <SlaPanel sla={sla} slaConfig={slaConfig} onSlaConfigChange={onSlaConfigChange} priorities={priorities} issueTypes={issueTypes} jiraBrowseUrl={jiraBrowseUrl} isBusinessTime={isBusinessTime} />
+        )}
+
+        {/* --- Forecast Tab --- */}
+        {activeTab === 'forecast' && (
+          <ForecastPanel throughputData={throughputData} defaultBacklogSize={agingWip?.items?.length} timezone={timezone} />
+        )}
       </div>
     </div>
   );
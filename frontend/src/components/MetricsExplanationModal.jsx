@@ -65,6 +65,10 @@ function MetricsExplanationModal({ isOpen, onClose }) {
                         <MetricDef
                             term="MTTR (Mean Time to Resolution)"
                             definition="Average time (in hours) from issue creation until it first enters any status within the configured 'Resolution Point'. Measures the total time from reporting to resolution."
+                        />
+                        <MetricDef
+                            term="Median / 85th % MTTA and MTTR"
+                            definition="Percentiles of the same durations: 50% (or 85%) of the acknowledged or resolved issues took this long or less; P95 is shown under the 85th percentile. A single very old ticket can pull the mean far up, but barely moves the percentiles. The histograms below the cards show the full distributions."
                         />
                          <MetricDef
                             term="Avg Cycle (Work)"
@@ -78,6 +82,22 @@ function MetricsExplanationModal({ isOpen, onClose }) {
                             term="85th % Cycle (Work) / P85"
                             definition="The cycle time (in days) within which 85% of completed issues finished the 'Work Start' to 'Resolution Point' cycle. Indicates the cycle time for the vast majority, helping understand predictability."
                         />
+                        <MetricDef
+                            term="Lead Time (Avg / Median / 85th %)"
+                            definition="Time (in days) from issue creation until it first enters any status in the 'Resolution Point', i.e. what the requester waits for. Unlike cycle time it includes the wait before work starts, and it also covers issues that were resolved without passing the 'Work Start Point'."
+                        />
+                        <MetricDef
+                            term="Median Pre-start Wait"
+                            definition="Time (in days) from issue creation until it first enters any status in the 'Work Start Point'. Half of the started issues waited this long or less. A long wait with a short cycle time points to queueing before work rather than slow work."
+                        />
+                        <MetricDef
+                            term="Business vs Calendar Time"
+                            definition="With 'Business time' on in the filters, durations only count the working hours of the calendar, and a day is one working day. The same figures are also computed in calendar (wall-clock) time: the 'Show durations in' switch above the tabs flips cycle time, lead time, MTTA/MTTR and time in status between the two. Other charts stay in business time."
+                        />
+                        <MetricDef
+                            term="Comparison Period"
+                            definition="With 'Compare With' set in the filters, the previous period of equal length (or a custom range) is loaded together with the main range and processed the same way. Each card then shows the change against it; green means an improvement (shorter times). The throughput chart overlays the comparison period day by day."
+                        />
                     </ExplanationSection>
 
                     <ExplanationSection title="🌊 Flow & Cycle Time Tab">
@@ -89,11 +109,47 @@ function MetricsExplanationModal({ isOpen, onClose }) {
                         <MetricDef
                             term="Cycle Time Histogram"
                             definition="Shows the distribution of cycle times (Work Start to Resolution Point) for issues completed within the date range. Visualizes how many issues fall into different duration buckets (e.g., 0-1 days, 1-2 days)."
+                        />
+                        <MetricDef
+                            term="Lead Time vs Cycle Time"
+                            definition="Compares the average and P50/P85/P95 of pre-start wait, cycle time and lead time side by side, with histograms of lead time (creation to Resolution Point) and pre-start wait (creation to Work Start Point). Each measure covers the issues that reached its end point."
                         />
                          <MetricDef
                             term="Throughput"
                             definition="Shows the number of issues that first entered the configured 'Resolution Point' status(es)/group on each day within the selected date range. Measures the rate of completion."
                         />
+                        <MetricDef
+                            term="Flow Efficiency"
+                            definition="Of each completed issue's cycle time (Work Start to Resolution), the share spent in groups/statuses marked 'Active' in the Flow Efficiency panel. Time in 'Waiting' or unmarked statuses lowers it. Shown overall (total active time / total cycle time), as a distribution across issues, as a weekly trend and per group."
+                        />
+                        <MetricDef
+                            term="Blocked Time"
+                            definition="Time an issue was flagged (Jira's Flagged field) or had an open 'is blocked by' link, read from the issue history. A link counts as blocking until it is removed or the issue is resolved; blocked time ends when an issue reaches the 'Resolution Point', and unresolved issues that are still blocked count until now. Shown per status group the issue was in while blocked, per reason, and as the share of completed issues' cycle time. Cycle time without blocked time subtracts the blocked part of each cycle. On the scatterplot, blocked issues have an amber ring."
+                        />
+                        <MetricDef
+                            term="Status Transitions & Rework"
+                            definition="Counts every status change in the issues' history. The heatmap shows moves between status groups (row = from, column = to) with the median time spent before moving; red cells are backward moves to an earlier group (rework). A reopen is a move out of a 'Resolution' status. Reopen rate = reopened issues / issues that were resolved at least once."
+                        />
+                        <MetricDef
+                            term="Cycle Time Scatterplot"
+                            definition="One dot per completed issue, placed by completion date and cycle time, with the 50th/85th/95th percentile lines. Red dots took longer than 85% of issues and are listed below the chart; click a dot or key to open the issue in Jira."
+                        />
+                    </ExplanationSection>
+
+                    <ExplanationSection title="📈 Trends Tab">
+                        <p>Shows whether delivery is getting faster or slower over the selected date range. Pick rolling windows of 7, 14 or 30 days (each point summarizes the window ending that day) or weekly buckets.</p>
+                        <MetricDef
+                            term="Cycle Time Percentiles"
+                            definition="Median (P50) and 85th percentile cycle time of the issues completed in each window. Gaps mean no issue was completed in that window."
+                        />
+                        <MetricDef
+                            term="MTTA / MTTR"
+                            definition="Average MTTA of issues acknowledged in each window and average MTTR of issues resolved in it."
+                        />
+                        <MetricDef
+                            term="Throughput"
+                            definition="Issues completed in each window (rolling) or week (weekly buckets)."
+                        />
                     </ExplanationSection>
 
                      <ExplanationSection title="📍 Current State Tab">
@@ -102,13 +158,57 @@ function MetricsExplanationModal({ isOpen, onClose }) {
                             term="Current Status Distribution"
                             definition="A pie chart showing the percentage of currently open issues residing in each Status Group. Provides a snapshot of where work is concentrated right now."
                         />
+                        <MetricDef
+                            term="Aging Work In Progress"
+                            definition="Each issue that passed the 'Work Start' point but has not reached 'Resolution', plotted in its current group (or status) by its age since work started. The dashed lines are the 50th/70th/85th/95th percentile cycle times of completed issues: items above the 85% line are already older than most finished work and deserve attention. Click a point or key to open the issue in Jira."
+                        />
                         <MetricDef
                             term="Average Time Spent in Status"
                             definition="A table showing the average time (in hours/days) that *all processed issues* spent in each individual status and aggregated status group. This includes time spent by issues still in progress. Useful for identifying specific statuses where issues spend the most time."
                         />
                          <MetricDef
                             term="Current WIP (Work In Progress)"
-                            definition="Calculated based on the 'Overall Metrics' definition but often contextualized here. It's the count of issues currently in statuses NOT designated as Triage, Start, or Resolution points. Visible in the 'Overall Metrics' tab."
+                            definition="The count of issues that have reached the 'Work Start Point' and are not currently in a 'Resolution Point' status, i.e. the issues on the Aging WIP chart. The same count is used per segment."
+                        />
+                    </ExplanationSection>
+
+                    <ExplanationSection title="🧩 Segments Tab">
+                        <p>Compares the key metrics across segments of the same issue set (issue type, priority, assignee, component, label or a custom field) without re-fetching. Issues with several components, labels or values count in each segment; beyond 20 segments the smallest are combined into "(other)".</p>
+                        <MetricDef
+                            term="Comparison Table"
+                            definition="Per segment: issue count, completed issues, average/median/85th percentile cycle time, current WIP and average MTTA/MTTR, calculated exactly like the overall figures."
+                        />
+                        <MetricDef
+                            term="Weekly Throughput by Segment"
+                            definition="One small chart per segment with completed issues per week of the date range. All charts share the same scale."
+                        />
+                    </ExplanationSection>
+
+                    <ExplanationSection title="⏱️ SLA Tab">
+                        <p>Checks issues against response and resolution targets set per priority (optionally narrowed to an issue type, which then wins over the priority's "Any" target). Targets are in hours, or working hours when the working calendar is enabled, and are saved with the view.</p>
+                        <MetricDef
+                            term="Response / Resolution Breach Rate"
+                            definition="Share of issues whose response (creation until leaving the Triage point, as for MTTA) or resolution (creation until first reaching the Resolution point, as for MTTR) took longer than the target. Open issues already past a target count as breached."
+                        />
+                        <MetricDef
+                            term="At Risk"
+                            definition="Open issues whose response or resolution clock is still running and has used at least 80% of the target."
+                        />
+                        <MetricDef
+                            term="Breach Rate per Week"
+                            definition="Breach rate of the responses and resolutions that happened in each week of the date range."
+                        />
+                    </ExplanationSection>
+
+                    <ExplanationSection title="🔮 Forecast Tab">
+                        <p>Monte Carlo forecasts built from the daily throughput of the selected date range. Each simulation replays randomly chosen past days until the question is answered; thousands of simulations give a range of outcomes instead of a single guess.</p>
+                        <MetricDef
+                            term="When will these items be done?"
+                            definition="The date by which 50%, 85% and 95% of simulations completed the given number of items. 85% is a common choice for commitments."
+                        />
+                        <MetricDef
+                            term="How many items by a date?"
+                            definition="The number of items that 50%, 85% and 95% of simulations completed (at least) by the target date. Higher confidence means fewer items."
                         />
                     </ExplanationSection>
 
@@ -0,0 +1,166 @@
+/*
+ * JiraMetricsDashboard - SegmentedMetrics.jsx
+ *
+ * Segments tab: picks the "segment by" dimension and compares the per-segment metrics
+ * from processSegments() in a table, a cycle time chart and weekly throughput small multiples.
+ */
+
+import React, { useMemo } from 'react';
+import {
+  ResponsiveContainer, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, Legend,
+} from 'recharts';
+import { SEGMENT_DIMENSIONS, isSegmentationEnabled, getSegmentLabel } from '../utils/segments.js';
+
+const inputStdClass = "block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm";
+
+// Daily throughput summed into 7-day buckets starting at the first day of the range
+const toWeeklyThroughput = (daily) => {
+    const weeks = [];
+    for (let i = 0; i < daily.length; i += 7) {
+        const days = daily.slice(i, i + 7);
+        weeks.push({ weekStart: days[0].date, count: days.reduce((sum, day) => sum + day.count, 0) });
+    }
+    return weeks;
+};
+
+function SegmentedMetrics({
+    segments, // processSegments() result, or null when segmentation is off
+    segmentConfig, // { dimension, fieldId }
+    onSegmentConfigChange,
+    customFields = [], // [{ id, name }] from the project metadata
+    dayUnitLabel = 'days',
+}) {
+    const enabled = isSegmentationEnabled(segmentConfig);
+    const items = segments?.items || [];
+
+    // Same Y scale in every small multiple so segments compare at a glance
+    const { weeklyBySegment, maxWeekly } = useMemo(() => {
+        const weekly = items.map(item => ({ name: item.name, weeks: toWeeklyThroughput(item.throughput) }));
+        const max = Math.max(1, ...weekly.flatMap(segment => segment.weeks.map(week => week.count)));
+        return { weeklyBySegment: weekly, maxWeekly: max };
+    }, [items]);
+
+    const handleDimensionChange = (dimension) => {
+        onSegmentConfigChange({ dimension, fieldId: dimension === 'customField' ? (segmentConfig?.fieldId || '') : '' });
+    };
+
+    return (
+        <>
+            <div className="rounded-lg bg-white p-6 shadow-lg">
+                <h2 className="mb-4 text-xl font-semibold text-gray-800">Segment By</h2>
+                <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+                    <div>
+                        <label htmlFor="segment-dimension" className="mb-1 block text-sm font-medium text-gray-700">Dimension</label>
+                        <select id="segment-dimension" className={inputStdClass} value={segmentConfig?.dimension || ''} onChange={(e) => handleDimensionChange(e.target.value)}>
+                            <option value="">-- No segmentation --</option>
+                            {SEGMENT_DIMENSIONS.map(dimension => <option key={dimension.value} value={dimension.value}>{dimension.label}</option>)}
+                        </select>
+                    </div>
+                    {segmentConfig?.dimension === 'customField' && (
+                        <div>
+                            <label htmlFor="segment-field" className="mb-1 block text-sm font-medium text-gray-700">Custom Field</label>
+                            <select id="segment-field" className={inputStdClass} value={segmentConfig.fieldId || ''} onChange={(e) => onSegmentConfigChange({ dimension: 'customField', fieldId: e.target.value })}>
+                                <option value="">-- Select Field --</option>
+                                {customFields.map(field => <option key={field.id} value={field.id}>{`${field.name} (${field.id})`}</option>)}
+                            </select>
+                            {customFields.length === 0 && <p className="mt-1 text-xs text-yellow-700">No custom fields were returned by Jira for this project.</p>}
+                        </div>
+                    )}
+                </div>
+                <p className="mt-3 text-xs text-gray-500">
+                    Splits cycle time, throughput, MTTA/MTTR and WIP per segment. Issues with several components, labels or values count in each of them.
+                    The segment choice is saved with the view.
+                </p>
+            </div>
+
+            {!enabled ? null : items.length === 0 ? (
+                <div className="rounded-lg bg-white p-6 shadow-lg">
+                    <p className="text-gray-500">No segment data yet. Metrics are recalculated after changing the dimension.</p>
+                </div>
+            ) : (
+                <>
+                    {/* Comparison table */}
+                    <div className="rounded-lg bg-white p-6 shadow-lg">
+                        <h2 className="mb-4 text-xl font-semibold text-gray-800">Comparison by {getSegmentLabel(segmentConfig, customFields)}</h2>
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full divide-y divide-gray-200 text-sm">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-3 py-2 text-left font-medium text-gray-500">Segment</th>
+                                        <th className="px-3 py-2 text-right font-medium text-gray-500">Issues</th>
+                                        <th className="px-3 py-2 text-right font-medium text-gray-500">Completed</th>
+                                        <th className="px-3 py-2 text-right font-medium text-gray-500">Avg Cycle ({dayUnitLabel})</th>
+                                        <th className="px-3 py-2 text-right font-medium text-gray-500">P50</th>
+                                        <th className="px-3 py-2 text-right font-medium text-gray-500">P85</th>
+                                        <th className="px-3 py-2 text-right font-medium text-gray-500">Lead P85</th>
+                                        <th className="px-3 py-2 text-right font-medium text-gray-500">WIP</th>
+                                        <th className="px-3 py-2 text-right font-medium text-gray-500">MTTA (h)</th>
+                                        <th className="px-3 py-2 text-right font-medium text-gray-500">MTTR (h)</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-100">
+                                    {items.map(item => (
+                                        <tr key={item.name}>
+                                            <td className="px-3 py-2 font-medium text-gray-800">{item.name}</td>
+                                            <td className="px-3 py-2 text-right text-gray-700">{item.issueCount}</td>
+                                            <td className="px-3 py-2 text-right text-gray-700">{item.completedCount}</td>
+                                            <td className="px-3 py-2 text-right text-gray-700">{item.cycleTime.avg.toFixed(1)}</td>
+                                            <td className="px-3 py-2 text-right text-gray-700">{item.cycleTime.p50.toFixed(1)}</td>
+                                            <td className="px-3 py-2 text-right text-gray-700">{item.cycleTime.p85.toFixed(1)}</td>
+                                            <td className="px-3 py-2 text-right text-gray-700">{item.leadTime.p85.toFixed(1)}</td>
+                                            <td className="px-3 py-2 text-right text-gray-700">{item.currentWIP}</td>
+                                            <td className="px-3 py-2 text-right text-gray-700">{item.avgMttaHours.toFixed(1)}</td>
+                                            <td className="px-3 py-2 text-right text-gray-700">{item.avgMttrHours.toFixed(1)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+
+                    {/* Cycle time per segment */}
+                    <div className="rounded-lg bg-white p-6 shadow-lg">
+                        <h2 className="mb-4 text-xl font-semibold text-gray-800">Cycle Time by Segment</h2>
+                        <div style={{ width: '100%', height: 300 }}>
+                            <ResponsiveContainer width="100%" height="100%" minWidth={0} minHeight={200}>
+                                <BarChart data={items.map(item => ({ name: item.name, p50: item.cycleTime.p50, p85: item.cycleTime.p85 }))} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
+                                    <CartesianGrid strokeDasharray="3 3" />
+                                    <XAxis dataKey="name" fontSize={12} />
+                                    <YAxis label={{ value: `Cycle Time (${dayUnitLabel})`, angle: -90, position: 'insideLeft' }} />
+                                    <RechartsTooltip formatter={(value) => value.toFixed(1)} />
+                                    <Legend />
+                                    <Bar dataKey="p50" name="Median (P50)" fill="#10B981" />
+                                    <Bar dataKey="p85" name="85th Percentile" fill="#F97316" />
+                                </BarChart>
+                            </ResponsiveContainer>
+                        </div>
+                    </div>
+
+                    {/* Weekly throughput small multiples */}
+                    <div className="rounded-lg bg-white p-6 shadow-lg">
+                        <h2 className="mb-4 text-xl font-semibold text-gray-800">Weekly Throughput by Segment</h2>
+                        <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-3">
+                            {weeklyBySegment.map(segment => (
+                                <div key={segment.name} className="rounded border p-2">
+                                    <p className="mb-1 truncate text-sm font-medium text-gray-700" title={segment.name}>{segment.name}</p>
+                                    <div style={{ width: '100%', height: 140 }}>
+                                        <ResponsiveContainer width="100%" height="100%" minWidth={0} minHeight={100}>
+                                            <BarChart data={segment.weeks} margin={{ top: 5, right: 5, left: -25, bottom: 0 }}>
+                                                <XAxis dataKey="weekStart" fontSize={10} />
+                                                <YAxis allowDecimals={false} domain={[0, maxWeekly]} fontSize={10} />
+                                                <RechartsTooltip formatter={(value) => [value, 'Completed']} labelFormatter={(label) => `Week of ${label}`} />
+                                                <Bar dataKey="count" fill="#3B82F6" />
+                                            </BarChart>
+                                        </ResponsiveContainer>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                </>
+            )}
+        </>
+    );
+}
+
+export default SegmentedMetrics;
@@ -0,0 +1,272 @@
+/*
+ * JiraMetricsDashboard - SlaPanel.jsx
+ *
+ * SLA tab: edits the view's SLA targets per priority (optionally per issue type) and shows
+ * the processSla() result: breach rates per target, the weekly breach rate, and the issues
+ * that breached or are about to breach (linked to Jira).
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  ResponsiveContainer, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, Legend,
+} from 'recharts';
+import { normalizeSlaConfig, SLA_AT_RISK_SHARE } from '../utils/sla.js';
+import { getIssueUrl } from '../utils/jiraLinks.js';
+
+const inputStdClass = "block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm";
+const MAX_LISTED_ISSUES = 50;
+
+const STATE_STYLES = {
+    breached: { label: 'Breached', className: 'bg-red-100 text-red-800' },
+    atRisk: { label: 'At risk', className: 'bg-yellow-100 text-yellow-800' },
+    onTrack: { label: 'On track', className: 'bg-blue-100 text-blue-800' },
+    met: { label: 'Met', className: 'bg-green-100 text-green-800' },
+};
+
+const formatPercent = (value) => `${((Number(value) || 0) * 100).toFixed(1)}%`;
+const emptyTarget = () => ({ priority: '', issueType: '', responseHours: '', resolutionHours: '' });
+
+// Names offered in the target selects (metadata entries can repeat across projects)
+const uniqueNames = (items) => [...new Set((items || []).map(item => item?.name).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
+const ClockCell = ({ clock, hourUnit }) => {
+    if (!clock) return <td className="px-3 py-2 text-gray-400">-</td>;
+    const style = STATE_STYLES[clock.state];
+    return (
+        <td className="whitespace-nowrap px-3 py-2">
+            <span className={`rounded px-2 py-0.5 text-xs font-medium ${style.className}`}>{style.label}</span>
+            <span className="ml-2 text-gray-700" title={clock.stopped ? `Stopped ${clock.stoppedAt}` : 'Clock still running'}>
+                {clock.elapsedHours.toFixed(1)} / {clock.targetHours} {hourUnit}{clock.stopped ? '' : '…'}
+            </span>
+        </td>
+    );
+};
+
+// Editable copy of the targets; applied together because every change re-processes the metrics
+const SlaTargetsEditor = ({ config, onConfigChange, priorities, issueTypes, hourUnit }) => {
+    const toDraft = (slaConfig) => (slaConfig?.targets || []).map(target => ({
+        ...target,
+        responseHours: target.responseHours ?? '',
+        resolutionHours: target.resolutionHours ?? '',
+    }));
+    const [draft, setDraft] = useState(() => toDraft(config));
+    const [draftError, setDraftError] = useState('');
+
+    useEffect(() => {
+        setDraft(toDraft(config));
+        setDraftError('');
+    }, [config]);
+
+    const updateRow = (index, changes) => setDraft(prev => prev.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+
+    const handleApply = () => {
+        const incomplete = draft.filter(row => !row.priority || (row.responseHours === '' && row.resolutionHours === ''));
+        if (incomplete.length > 0) return setDraftError('Each target needs a priority and at least one target time.');
+        const invalidHours = draft.some(row => [row.responseHours, row.resolutionHours].some(hours => hours !== '' && !(Number(hours) > 0)));
+        if (invalidHours) return setDraftError('Target times must be positive numbers of hours.');
+        const pairs = draft.map(row => `${row.priority}|${row.issueType}`);
+        if (new Set(pairs).size !== pairs.length) return setDraftError('Each priority / issue type pair can only have one target.');
+        onConfigChange(normalizeSlaConfig({ targets: draft }));
+    };
+
+    return (
+        <div className="space-y-3">
+            {draft.length === 0 && <p className="text-sm text-gray-500">No SLA targets yet.</p>}
+            {draft.map((row, index) => (
+                <div key={index} className="grid grid-cols-2 items-end gap-2 sm:grid-cols-5">
+                    <div>
+                        <label htmlFor={`sla-priority-${index}`} className="mb-1 block text-xs font-medium text-gray-700">Priority</label>
+                        <select id={`sla-priority-${index}`} className={inputStdClass} value={row.priority} onChange={(e) => updateRow(index, { priority: e.target.value })}>
+                            <option value="">-- Select --</option>
+                            {/* Keep a saved priority selectable even if the loaded projects no longer have it */}
+                            {[...new Set([...priorities, row.priority].filter(Boolean))].map(name => <option key={name} value={name}>{name}</option>)}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor={`sla-issueType-${index}`} className="mb-1 block text-xs font-medium text-gray-700">Issue Type</label>
+                        <select id={`sla-issueType-${index}`} className={inputStdClass} value={row.issueType} onChange={(e) => updateRow(index, { issueType: e.target.value })}>
+                            <option value="">Any</option>
+                            {[...new Set([...issueTypes, row.issueType].filter(Boolean))].map(name => <option key={name} value={name}>{name}</option>)}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor={`sla-response-${index}`} className="mb-1 block text-xs font-medium text-gray-700">Response ({hourUnit})</label>
+                        <input type="number" min="0" step="any" id={`sla-response-${index}`} className={inputStdClass} value={row.responseHours} onChange={(e) => updateRow(index, { responseHours: e.target.value })} />
+                    </div>
+                    <div>
+                        <label htmlFor={`sla-resolution-${index}`} className="mb-1 block text-xs font-medium text-gray-700">Resolution ({hourUnit})</label>
+                        <input type="number" min="0" step="any" id={`sla-resolution-${index}`} className={inputStdClass} value={row.resolutionHours} onChange={(e) => updateRow(index, { resolutionHours: e.target.value })} />
+                    </div>
+                    <button type="button" onClick={() => setDraft(prev => prev.filter((_, i) => i !== index))} className="rounded-md border border-gray-300 px-3 py-2 text-sm text-gray-700 hover:bg-gray-50">
+                        Remove
+                    </button>
+                </div>
+            ))}
+            {draftError && <p className="text-xs text-red-600" role="alert">{draftError}</p>}
+            <div className="flex gap-2">
+                <button type="button" onClick={() => setDraft(prev => [...prev, emptyTarget()])} className="rounded-md border border-gray-300 px-4 py-2 text-sm font-medium text-gray-700 shadow-sm hover:bg-gray-50">
+                    Add Target
+                </button>
+                <button type="button" onClick={handleApply} className="rounded-md border border-transparent bg-green-600 px-4 py-2 text-sm font-medium text-white shadow-sm hover:bg-green-700">
+                    Apply Targets & Re-Process
+                </button>
+            </div>
+        </div>
+    );
+};
+
+function SlaPanel({
+    sla, // processSla() result, or null when no targets are set
+    slaConfig, // { targets }
+    onSlaConfigChange,
+    priorities = [], // metadata.priorities
+    issueTypes = [], // metadata.issueTypes
+    jiraBrowseUrl,
+    isBusinessTime = false,
+}) {
+    const hourUnit = isBusinessTime ? 'working hours' : 'hours';
+    const priorityNames = useMemo(() => uniqueNames(priorities), [priorities]);
+    const issueTypeNames = useMemo(() => uniqueNames(issueTypes), [issueTypes]);
+    const offendingIssues = useMemo(() => (sla?.issues || []).filter(issue => (
+        [issue.response, issue.resolution].some(clock => clock && (clock.state === 'breached' || clock.state === 'atRisk'))
+    )), [sla]);
+
+    return (
+        <>
+            <div className="rounded-lg bg-white p-6 shadow-lg">
+                <h2 className="mb-4 text-xl font-semibold text-gray-800">SLA Targets</h2>
+                <SlaTargetsEditor config={slaConfig} onConfigChange={onSlaConfigChange} priorities={priorityNames} issueTypes={issueTypeNames} hourUnit={hourUnit} />
+                <p className="mt-3 text-xs text-gray-500">
+                    Response runs from creation until the issue leaves the Triage point (as MTTA); resolution until it first reaches the Resolution point (as MTTR).
+                    A target for a priority and issue type wins over the priority's "Any" target. Open issues past {SLA_AT_RISK_SHARE * 100}% of a target are at risk.
+                    Targets are saved with the view.
+                </p>
+            </div>
+
+            {!sla ? null : sla.summary.issues === 0 ? (
+                <div className="rounded-lg bg-white p-6 shadow-lg">
+                    <p className="text-gray-500">No loaded issues match an SLA target.</p>
+                </div>
+            ) : (
+                <>
+                    {/* Summary */}
+                    <div className="grid grid-cols-2 gap-4 lg:grid-cols-4">
+                        <div className="rounded-lg bg-white p-4 text-center shadow-lg">
+                            <p className="text-sm font-medium text-gray-500">Response Breach Rate</p>
+                            <p className="mt-1 text-2xl font-bold text-gray-800">{formatPercent(sla.summary.response.breachRate)}</p>
+                            <p className="mt-1 text-xs text-gray-500">{sla.summary.response.breached} of {sla.summary.response.measured} issues</p>
+                        </div>
+                        <div className="rounded-lg bg-white p-4 text-center shadow-lg">
+                            <p className="text-sm font-medium text-gray-500">Resolution Breach Rate</p>
+                            <p className="mt-1 text-2xl font-bold text-gray-800">{formatPercent(sla.summary.resolution.breachRate)}</p>
+                            <p className="mt-1 text-xs text-gray-500">{sla.summary.resolution.breached} of {sla.summary.resolution.measured} issues</p>
+                        </div>
+                        <div className="rounded-lg bg-white p-4 text-center shadow-lg">
+                            <p className="text-sm font-medium text-gray-500">Open & Breached</p>
+                            <p className="mt-1 text-2xl font-bold text-red-600">{sla.summary.openBreached}</p>
+                            <p className="mt-1 text-xs text-gray-500">Clock still running past target</p>
+                        </div>
+                        <div className="rounded-lg bg-white p-4 text-center shadow-lg">
+                            <p className="text-sm font-medium text-gray-500">At Risk</p>
+                            <p className="mt-1 text-2xl font-bold text-yellow-600">{sla.summary.atRisk}</p>
+                            <p className="mt-1 text-xs text-gray-500">Open, past {SLA_AT_RISK_SHARE * 100}% of a target</p>
+                        </div>
+                    </div>
+
+                    {/* Per target */}
+                    <div className="rounded-lg bg-white p-6 shadow-lg">
+                        <h2 className="mb-4 text-xl font-semibold text-gray-800">Breaches by Target</h2>
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full divide-y divide-gray-200 text-sm">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-3 py-2 text-left font-medium text-gray-500">Target</th>
+                                        <th className="px-3 py-2 text-right font-medium text-gray-500">Issues</th>
+                                        <th className="px-3 py-2 text-right font-medium text-gray-500">Response Target</th>
+                                        <th className="px-3 py-2 text-right font-medium text-gray-500">Response Breached</th>
+                                        <th className="px-3 py-2 text-right font-medium text-gray-500">Resolution Target</th>
+                                        <th className="px-3 py-2 text-right font-medium text-gray-500">Resolution Breached</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-100">
+                                    {sla.byTarget.map(target => (
+                                        <tr key={target.label}>
+                                            <td className="px-3 py-2 font-medium text-gray-800">{target.label}</td>
+                                            <td className="px-3 py-2 text-right text-gray-700">{target.issues}</td>
+                                            <td className="px-3 py-2 text-right text-gray-700">{target.responseHours ?? '-'}</td>
+                                            <td className="px-3 py-2 text-right text-gray-700">{target.responseHours ? `${target.response.breached} / ${target.response.measured} (${formatPercent(target.response.breachRate)})` : '-'}</td>
+                                            <td className="px-3 py-2 text-right text-gray-700">{target.resolutionHours ?? '-'}</td>
+                                            <td className="px-3 py-2 text-right text-gray-700">{target.resolutionHours ? `${target.resolution.breached} / ${target.resolution.measured} (${formatPercent(target.resolution.breachRate)})` : '-'}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                        <p className="mt-2 text-xs text-gray-500">Target times in {hourUnit}. Breach counts include open issues already past their target.</p>
+                    </div>
+
+                    {/* Weekly breach rate */}
+                    <div className="rounded-lg bg-white p-6 shadow-lg">
+                        <h2 className="mb-4 text-xl font-semibold text-gray-800">Breach Rate per Week</h2>
+                        <div style={{ width: '100%', height: 300 }}>
+                            <ResponsiveContainer width="100%" height="100%" minWidth={0} minHeight={200}>
+                                <LineChart data={sla.trend} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
+                                    <CartesianGrid strokeDasharray="3 3" />
+                                    <XAxis dataKey="weekStart" fontSize={12} />
+                                    <YAxis domain={[0, 1]} tickFormatter={(value) => `${Math.round(value * 100)}%`} />
+                                    <RechartsTooltip
+                                        labelFormatter={(label) => `Week of ${label}`}
+                                        formatter={(value, name, entry) => [`${formatPercent(value)} of ${name.startsWith('Response') ? entry.payload.responseMeasured : entry.payload.resolutionMeasured}`, name]}
+                                    />
+                                    <Legend />
+                                    <Line type="monotone" dataKey="responseBreachRate" name="Response breached" stroke="#3B82F6" strokeWidth={2} connectNulls={false} />
+                                    <Line type="monotone" dataKey="resolutionBreachRate" name="Resolution breached" stroke="#EF4444" strokeWidth={2} connectNulls={false} />
+                                </LineChart>
+                            </ResponsiveContainer>
+                        </div>
+                        <p className="mt-2 text-xs text-gray-500">Issues count in the week their response or resolution happened.</p>
+                    </div>
+
+                    {/* Offending issues */}
+                    <div className="rounded-lg bg-white p-6 shadow-lg">
+                        <h2 className="mb-4 text-xl font-semibold text-gray-800">Breached & At-Risk Issues ({offendingIssues.length})</h2>
+                        {offendingIssues.length === 0 ? (
+                            <p className="text-gray-500">No issue breached or is close to breaching its targets.</p>
+                        ) : (
+                            <div className="max-h-96 overflow-auto">
+                                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                                    <thead className="sticky top-0 bg-gray-50">
+                                        <tr>
+                                            <th className="px-3 py-2 text-left font-medium text-gray-500">Issue</th>
+                                            <th className="px-3 py-2 text-left font-medium text-gray-500">Target</th>
+                                            <th className="px-3 py-2 text-left font-medium text-gray-500">Response</th>
+                                            <th className="px-3 py-2 text-left font-medium text-gray-500">Resolution</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-gray-100">
+                                        {offendingIssues.slice(0, MAX_LISTED_ISSUES).map(issue => (
+                                            <tr key={issue.key}>
+                                                <td className="px-3 py-2">
+                                                    {getIssueUrl(jiraBrowseUrl, issue.key)
+                                                        ? <a href={getIssueUrl(jiraBrowseUrl, issue.key)} target="_blank" rel="noopener noreferrer" className="font-medium text-blue-600 hover:underline">{issue.key}</a>
+                                                        : <span className="font-medium">{issue.key}</span>}
+                                                    {issue.summary && <span className="ml-2 text-gray-600">{issue.summary}</span>}
+                                                </td>
+                                                <td className="whitespace-nowrap px-3 py-2 text-gray-700">{issue.targetLabel}</td>
+                                                <ClockCell clock={issue.response} hourUnit={hourUnit} />
+                                                <ClockCell clock={issue.resolution} hourUnit={hourUnit} />
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                        {offendingIssues.length > MAX_LISTED_ISSUES && <p className="mt-1 text-xs text-gray-500">Showing the first {MAX_LISTED_ISSUES}: running breaches, then at-risk issues, then closed breaches.</p>}
+                    </div>
+                </>
+            )}
+        </>
+    );
+}
+
+export default SlaPanel;
@@ -30,8 +30,21 @@ const Tooltip = ({ text, children }) => {
 };
 
 
+// Change against the comparison period: arrow, percent and the previous value
+const DeltaIndicator = ({ delta, previousValue }) => {
+  const arrow = delta.direction === 'up' ? '▲' : delta.direction === 'down' ? '▼' : '■';
+  const color = delta.direction === 'flat' ? 'text-gray-500' : delta.isImprovement ? 'text-green-600' : 'text-red-600';
+  const change = delta.percent !== null ? `${Math.abs(delta.percent).toFixed(1)}%` : 'new';
+  return (
+    <div className={`text-xs font-medium mt-1 truncate ${color}`} title={`Comparison period: ${previousValue}`}>
+      {arrow} {delta.direction === 'flat' ? 'No change' : change} <span className="font-normal text-gray-400">vs {previousValue}</span>
+    </div>
+  );
+};
+
 // Main Stat Card Component - Redesigned
-const StatCardWithTooltip = ({ title, value, subtext, tooltipText, iconPlaceholder }) => {
+// `delta` (from getStatDelta) and `previousValue` are optional; set when a comparison period is processed
+const StatCardWithTooltip = ({ title, value, subtext, tooltipText, iconPlaceholder, delta, previousValue }) => {
   // `iconPlaceholder` could be an SVG component or an emoji string passed as a prop
   // Example: iconPlaceholder={<YourSvgIconComponent />} or iconPlaceholder="⏱️"
 
@@ -81,6 +94,8 @@ const StatCardWithTooltip = ({ title, value, subtext, tooltipText, iconPlacehold
                 {subtext}
             </div>
         )}
+
+        {delta && <DeltaIndicator delta={delta} previousValue={previousValue} />}
       </div>
 
     </div>
@@ -6,6 +6,7 @@
  */
 import React, { useRef, useEffect } from 'react';
 import { useLogs } from '../context/LogContext.jsx'; // Adjust path as needed
+import FetchProgress from './FetchProgress.jsx';
 
 // Helper to determine text color based on log level
 const getLevelColor = (level) => {
@@ -19,7 +20,7 @@ const getLevelColor = (level) => {
 };
 
 // --- NEW: Props for modal control ---
-function TransactionalConsole({ isOpen, onClose }) {
+function TransactionalConsole({ isOpen, onClose, fetchProgress, onCancelFetch }) {
   const { logs, clearLogs } = useLogs();
   const logContainerRef = useRef(null);
 
@@ -77,6 +78,13 @@ function TransactionalConsole({ isOpen, onClose }) {
           </div>
         </div>
 
+        {/* --- Live Fetch Progress --- */}
+        {fetchProgress && (
+          <div className="border-b border-gray-700 p-3 flex-shrink-0">
+            <FetchProgress progress={fetchProgress} onCancel={onCancelFetch} dark />
+          </div>
+        )}
+
         {/* --- Log Content Area --- */}
         <div
           ref={logContainerRef}
@@ -0,0 +1,189 @@
+/*
+ * JiraMetricsDashboard - TransitionMatrix.jsx
+ *
+ * How work moves between statuses (processTransitions()): rework/reopen rates, a group-to-group
+ * heatmap (backward moves in red), the most frequent status transitions, reopen rate per issue type
+ * and the issues with the most rework (linked to Jira).
+ */
+
+import React, { useMemo } from 'react';
+import { getIssueUrl } from '../utils/jiraLinks.js';
+
+const MAX_TRANSITION_ROWS = 15;
+const MAX_REWORK_ISSUES = 20;
+
+const formatPercent = (value) => `${((Number(value) || 0) * 100).toFixed(1)}%`;
+
+// Cell background: blue for forward/same-group moves, red for backward moves; stronger = more frequent
+const cellStyle = (cell, maxCount) => {
+    if (!cell) return {};
+    const intensity = 0.1 + 0.8 * (cell.count / maxCount);
+    return { backgroundColor: cell.isBackward ? `rgba(239, 68, 68, ${intensity})` : `rgba(59, 130, 246, ${intensity})`, color: intensity > 0.55 ? '#fff' : '#1F2937' };
+};
+
+function TransitionMatrix({
+    transitions, // processTransitions() result
+    jiraBrowseUrl, // Site URL for issue links (may be null)
+    dayUnitLabel = 'days',
+}) {
+    const cellsByPair = useMemo(() => new Map((transitions?.byGroup?.cells || []).map(cell => [`${cell.from}>${cell.to}`, cell])), [transitions]);
+
+    if (!transitions || transitions.rework.transitions === 0) {
+        return <p className="text-gray-500">No status transitions in the loaded issues.</p>;
+    }
+
+    const { byStatus, byGroup, rework, reopenByIssueType, reworkIssues } = transitions;
+    const maxCount = Math.max(1, ...byGroup.cells.map(cell => cell.count));
+
+    return (
+        <div className="space-y-6">
+            <div className="grid grid-cols-2 gap-4 lg:grid-cols-4">
+                <div className="rounded-lg border p-4 text-center">
+                    <p className="text-sm font-medium text-gray-500">Rework Rate</p>
+                    <p className="mt-1 text-2xl font-bold text-gray-800">{formatPercent(rework.reworkRate)}</p>
+                    <p className="mt-1 text-xs text-gray-500">{rework.issuesWithRework} issues moved backward</p>
+                </div>
+                <div className="rounded-lg border p-4 text-center">
+                    <p className="text-sm font-medium text-gray-500">Backward Moves</p>
+                    <p className="mt-1 text-2xl font-bold text-gray-800">{rework.backwardMoves}</p>
+                    <p className="mt-1 text-xs text-gray-500">of {rework.transitions} transitions</p>
+                </div>
+                <div className="rounded-lg border p-4 text-center">
+                    <p className="text-sm font-medium text-gray-500">Reopen Rate</p>
+                    <p className="mt-1 text-2xl font-bold text-gray-800">{formatPercent(rework.reopenRate)}</p>
+                    <p className="mt-1 text-xs text-gray-500">{rework.issuesReopened} of {rework.issuesResolved} resolved issues</p>
+                </div>
+                <div className="rounded-lg border p-4 text-center">
+                    <p className="text-sm font-medium text-gray-500">Reopens</p>
+                    <p className="mt-1 text-2xl font-bold text-gray-800">{rework.reopens}</p>
+                    <p className="mt-1 text-xs text-gray-500">Moves out of a resolution status</p>
+                </div>
+            </div>
+
+            {/* Group heatmap */}
+            {byGroup.groups.length > 0 && (
+                <div>
+                    <h3 className="mb-2 text-sm font-semibold text-gray-700">Moves Between Groups (row: from, column: to)</h3>
+                    <div className="overflow-x-auto">
+                        <table className="border-collapse text-xs">
+                            <thead>
+                                <tr>
+                                    <th className="p-2 text-left font-medium text-gray-500">From \ To</th>
+                                    {byGroup.groups.map(group => <th key={group} className="p-2 text-center font-medium text-gray-700">{group}</th>)}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {byGroup.groups.map(from => (
+                                    <tr key={from}>
+                                        <th className="whitespace-nowrap p-2 text-left font-medium text-gray-700">{from}</th>
+                                        {byGroup.groups.map(to => {
+                                            const cell = cellsByPair.get(`${from}>${to}`);
+                                            return (
+                                                <td
+                                                    key={to}
+                                                    className="h-10 min-w-[4rem] border border-white p-2 text-center"
+                                                    style={cellStyle(cell, maxCount)}
+                                                    title={cell ? `${from} → ${to}: ${cell.count} moves, median ${cell.medianDwellDays.toFixed(1)} ${dayUnitLabel} in ${from} before moving` : `${from} → ${to}: no moves`}
+                                                >
+                                                    {cell ? cell.count : ''}
+                                                </td>
+                                            );
+                                        })}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    <p className="mt-1 text-xs text-gray-500">Red cells are backward moves (to an earlier group). Hover a cell for the median time spent before the move.</p>
+                </div>
+            )}
+
+            <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
+                {/* Most frequent status transitions */}
+                <div>
+                    <h3 className="mb-2 text-sm font-semibold text-gray-700">Most Frequent Status Transitions</h3>
+                    <table className="min-w-full divide-y divide-gray-200 text-sm">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-3 py-2 text-left font-medium text-gray-500">Transition</th>
+                                <th className="px-3 py-2 text-right font-medium text-gray-500">Count</th>
+                                <th className="px-3 py-2 text-right font-medium text-gray-500">Median Dwell ({dayUnitLabel})</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-100">
+                            {byStatus.slice(0, MAX_TRANSITION_ROWS).map(row => (
+                                <tr key={`${row.fromId}>${row.toId}`}>
+                                    <td className={`px-3 py-2 ${row.isBackward ? 'text-red-600' : 'text-gray-800'}`}>{row.fromName} → {row.toName}</td>
+                                    <td className="px-3 py-2 text-right text-gray-700">{row.count}</td>
+                                    <td className="px-3 py-2 text-right text-gray-700">{row.medianDwellDays.toFixed(1)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+
+                {/* Reopen rate per issue type */}
+                <div>
+                    <h3 className="mb-2 text-sm font-semibold text-gray-700">Reopen Rate by Issue Type</h3>
+                    <table className="min-w-full divide-y divide-gray-200 text-sm">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-3 py-2 text-left font-medium text-gray-500">Issue Type</th>
+                                <th className="px-3 py-2 text-right font-medium text-gray-500">Resolved</th>
+                                <th className="px-3 py-2 text-right font-medium text-gray-500">Reopened</th>
+                                <th className="px-3 py-2 text-right font-medium text-gray-500">Reopen Rate</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-100">
+                            {reopenByIssueType.map(row => (
+                                <tr key={row.issueType}>
+                                    <td className="px-3 py-2 text-gray-800">{row.issueType}</td>
+                                    <td className="px-3 py-2 text-right text-gray-700">{row.resolved}</td>
+                                    <td className="px-3 py-2 text-right text-gray-700">{row.reopened}</td>
+                                    <td className="px-3 py-2 text-right text-gray-700">{formatPercent(row.reopenRate)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            {/* Issues with the most rework */}
+            {reworkIssues.length > 0 && (
+                <div>
+                    <h3 className="mb-2 text-sm font-semibold text-gray-700">Issues with Rework or Reopens ({reworkIssues.length})</h3>
+                    <div className="max-h-72 overflow-y-auto">
+                        <table className="min-w-full divide-y divide-gray-200 text-sm">
+                            <thead className="sticky top-0 bg-gray-50">
+                                <tr>
+                                    <th className="px-3 py-2 text-left font-medium text-gray-500">Issue</th>
+                                    <th className="px-3 py-2 text-left font-medium text-gray-500">Type</th>
+                                    <th className="px-3 py-2 text-right font-medium text-gray-500">Backward Moves</th>
+                                    <th className="px-3 py-2 text-right font-medium text-gray-500">Reopens</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                                {reworkIssues.slice(0, MAX_REWORK_ISSUES).map(issue => (
+                                    <tr key={issue.key}>
+                                        <td className="px-3 py-2">
+                                            {getIssueUrl(jiraBrowseUrl, issue.key)
+                                                ? <a href={getIssueUrl(jiraBrowseUrl, issue.key)} target="_blank" rel="noopener noreferrer" className="font-medium text-blue-600 hover:underline">{issue.key}</a>
+                                                : <span className="font-medium">{issue.key}</span>}
+                                            {issue.summary && <span className="ml-2 text-gray-600">{issue.summary}</span>}
+                                        </td>
+                                        <td className="whitespace-nowrap px-3 py-2 text-gray-700">{issue.issueType || '-'}</td>
+                                        <td className="px-3 py-2 text-right text-gray-700">{issue.backwardMoves}</td>
+                                        <td className="px-3 py-2 text-right text-gray-700">{issue.reopens}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    {reworkIssues.length > MAX_REWORK_ISSUES && <p className="mt-1 text-xs text-gray-500">Showing the {MAX_REWORK_ISSUES} issues with the most rework.</p>}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default TransitionMatrix;
@@ -0,0 +1,122 @@
+/*
+ * JiraMetricsDashboard - TrendCharts.jsx
+ *
+ * Trends tab: cycle time percentiles, MTTA/MTTR and throughput over the date range,
+ * as rolling windows ending on each day or as weekly buckets (see processTrends()).
+ */
+
+import React, { useState } from 'react';
+import {
+  ResponsiveContainer, LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, Legend,
+} from 'recharts';
+
+const WINDOW_OPTIONS = [
+    { value: 'rolling7', label: 'Rolling 7 days', windowDays: 7 },
+    { value: 'rolling14', label: 'Rolling 14 days', windowDays: 14 },
+    { value: 'rolling30', label: 'Rolling 30 days', windowDays: 30 },
+    { value: 'weekly', label: 'Weekly buckets', windowDays: null },
+];
+
+const formatNumber = (value) => (typeof value === 'number' ? value.toFixed(1) : 'N/A');
+
+const TrendChart = ({ title, children }) => (
+    <div className="rounded-lg bg-white p-6 shadow-lg">
+        <h2 className="mb-4 text-xl font-semibold text-gray-800">{title}</h2>
+        <div style={{ width: '100%', height: 300 }}>
+            <ResponsiveContainer width="100%" height="100%" minWidth={0} minHeight={200}>
+                {children}
+            </ResponsiveContainer>
+        </div>
+    </div>
+);
+
+function TrendCharts({
+    trends, // processTrends() result: { rolling7, rolling14, rolling30, weekly }
+    dayUnitLabel = 'days',
+    isBusinessTime = false,
+}) {
+    const [windowKey, setWindowKey] = useState('rolling14');
+    const option = WINDOW_OPTIONS.find(o => o.value === windowKey);
+    const data = trends?.[windowKey] || [];
+
+    if (!trends || data.length === 0) {
+        return (
+            <div className="rounded-lg bg-white p-6 shadow-lg">
+                <p className="text-gray-500">No trend data. Trends need a start and end date.</p>
+            </div>
+        );
+    }
+
+    const xLabel = option.windowDays ? 'Window ending' : 'Week starting';
+    const hourUnit = isBusinessTime ? 'working hours' : 'hours';
+    const tooltipLabel = (label) => `${xLabel} ${label}`;
+
+    return (
+        <>
+            <div className="rounded-lg bg-white p-6 shadow-lg">
+                <div className="flex flex-wrap items-center justify-between gap-4">
+                    <p className="text-sm text-gray-600">
+                        {option.windowDays
+                            ? `Each point covers the ${option.windowDays} days ending on that date (fewer at the start of the range).`
+                            : 'Each point covers 7 days starting on that date.'}
+                        {' '}Cycle time is placed on the completion day, MTTA/MTTR on the acknowledgement/resolution day.
+                    </p>
+                    <div className="w-48">
+                        <label htmlFor="trend-window" className="sr-only">Window</label>
+                        <select id="trend-window" className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm" value={windowKey} onChange={(e) => setWindowKey(e.target.value)}>
+                            {WINDOW_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                        </select>
+                    </div>
+                </div>
+            </div>
+
+            <TrendChart title="Cycle Time Percentiles">
+                <LineChart data={data} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="date" fontSize={12} />
+                    <YAxis label={{ value: `Cycle Time (${dayUnitLabel})`, angle: -90, position: 'insideLeft' }} />
+                    <RechartsTooltip labelFormatter={tooltipLabel} formatter={(value, name, entry) => [`${formatNumber(value)} (${entry.payload.completed} issues)`, name]} />
+                    <Legend />
+                    <Line type="monotone" dataKey="p50" name="Median (P50)" stroke="#10B981" strokeWidth={2} dot={false} connectNulls={false} />
+                    <Line type="monotone" dataKey="p85" name="85th Percentile" stroke="#F97316" strokeWidth={2} dot={false} connectNulls={false} />
+                </LineChart>
+            </TrendChart>
+
+            <TrendChart title="MTTA / MTTR">
+                <LineChart data={data} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="date" fontSize={12} />
+                    <YAxis label={{ value: `Average (${hourUnit})`, angle: -90, position: 'insideLeft' }} />
+                    <RechartsTooltip labelFormatter={tooltipLabel} formatter={(value, name) => [formatNumber(value), name]} />
+                    <Legend />
+                    <Line type="monotone" dataKey="avgMttaHours" name="Avg MTTA" stroke="#3B82F6" strokeWidth={2} dot={false} connectNulls={false} />
+                    <Line type="monotone" dataKey="avgMttrHours" name="Avg MTTR" stroke="#EF4444" strokeWidth={2} dot={false} connectNulls={false} />
+                </LineChart>
+            </TrendChart>
+
+            <TrendChart title="Throughput">
+                {option.windowDays ? (
+                    <LineChart data={data} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="date" fontSize={12} />
+                        <YAxis allowDecimals={false} label={{ value: 'Issues Completed', angle: -90, position: 'insideLeft' }} />
+                        <RechartsTooltip labelFormatter={tooltipLabel} formatter={(value, name, entry) => [`${value} in ${entry.payload.days} days`, name]} />
+                        <Legend />
+                        <Line type="monotone" dataKey="throughput" name="Completed in window" stroke="#8B5CF6" strokeWidth={2} dot={false} />
+                    </LineChart>
+                ) : (
+                    <BarChart data={data} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="date" fontSize={12} />
+                        <YAxis allowDecimals={false} label={{ value: 'Issues Completed', angle: -90, position: 'insideLeft' }} />
+                        <RechartsTooltip labelFormatter={tooltipLabel} />
+                        <Legend />
+                        <Bar dataKey="throughput" name="Completed per week" fill="#8B5CF6" />
+                    </BarChart>
+                )}
+            </TrendChart>
+        </>
+    );
+}
+
+export default TrendCharts;
@@ -1,10 +1,11 @@
 // frontend/src/hooks/useAppEffects.js
 import { useEffect, useRef, useState } from 'react'; // Added useState
 import { processMetrics } from '../utils/dataProcessor.js';
+import { getComparisonRange, getFetchRange, filterIssuesByCreatedDate, summarizeComparison } from '../utils/periodComparison.js';
 
 export function useAppEffects({
     // State & Setters from useJiraData
-    projectKey,
+    projectKeys,
     metadata,
     metadataError,
     isMetadataLoading,
@@ -21,10 +22,16 @@ export function useAppEffects({
     // State & Setters from useFilters
     startDate,
     endDate,
+    timezone,
     standardFilters,
     cycleStartConfig,
     cycleEndConfig,
     triageConfig,
+    calendarConfig,
+    flowActivityConfig,
+    segmentConfig,
+    comparisonConfig,
+    slaConfig,
 
     // State & Setters from useStatusGroups
     statusGroups,
@@ -40,25 +47,28 @@ export function useAppEffects({
     flowWarningLoggedRef,
 }) {
 
+    // Project keys as a comparable string (matches metadata.projectKeysFromLoad)
+    const projectKeysId = projectKeys.join(',');
+
     // --- State to track if processing *should* be happening ---
     const [isProcessing, setIsProcessing] = useState(false);
 
     // --- Effect to Fetch Metadata ---
     useEffect(() => {
         // ... (logic remains the same) ...
-        if (projectKey && (!metadata || metadataError || projectKey !== (metadata?.projectKeyFromLoad))) {
+        if (projectKeysId && (!metadata || metadataError || projectKeysId !== (metadata?.projectKeysFromLoad))) {
             const runFetch = async () => {
                 flowWarningLoggedRef.current = false;
                 // --- Indicate processing might need to stop ---
                 setIsProcessing(false);
                 setProcessedData(null); // Clear old data on metadata fetch start
-                const result = await fetchMetadata(projectKey, statusGroups.length);
+                const result = await fetchMetadata(projectKeys, statusGroups.length);
                 if (result?.metadata) {
                     setDefaultStatusGroups(result.metadata);
                 }
             }
             runFetch();
-        } else if (!projectKey) {
+        } else if (!projectKeysId) {
              if (metadata !== null) setMetadata(null);
              if (metadataError !== null) setMetadataError(null);
              // --- Indicate processing should stop ---
@@ -66,31 +76,33 @@ export function useAppEffects({
              setProcessedData(null);
         }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, [projectKey, fetchMetadata, setDefaultStatusGroups, /* statusGroups.length removed */ metadata, metadataError, setMetadata, setMetadataError, flowWarningLoggedRef, setProcessedData]); // Added setProcessedData
+    }, [projectKeysId, fetchMetadata, setDefaultStatusGroups, /* statusGroups.length removed */ metadata, metadataError, setMetadata, setMetadataError, flowWarningLoggedRef, setProcessedData]); // Added setProcessedData
 
 
     // --- Effect to Trigger Issue Fetch ---
     useEffect(() => {
         // ... (logic remains the same) ...
         if (!explicitFetchTriggered.current) { return; }
-        const metadataIsValid = metadata && !metadataError && !isMetadataLoading && metadata.projectKeyFromLoad === projectKey;
-        if (projectKey && metadataIsValid) {
+        const metadataIsValid = metadata && !metadataError && !isMetadataLoading && metadata.projectKeysFromLoad === projectKeysId;
+        if (projectKeysId && metadataIsValid) {
             addLog('info', "[AppEffects] Conditions met for explicit fetch trigger. Fetching issues...");
             explicitFetchTriggered.current = false;
             flowWarningLoggedRef.current = false;
              // --- Indicate processing might need to stop/restart ---
              setIsProcessing(false);
              setProcessedData(null); // Clear old data before fetching new issues
-            handleFilterSubmit(projectKey, metadata, standardFilters, startDate, endDate);
-        } else if (projectKey && !isMetadataLoading) {
+            // One fetch covers the comparison period too; processing splits the issues by created day
+            const fetchRange = getFetchRange(startDate, endDate, getComparisonRange(comparisonConfig, startDate, endDate));
+            handleFilterSubmit(projectKeys, metadata, standardFilters, fetchRange.startDate, fetchRange.endDate, timezone);
+        } else if (projectKeysId && !isMetadataLoading) {
             const reason = !metadata ? 'Metadata not loaded.' : metadataError ? 'Metadata failed.' : 'Metadata stale or project mismatch.';
             addLog('warn', `[AppEffects] Explicit fetch trigger waiting. Conditions not met. Reason: ${reason}`);
             if (metadataError) { setError("Cannot fetch issues: Metadata failed to load."); }
         }
     // eslint-disable-next-line react-hooks/exhaustive-deps
     }, [
-        projectKey, metadata, metadataError, isMetadataLoading,
-        handleFilterSubmit, standardFilters, startDate, endDate, addLog, setError, flowWarningLoggedRef, setProcessedData // Added setProcessedData
+        projectKeysId, metadata, metadataError, isMetadataLoading,
+        handleFilterSubmit, standardFilters, startDate, endDate, timezone, comparisonConfig, addLog, setError, flowWarningLoggedRef, setProcessedData // Added setProcessedData
     ]);
 
 
@@ -111,7 +123,7 @@ export function useAppEffects({
             // Log flow point warning only once if applicable
             const flowPointsMissing = !triageConfig.value || !cycleStartConfig.value || !cycleEndConfig.value;
              // Read states from closure for condition
-             if (!isMetadataLoading && projectKey && metadata && !metadataError && issues.length > 0 && flowPointsMissing && !flowWarningLoggedRef.current) {
+             if (!isMetadataLoading && projectKeysId && metadata && !metadataError && issues.length > 0 && flowPointsMissing && !flowWarningLoggedRef.current) {
                   addLog('warn', "[AppEffects] Cannot process metrics: Flow points (Triage, Start, End) are not configured.");
                   flowWarningLoggedRef.current = true;
              }
@@ -125,13 +137,19 @@ export function useAppEffects({
         cycleStartConfig,
         cycleEndConfig,
         triageConfig,
+        calendarConfig,
+        timezone,
+        flowActivityConfig,
+        segmentConfig,
+        comparisonConfig,
+        slaConfig,
         metadata?.statuses,
         // Also need setters/state used *within* this specific effect's logic
         setIsProcessing,
         setProcessedData,
         flowWarningLoggedRef,
         isMetadataLoading, // For conditional logging
-        projectKey, // For conditional logging
+        projectKeysId, // For conditional logging
         metadata, // For conditional logging
         metadataError, // For conditional logging
         addLog // For logging
@@ -158,12 +176,27 @@ export function useAppEffects({
                 const actualMetadataStatuses = metadata?.statuses; // Get fresh value
                 if (!actualMetadataStatuses) throw new Error("Metadata statuses missing during processing."); // Safety check
 
+                // With a comparison period the fetched issues span both periods
+                const comparisonRange = getComparisonRange(comparisonConfig, startDate, endDate);
+                const periodIssues = comparisonRange ? filterIssuesByCreatedDate(issues, startDate, endDate, timezone) : issues;
+
                 console.time('[AppEffects ProcessMetrics] Duration');
                 const metrics = processMetrics(
-                    issues, statusGroups, startDate, endDate,
+                    periodIssues, statusGroups, startDate, endDate,
                     cycleStartConfig, cycleEndConfig, triageConfig,
-                    actualMetadataStatuses
+                    actualMetadataStatuses, calendarConfig, timezone, flowActivityConfig,
+                    segmentConfig, slaConfig
                 );
+                if (metrics && comparisonRange) {
+                    const comparisonIssues = filterIssuesByCreatedDate(issues, comparisonRange.startDate, comparisonRange.endDate, timezone);
+                    const comparisonMetrics = processMetrics(
+                        comparisonIssues, statusGroups, comparisonRange.startDate, comparisonRange.endDate,
+                        cycleStartConfig, cycleEndConfig, triageConfig,
+                        actualMetadataStatuses, calendarConfig, timezone, flowActivityConfig
+                    );
+                    metrics.comparison = summarizeComparison(comparisonMetrics, comparisonRange, comparisonIssues.length);
+                    if (comparisonIssues.length === 0) addLog('warn', `[AppEffects] No issues in the comparison period ${comparisonRange.startDate} to ${comparisonRange.endDate}. Load the ticket data again to include it.`);
+                }
                 console.timeEnd('[AppEffects ProcessMetrics] Duration');
 
                 setProcessedData(metrics);
@@ -190,7 +223,7 @@ export function useAppEffects({
     }, [
         isProcessing, // <<<< KEY DEPENDENCY
         // Data needed for processMetrics call (read from closure, assumed stable between processing start/end)
-        issues, statusGroups, startDate, endDate, cycleStartConfig, cycleEndConfig, triageConfig, metadata,
+        issues, statusGroups, startDate, endDate, cycleStartConfig, cycleEndConfig, triageConfig, calendarConfig, timezone, flowActivityConfig, segmentConfig, comparisonConfig, slaConfig, metadata,
         // Functions
         setIsLoading, setProcessedData, addLog, setError, setIsProcessing // Include setIsProcessing
     ]);
@@ -1,5 +1,10 @@
 // frontend/src/hooks/useFilters.js
 import { useState } from 'react';
+import { DEFAULT_CALENDAR_CONFIG, normalizeCalendarConfig } from '../utils/workingCalendar.js';
+import { getLocalTimeZone } from '../utils/timezone.js';
+import { DEFAULT_SEGMENT_CONFIG, normalizeSegmentConfig } from '../utils/segments.js';
+import { DEFAULT_COMPARISON_CONFIG, normalizeComparisonConfig } from '../utils/periodComparison.js';
+import { DEFAULT_SLA_CONFIG, normalizeSlaConfig } from '../utils/sla.js';
 
 const initialFlowConfig = { type: 'group', value: '' };
 
@@ -8,10 +13,23 @@ export function useFilters() {
     new Date(new Date().setDate(new Date().getDate() - 30)).toISOString().split('T')[0],
   );
   const [endDate, setEndDate] = useState(new Date().toISOString().split('T')[0]);
-  const [standardFilters, setStandardFilters] = useState({ issueTypes: [], priorities: [] });
+  // Timezone the dates are days in: created-date filter bounds, throughput and CFD buckets
+  const [timezone, setTimezone] = useState(getLocalTimeZone);
+  // `jql` is a free-form clause ANDed with the generated issue type / priority / date clauses
+  const [standardFilters, setStandardFilters] = useState({ issueTypes: [], priorities: [], jql: '' });
   const [triageConfig, setTriageConfig] = useState(initialFlowConfig);
   const [cycleStartConfig, setCycleStartConfig] = useState(initialFlowConfig);
   const [cycleEndConfig, setCycleEndConfig] = useState(initialFlowConfig);
+  // Working calendar; when enabled, durations are measured in business time
+  const [calendarConfig, setCalendarConfig] = useState(DEFAULT_CALENDAR_CONFIG);
+  // Flow efficiency: [{ type: 'group'|'status', value, activity: 'active'|'waiting' }]
+  const [flowActivityConfig, setFlowActivityConfig] = useState([]);
+  // "Segment by" dimension: { dimension, fieldId }; no dimension = off
+  const [segmentConfig, setSegmentConfig] = useState(DEFAULT_SEGMENT_CONFIG);
+  // Comparison period: { mode: 'off'|'previous'|'custom', startDate, endDate }
+  const [comparisonConfig, setComparisonConfig] = useState(DEFAULT_COMPARISON_CONFIG);
+  // SLA targets: { targets: [{ priority, issueType, responseHours, resolutionHours }] }; no targets = off
+  const [slaConfig, setSlaConfig] = useState(DEFAULT_SLA_CONFIG);
 
   // Function to reset flow configs if their selected group is removed
   const resetInvalidFlowConfigs = (validGroupNamesSet) => {
@@ -23,28 +41,42 @@ export function useFilters() {
       resetIfNeeded(triageConfig, setTriageConfig);
       resetIfNeeded(cycleStartConfig, setCycleStartConfig);
       resetIfNeeded(cycleEndConfig, setCycleEndConfig);
+      setFlowActivityConfig(prev => prev.filter(entry => entry.type !== 'group' || validGroupNamesSet.has(entry.value)));
   }
 
   // Function to apply filters loaded from a view
   const applyLoadedFilters = (loadedViewData) => {
       setStartDate(loadedViewData.startDate || '');
       setEndDate(loadedViewData.endDate || '');
+      setTimezone(loadedViewData.timezone || 'UTC'); // Views saved before timezone support bucketed days in UTC
       setStandardFilters({
           issueTypes: loadedViewData.standardFilters?.issueTypes || [],
           priorities: loadedViewData.standardFilters?.priorities || [],
+          jql: loadedViewData.standardFilters?.jql || '',
       });
       setTriageConfig(loadedViewData.triageConfig || initialFlowConfig);
       setCycleStartConfig(loadedViewData.cycleStartConfig || initialFlowConfig);
       setCycleEndConfig(loadedViewData.cycleEndConfig || initialFlowConfig);
+      setCalendarConfig(normalizeCalendarConfig(loadedViewData.calendar));
+      setFlowActivityConfig(Array.isArray(loadedViewData.flowActivity) ? loadedViewData.flowActivity : []);
+      setSegmentConfig(normalizeSegmentConfig(loadedViewData.segmentBy));
+      setComparisonConfig(normalizeComparisonConfig(loadedViewData.comparison));
+      setSlaConfig(normalizeSlaConfig(loadedViewData.sla));
   }
 
   return {
     startDate, setStartDate,
     endDate, setEndDate,
+    timezone, setTimezone,
     standardFilters, setStandardFilters,
     triageConfig, setTriageConfig,
     cycleStartConfig, setCycleStartConfig,
     cycleEndConfig, setCycleEndConfig,
+    calendarConfig, setCalendarConfig,
+    flowActivityConfig, setFlowActivityConfig,
+    segmentConfig, setSegmentConfig,
+    comparisonConfig, setComparisonConfig,
+    slaConfig, setSlaConfig,
     resetInvalidFlowConfigs,
     applyLoadedFilters,
     initialFlowConfig // Export for use elsewhere if needed
@@ -1,16 +1,43 @@
 // frontend/src/hooks/useJiraData.js
-import { useState, useCallback, useEffect } from 'react';
+import { useState, useCallback, useEffect, useRef } from 'react';
 
 const API_BASE_URL = 'http://localhost:3001/api';
 
+// Normalizes "plat, ops" or ['plat', 'ops'] into ['PLAT', 'OPS'] (trimmed, de-duplicated, order kept)
+export function parseProjectKeys(input) {
+  const rawKeys = Array.isArray(input) ? input : String(input || '').split(/[\s,]+/);
+  return [...new Set(rawKeys.map(key => String(key || '').trim().toUpperCase()).filter(Boolean))];
+}
+
+// Reads an NDJSON response body line by line, calling onEvent for each parsed object
+async function readNdjsonStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop(); // Keep the trailing partial line for the next chunk
+    lines.filter(line => line.trim()).forEach(line => onEvent(JSON.parse(line)));
+  }
+  if (buffer.trim()) onEvent(JSON.parse(buffer));
+}
+
 export function useJiraData(addLog) {
-  const [projectKey, setProjectKey] = useState('');
+  const [projectKeys, setProjectKeys] = useState([]); // One or more Jira project keys queried together
   const [metadata, setMetadata] = useState(null);
   const [issues, setIssues] = useState([]);
   const [isLoading, setIsLoading] = useState(false); // Combined loading
   const [isMetadataLoading, setIsMetadataLoading] = useState(false);
   const [error, setErrorState] = useState(null);
   const [metadataError, setMetadataErrorState] = useState(null);
+  // Live progress of the current issue fetch: { phase, page, refsFound, fetched, failed, total, cacheHits }
+  const [fetchProgress, setFetchProgress] = useState(null);
+  const fetchAbortRef = useRef(null);
+  // Parse errors for the advanced JQL filter, shown inline in the FilterPanel
+  const [jqlErrors, setJqlErrors] = useState([]);
 
   // Log errors automatically
   const setError = useCallback((message) => {
@@ -23,31 +50,33 @@ export function useJiraData(addLog) {
     setMetadataErrorState(message);
   }, [addLog]);
 
-  // Project Key Change Handler
-  const handleProjectKeyChange = useCallback((key) => {
-    if (!key) return;
-    const upperKey = key.toUpperCase();
-    if (upperKey !== projectKey) {
-        addLog('info', `[Data] Setting project key to: ${upperKey}`);
-        setProjectKey(upperKey);
-        setIssues([]); // Clear data related to old project
+  // Project Keys Change Handler (accepts an array or a comma-separated string)
+  const handleProjectKeysChange = useCallback((keysInput) => {
+    const newKeys = parseProjectKeys(keysInput);
+    if (newKeys.length === 0) return;
+    const label = newKeys.join(', ');
+    if (newKeys.join(',') !== projectKeys.join(',')) {
+        addLog('info', `[Data] Setting project key(s) to: ${label}`);
+        setProjectKeys(newKeys);
+        setIssues([]); // Clear data related to old projects
         setMetadata(null);
         setErrorState(null);
         setMetadataErrorState(null);
     } else {
-        addLog('info', `[Data] Project key "${upperKey}" is already set.`);
+        addLog('info', `[Data] Project key(s) "${label}" already set.`);
     }
-  }, [projectKey, addLog]);
+  }, [projectKeys, addLog]);
 
   // --- Metadata Fetch Effect ---
-  const fetchMetadata = useCallback(async (currentProjectKey, currentStatusGroupsLength) => {
-      if (!currentProjectKey) {
+  const fetchMetadata = useCallback(async (currentProjectKeys, currentStatusGroupsLength) => {
+      if (!currentProjectKeys?.length) {
           setMetadata(null);
           setMetadataErrorState(null);
           return null; // Return null if no key
       }
 
-      addLog('info', `[Data] Fetching metadata for project: ${currentProjectKey}...`);
+      const projectsLabel = currentProjectKeys.join(', ');
+      addLog('info', `[Data] Fetching metadata for project(s): ${projectsLabel}...`);
       setIsMetadataLoading(true);
       setMetadataErrorState(null);
       setMetadata(null);
@@ -56,7 +85,7 @@ export function useJiraData(addLog) {
       setIsLoading(true); // Indicate overall loading start
 
       try {
-          const response = await fetch(`${API_BASE_URL}/jira/metadata?projectKey=${currentProjectKey}`);
+          const response = await fetch(`${API_BASE_URL}/jira/metadata?projectKeys=${encodeURIComponent(currentProjectKeys.join(','))}`);
           if (!response.ok) {
               const errData = await response.json().catch(() => ({}));
               throw new Error(errData.error || `Metadata request failed: ${response.status}`);
@@ -67,11 +96,11 @@ export function useJiraData(addLog) {
           }
           const newMetadata = {
               ...meta,
-              projectKeyFromLoad: currentProjectKey,
+              projectKeysFromLoad: currentProjectKeys.join(','), // Compared against the current keys to detect stale metadata
               statusesMap: new Map(meta.statuses.map(s => [String(s.id), s.name || `Status ${s.id}`]))
           };
           setMetadata(newMetadata);
-          addLog('info', `[Data] Metadata fetched successfully for ${currentProjectKey}.`);
+          addLog('info', `[Data] Metadata fetched successfully for ${projectsLabel}.`);
           setIsMetadataLoading(false); // Metadata specific loading done
           // Return metadata and default groups *only if* statusGroups are empty
           let defaultGroups = null;
@@ -95,52 +124,136 @@ export function useJiraData(addLog) {
 
 
   // --- Issue Fetch Logic ---
-  const handleFilterSubmit = useCallback(async (currentProjectKey, currentMetadata, currentFilters, currentStartDate, currentEndDate) => {
-       if (!currentProjectKey || !currentMetadata || metadataError || isMetadataLoading ) {
+  const handleFilterSubmit = useCallback(async (currentProjectKeys, currentMetadata, currentFilters, currentStartDate, currentEndDate, currentTimezone) => {
+       if (!currentProjectKeys?.length || !currentMetadata || metadataError || isMetadataLoading ) {
            addLog('warn', `[Data] Issue fetch aborted. Conditions not met.`);
            if(isLoading) setIsLoading(false); // Ensure loading stops if called incorrectly
            return;
        }
 
-       addLog('info', `[Data] Starting issue fetch for project: ${currentProjectKey}`);
+       addLog('info', `[Data] Starting issue fetch for project(s): ${currentProjectKeys.join(', ')}`);
        setIsLoading(true); // Ensure loading is true
        setErrorState(null);
+       setJqlErrors([]);
        setIssues([]); // Clear previous issues
 
-       const jqlParts = [];
-       if (currentFilters.issueTypes?.length > 0) jqlParts.push(`issueType in (${currentFilters.issueTypes.map(id => `"${id}"`).join(',')})`);
-       if (currentFilters.priorities?.length > 0) jqlParts.push(`priority in (${currentFilters.priorities.map(id => `"${id}"`).join(',')})`);
-       if (currentStartDate && !isNaN(new Date(currentStartDate))) jqlParts.push(`created >= "${currentStartDate}"`);
-       if (currentEndDate && !isNaN(new Date(currentEndDate))) jqlParts.push(`created <= "${currentEndDate} 23:59"`);
-       const filterClause = jqlParts.join(' AND ');
+       // Structured filters; the backend builds (and escapes) the JQL
+       const advancedJql = currentFilters.jql?.trim() || ''; // Validated by the backend before fetching
+       const filters = {
+           issueTypes: currentFilters.issueTypes || [],
+           priorities: currentFilters.priorities || [],
+           startDate: currentStartDate || null,
+           endDate: currentEndDate || null,
+           timezone: currentTimezone || null, // Dates are days in this timezone; the backend converts them for JQL
+           extraClauses: advancedJql ? [advancedJql] : [],
+       };
 
-       addLog('info', `[Data] Fetching with JQL: ${filterClause || '(No filters)'}`);
+       addLog('info', `[Data] Fetching with filters: issue types: ${filters.issueTypes.length}, priorities: ${filters.priorities.length}, created ${filters.startDate || '*'} to ${filters.endDate || '*'} (${filters.timezone || 'Jira timezone'})${advancedJql ? `, advanced JQL: ${advancedJql}` : ''}`);
 
        const requestUrl = `${API_BASE_URL}/jira/tickets`;
-       const requestPayload = { projectKey: currentProjectKey, jqlFilter: filterClause };
+       const requestPayload = { projectKeys: currentProjectKeys, filters, stream: true };
+
+       // Cancel any fetch still running, then track this one
+       fetchAbortRef.current?.abort();
+       const abortController = new AbortController();
+       fetchAbortRef.current = abortController;
+       setFetchProgress({ phase: 'search', page: 0, refsFound: 0 });
 
        try {
-           const response = await fetch(requestUrl, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(requestPayload) });
+           const response = await fetch(requestUrl, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(requestPayload), signal: abortController.signal });
            if (!response.ok) {
                 const errData = await response.json().catch(() => ({}));
+                if (Array.isArray(errData.jqlErrors)) setJqlErrors(errData.jqlErrors);
                 throw new Error(errData.error || `Issue fetch failed: ${response.status}`);
            }
-           const data = await response.json();
+
+           // Consume progress events until the final result (or error) arrives
+           let data = null;
+           let lastLoggedDecile = -1;
+           await readNdjsonStream(response, (event) => {
+               if (event.type === 'progress') {
+                   setFetchProgress(event);
+                   if (event.phase === 'search' && event.page > 0) {
+                       addLog('info', `[Data] Step 1: page ${event.page} fetched, ${event.refsFound} issue references found.`);
+                   } else if (event.phase === 'details' && event.total > 0) {
+                       const decile = Math.floor(((event.fetched + event.failed) / event.total) * 10);
+                       if (decile !== lastLoggedDecile) {
+                           lastLoggedDecile = decile;
+                           addLog('info', `[Data] Step 2: ${event.fetched}/${event.total} details fetched${event.failed ? `, ${event.failed} failed` : ''}${event.cacheHits ? ` (${event.cacheHits} from cache)` : ''}.`);
+                       }
+                   }
+               } else if (event.type === 'error') {
+                   throw new Error(event.error || 'Issue fetch failed');
+               } else if (event.type === 'result') {
+                   data = event;
+               }
+           });
+
            if (data?.issues && Array.isArray(data.issues)) {
                addLog('info', `[Data] Fetched ${data.issues.length} issues successfully.`);
+               if (data.cache) {
+                   addLog('info', `[Data] Cache: ${data.cache.hits} served from cache, ${data.cache.fetched} fetched from Jira, ${data.cache.refreshed} refreshed since last sync.`);
+               }
+               if (Array.isArray(data.failed) && data.failed.length > 0) {
+                   addLog('warn', `[Data] Details could not be fetched for ${data.failed.length} issue(s): ${data.failed.map(f => f.key || '(missing key)').join(', ')}`);
+               }
                setIssues(data.issues); // Set issues, triggering processing effect in AppContent
            } else { throw new Error('Invalid issue data structure received.'); }
        } catch (err) {
-           setError(`Failed to load ticket data: ${err.message}.`);
+           // A newer fetch replaced this one: leave its issues and loading state alone
+           if (fetchAbortRef.current !== abortController) {
+               if (err.name === 'AbortError') addLog('info', '[Data] Previous issue fetch cancelled by a new fetch.');
+               return;
+           }
+           if (err.name === 'AbortError') {
+               addLog('warn', '[Data] Issue fetch cancelled.');
+           } else {
+               setError(`Failed to load ticket data: ${err.message}.`);
+           }
            setIssues([]);
            setIsLoading(false); // Stop loading on error
+       } finally {
+           if (fetchAbortRef.current === abortController) {
+               fetchAbortRef.current = null;
+               setFetchProgress(null);
+           }
        }
         // Don't set isLoading false on success, let processing effect do it
    }, [addLog, metadataError, isMetadataLoading, isLoading, setError]);
 
+  // Checks the advanced JQL clause with Jira without fetching issues
+  const validateJql = useCallback(async (jql) => {
+      const trimmedJql = jql?.trim() || '';
+      if (!trimmedJql) {
+          setJqlErrors([]);
+          return true;
+      }
+      addLog('info', `[Data] Validating advanced JQL: ${trimmedJql}`);
+      try {
+          const response = await fetch(`${API_BASE_URL}/jira/jql/validate`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ jql: trimmedJql }) });
+          const result = await response.json().catch(() => ({}));
+          if (!response.ok) throw new Error(result.error || `JQL validation failed: ${response.status}`);
+          setJqlErrors(result.errors || []);
+          addLog(result.valid ? 'info' : 'warn', result.valid ? '[Data] Advanced JQL is valid.' : `[Data] Advanced JQL is invalid: ${(result.errors || []).join(' ')}`);
+          return !!result.valid;
+      } catch (err) {
+          addLog('error', `[Data] Could not validate advanced JQL: ${err.message}`);
+          setJqlErrors([`Could not validate JQL: ${err.message}`]);
+          return false;
+      }
+  }, [addLog]);
+
+  // Abort the in-flight issue fetch (the backend stops its Jira requests when the stream closes)
+  const cancelFetch = useCallback(() => {
+      if (fetchAbortRef.current) {
+          addLog('info', '[Data] Cancelling issue fetch...');
+          fetchAbortRef.current.abort();
+      }
+  }, [addLog]);
+
 
   return {
-    projectKey, setProjectKey: handleProjectKeyChange, // Use the handler
+    projectKeys, setProjectKeys: handleProjectKeysChange, // Use the handler
     metadata, setMetadata, // Allow external setting if needed (e.g., from load view)
     issues, setIssues, // Allow external setting
     isLoading, setIsLoading,
@@ -149,6 +262,10 @@ export function useJiraData(addLog) {
     metadataError, setMetadataError,
     fetchMetadata,
     handleFilterSubmit,
+    fetchProgress,
+    cancelFetch,
+    jqlErrors,
+    validateJql,
     clearErrors: () => { // Function to clear errors in this hook
         setErrorState(null);
         setMetadataErrorState(null);
@@ -33,15 +33,15 @@ export function useSavedViews(addLog, currentConfig, onLoadViewSuccess) {
 
   // Save Current View
   const saveCurrentView = useCallback(async (name) => {
-     const { projectKey, startDate, endDate, standardFilters, statusGroups, triageConfig, cycleStartConfig, cycleEndConfig } = currentConfig;
-     if (!name || !projectKey) {
+     const { projectKeys, startDate, endDate, timezone, standardFilters, statusGroups, triageConfig, cycleStartConfig, cycleEndConfig, calendarConfig, flowActivityConfig, segmentConfig, comparisonConfig, slaConfig } = currentConfig;
+     if (!name || !projectKeys?.length) {
          const msg = 'Provide name & load project before saving.';
          alert(msg);
          addLog('warn', `[Views] Save aborted: ${msg}`);
          return;
      }
      addLog('info', `[Views] Saving view: ${name}`);
-     const viewConfig = { name, projectKey, startDate, endDate, standardFilters, statusGroups, triageConfig, cycleStartConfig, cycleEndConfig };
+     const viewConfig = { name, projectKeys, startDate, endDate, timezone, standardFilters, statusGroups, triageConfig, cycleStartConfig, cycleEndConfig, calendar: calendarConfig, flowActivity: flowActivityConfig, segmentBy: segmentConfig, comparison: comparisonConfig, sla: slaConfig };
      try {
          const response = await fetch(`${API_BASE_URL}/views`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(viewConfig) });
          if (!response.ok) {
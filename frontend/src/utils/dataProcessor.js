@@ -3,26 +3,45 @@
  *
  * Calculates metrics, supporting configuration by Status Group OR individual Status.
  * Produces detailed status-level data alongside aggregated group-level data.
+ * Shared with the backend (POST /api/metrics, CLI), so it must stay free of browser/React APIs.
+ * Durations use wall-clock time, or business time when the view's working calendar is enabled.
  */
+import { createWorkingCalendar } from './workingCalendar.js';
+import { isValidTimeZone, toZonedDateString, zonedDateTimeToUtc, addDays } from './timezone.js';
+import { normalizeSegmentConfig, isSegmentationEnabled, getIssueSegments } from './segments.js';
+import { normalizeSlaConfig, isSlaEnabled, findSlaTarget, getSlaTargetLabel, SLA_AT_RISK_SHARE } from './sla.js';
+
+const MS_PER_HOUR = 1000 * 60 * 60;
+const MS_PER_DAY = MS_PER_HOUR * 24;
+const MAX_SEGMENTS = 20; // Smaller segments are combined into OTHER_SEGMENT
+const OTHER_SEGMENT = '(other)';
+const TREND_WINDOWS = { rolling7: 7, rolling14: 14, rolling30: 30 }; // Rolling trend windows in days (plus 'weekly' buckets)
+const BLOCKED_BY_LINK_PATTERN = /is blocked by/i; // Changelog text of an "is blocked by" issue link
+const BLOCKED_REASONS = [
+  { reason: 'flagged', label: 'Flagged' },
+  { reason: 'link', label: 'Blocked by issue link' },
+];
 
 // --- Date Helpers (getDuration, getPercentile, getDateRange - implemented) ---
 /**
  * Calculates the duration between two Date objects in the specified unit.
+ * With a working calendar only working time counts, and a day is one working day.
  * @param {Date} startDate
  * @param {Date} endDate
  * @param {string} unit - 'ms', 'hours', or 'days'
+ * @param {object|null} [calendar] - From createWorkingCalendar(); null for wall-clock time.
  * @returns {number} - Duration in the specified unit.
  */
-function getDuration(startDate, endDate, unit) {
+function getDuration(startDate, endDate, unit, calendar = null) {
     if (!startDate || !endDate) return 0;
-    const diffMs = endDate.getTime() - startDate.getTime();
+    const diffMs = calendar ? calendar.getWorkingMs(startDate, endDate) : endDate.getTime() - startDate.getTime();
     if (diffMs <= 0) return 0;
 
     switch (unit) {
         case 'ms': return diffMs;
-        case 'hours': return diffMs / (1000 * 60 * 60);
+        case 'hours': return diffMs / MS_PER_HOUR;
         case 'days':
-        default: return diffMs / (1000 * 60 * 60 * 24);
+        default: return diffMs / (calendar ? calendar.msPerDay : MS_PER_DAY);
     }
 }
 
@@ -39,36 +58,47 @@ function getPercentile(sortedArray, percentile) {
     return sortedArray[Math.max(0, index)];
 }
 
+/**
+ * Counts sorted durations into fixed-size buckets, e.g. { range: '2-4 days', count }.
+ * @param {Array<number>} sortedDurations - Durations, already sorted.
+ * @param {number} bucketSize - Bucket width in the durations' unit.
+ * @param {string} unit - Unit shown in the bucket names ('days', 'hours').
+ * @returns {Array<{ range: string, count: number }>} - Non-empty buckets, shortest first.
+ */
+function buildHistogram(sortedDurations, bucketSize, unit) {
+    const buckets = new Map();
+    const rangeFormat = (num) => (num % 1 === 0 ? num.toString() : num.toFixed(1));
+    sortedDurations.forEach(duration => {
+        const bucketStart = Math.floor(duration / bucketSize) * bucketSize;
+        const bucketName = `${rangeFormat(bucketStart)}-${rangeFormat(bucketStart + bucketSize)} ${unit}`;
+        buckets.set(bucketName, (buckets.get(bucketName) || 0) + 1); // Map keeps insertion (= sorted) order
+    });
+    return Array.from(buckets.entries()).map(([range, count]) => ({ range, count }));
+}
+
 /**
  * Generates an array of date strings (YYYY-MM-DD) for every day
  * between and including the start and end dates.
+ * Days are calendar days in the view's timezone, so the range never depends on the runtime's timezone.
  * @param {string} startDateStr - Start date string (YYYY-MM-DD)
  * @param {string} endDateStr - End date string (YYYY-MM-DD)
  * @returns {Array<string>} - Array of date strings.
  */
 function getDateRange(startDateStr, endDateStr) {
-    // Create Date objects from YYYY-MM-DD strings. They are interpreted as midnight UTC.
-    const start = new Date(startDateStr);
-    const end = new Date(endDateStr);
+    const start = new Date(`${startDateStr}T00:00:00Z`);
+    const end = new Date(`${endDateStr}T00:00:00Z`);
 
     if (isNaN(start.getTime()) || isNaN(end.getTime()) || start.getTime() > end.getTime()) {
         return [];
     }
 
     const dateArray = [];
-    const currentDate = new Date(start);
-    
-    // Loop through each day.
-    while (currentDate.getTime() <= end.getTime()) {
-        // Format date as YYYY-MM-DD string
-        const dateString = currentDate.toISOString().split('T')[0];
+    // Loop through each day (string arithmetic, unaffected by DST changes)
+    for (let dateString = startDateStr; dateString <= endDateStr; dateString = addDays(dateString, 1)) {
         dateArray.push(dateString);
-        
-        // Move to the next day. This is a robust way to iterate days across DST changes.
-        currentDate.setDate(currentDate.getDate() + 1);
-        
+
         // Safety break for unexpected loops (e.g., max ~2.7 years)
-        if (dateArray.length > 1000) return []; 
+        if (dateArray.length > 1000) return [];
     }
 
     return dateArray;
@@ -123,6 +153,11 @@ function getStatusIdsFromConfig(config, statusGroups, statusesMap) {
  * @param {object} cycleEndConfig - { type: 'group'|'status', value: string }
  * @param {object} triageConfig - { type: 'group'|'status', value: string }
  * @param {Array} allStatuses - Array of {id, name} from metadata.statuses
+ * @param {object} [calendarConfig] - Working calendar (see workingCalendar.js); business time when enabled
+ * @param {string} [timeZone] - IANA timezone of the view's days (throughput and CFD buckets); defaults to UTC
+ * @param {Array} [flowActivityConfig] - [{ type: 'group'|'status', value, activity: 'active'|'waiting' }] for flow efficiency
+ * @param {object} [segmentConfig] - { dimension, fieldId } (see segments.js); splits the key metrics per segment when set
+ * @param {object} [slaConfig] - { targets } (see sla.js); SLA breach tracking when at least one target is set
  */
 export function processMetrics(
   issues,
@@ -132,7 +167,12 @@ export function processMetrics(
   cycleStartConfig, // UPDATED: Now object
   cycleEndConfig,   // UPDATED: Now object
   triageConfig,     // UPDATED: Now object
-  allStatuses       // NEW: Pass all statuses from metadata
+  allStatuses,      // NEW: Pass all statuses from metadata
+  calendarConfig,   // Optional working calendar for business-time durations
+  timeZone = 'UTC', // Timezone the date range and daily buckets are in
+  flowActivityConfig = [], // Which groups/statuses are active (value-adding) vs waiting
+  segmentConfig = null, // Optional "segment by" dimension
+  slaConfig = null // Optional SLA targets per priority
 ) {
   console.log( '[processMetrics] Running with issues:', issues?.length, '| groups:', statusGroups?.length,
     '| triage:', triageConfig?.value, '| start:', cycleStartConfig?.value, '| end:', cycleEndConfig?.value );
@@ -172,6 +212,15 @@ export function processMetrics(
   });
   // Add an 'Ungrouped' category if needed? Or rely on status-level data. Let's rely on status-level.
 
+  if (!isValidTimeZone(timeZone)) {
+      console.warn(`[processMetrics] Unknown timezone '${timeZone}'. Using UTC.`);
+      timeZone = 'UTC';
+  }
+  const calendar = createWorkingCalendar(calendarConfig); // null = wall-clock time
+  if (calendar) {
+      console.log(`[processMetrics] Using business time: ${calendar.config.dayStart}-${calendar.config.dayEnd} ${calendar.config.timezone}, ${calendar.config.holidays.length} holiday(s).`);
+  }
+
   // --- 2. Build Timelines (using status IDs directly) ---
   console.time('[processMetrics] Build All Timelines');
   const allIssueTimelines = issues
@@ -185,7 +234,7 @@ export function processMetrics(
   console.time('[processMetrics] Calculate All Metrics');
 
   // --- Refactored: Calculate detailed status-level first, then aggregate ---
-  const timeInStatusResult = calculateTimeInStatusDetailed(allIssueTimelines, statusMasterMap, statusToGroupMap, initialGroupCounters);
+  const timeInStatusResult = calculateTimeInStatusDetailed(allIssueTimelines, statusMasterMap, statusToGroupMap, initialGroupCounters, calendar);
   const distributionResult = calculateDistributionDetailed(issues, statusMasterMap, statusToGroupMap, initialGroupCounters);
   // --- End Refactor ---
 
@@ -195,7 +244,17 @@ export function processMetrics(
     cycleStartConfig,
     cycleEndConfig,
     statusGroups,
-    statusMasterMap // Pass master map
+    statusMasterMap, // Pass master map
+    calendar
+  );
+
+  const leadTimeData = processLeadTime(
+    allIssueTimelines,
+    cycleStartConfig,
+    cycleEndConfig,
+    statusGroups,
+    statusMasterMap,
+    calendar
   );
 
   const throughputData = processThroughput(
@@ -204,7 +263,8 @@ export function processMetrics(
     startDate,
     endDate,
     statusGroups,
-    statusMasterMap // Pass master map
+    statusMasterMap, // Pass master map
+    timeZone
   );
 
   const cfdData = processCFD( // CFD still works best at group level
@@ -212,7 +272,8 @@ export function processMetrics(
     groupOrder,
     statusToGroupMap, // Need map to determine group for CFD snapshot
     startDate,
-    endDate
+    endDate,
+    timeZone
   );
 
   const supportMetrics = processSupportMetrics(
@@ -220,22 +281,123 @@ export function processMetrics(
     triageConfig, // Use config object
     cycleEndConfig, // Use config object
     statusGroups,
-    statusMasterMap // Pass master map
+    statusMasterMap, // Pass master map
+    calendar
   );
 
-  const summaryStats = calculateSummaryStats(
-    issues, // Need raw issues for current status check
-    statusMasterMap, // Use master map
+  const agingWip = processAgingWip(
+    allIssueTimelines,
+    cycleStartConfig,
+    cycleEndConfig,
+    statusGroups,
+    statusMasterMap,
+    statusToGroupMap,
+    cycleTimeData, // Historical percentiles for the reference lines
+    calendar
+  );
+
+  const flowEfficiency = processFlowEfficiency(
+    allIssueTimelines,
+    cycleStartConfig,
+    cycleEndConfig,
+    statusGroups,
+    statusMasterMap,
     statusToGroupMap,
+    flowActivityConfig,
+    startDate,
+    timeZone,
+    calendar
+  );
+
+  const transitions = processTransitions(
+    allIssueTimelines,
+    groupOrder,
+    statusToGroupMap,
+    statusMasterMap,
+    cycleEndConfig,
+    statusGroups,
+    calendar
+  );
+
+  const blockedTime = processBlockedTime(
+    allIssueTimelines,
+    statusToGroupMap,
+    groupOrder,
+    cycleTimeData, // Records carry the blocked part of each cycle
+    cycleEndConfig,
+    statusGroups,
+    statusMasterMap,
+    calendar
+  );
+
+  const trends = processTrends(
     cycleTimeData,
-    groupOrder, // Keep group order for reference
-    cycleStartConfig, // Use config object
-    cycleEndConfig,   // Use config object
     supportMetrics,
-    triageConfig      // Use config object
+    throughputData,
+    startDate,
+    endDate,
+    timeZone
+  );
+
+  const summaryStats = calculateSummaryStats(
+    issues,
+    cycleTimeData,
+    leadTimeData,
+    supportMetrics,
+    agingWip // Current WIP, same definition as the Aging WIP chart and the segments
   );
   // --- End Update ---
 
+  // Wall-clock counterparts of the business-time durations, so the dashboard can show both
+  let calendarTime = null;
+  if (calendar) {
+    const wallCycleTimeData = processCycleTime(allIssueTimelines, cycleStartConfig, cycleEndConfig, statusGroups, statusMasterMap, null);
+    const wallLeadTimeData = processLeadTime(allIssueTimelines, cycleStartConfig, cycleEndConfig, statusGroups, statusMasterMap, null);
+    const wallSupportMetrics = processSupportMetrics(allIssueTimelines, triageConfig, cycleEndConfig, statusGroups, statusMasterMap, null);
+    calendarTime = {
+      timeInStatus: calculateTimeInStatusDetailed(allIssueTimelines, statusMasterMap, statusToGroupMap, initialGroupCounters, null),
+      cycleTimeData: wallCycleTimeData,
+      leadTimeData: wallLeadTimeData,
+      supportMetrics: wallSupportMetrics,
+      summaryStats: calculateSummaryStats(issues, wallCycleTimeData, wallLeadTimeData, wallSupportMetrics, agingWip),
+    };
+  }
+
+  const normalizedSegmentConfig = normalizeSegmentConfig(segmentConfig);
+  const segments = isSegmentationEnabled(normalizedSegmentConfig)
+    ? processSegments(
+        issues,
+        allIssueTimelines,
+        normalizedSegmentConfig,
+        statusGroups,
+        statusMasterMap,
+        statusToGroupMap,
+        cycleStartConfig,
+        cycleEndConfig,
+        triageConfig,
+        startDate,
+        endDate,
+        timeZone,
+        calendar
+      )
+    : null;
+
+  const normalizedSlaConfig = normalizeSlaConfig(slaConfig);
+  const sla = isSlaEnabled(normalizedSlaConfig)
+    ? processSla(
+        allIssueTimelines,
+        normalizedSlaConfig,
+        triageConfig,
+        cycleEndConfig,
+        statusGroups,
+        statusMasterMap,
+        startDate,
+        endDate,
+        timeZone,
+        calendar
+      )
+    : null;
+
   console.timeEnd('[processMetrics] Calculate All Metrics');
 
   // --- 4. Assemble Results ---
@@ -243,10 +405,20 @@ export function processMetrics(
     distribution: distributionResult, // { byStatus, byGroup }
     timeInStatus: timeInStatusResult, // { byStatus, byGroup }
     cycleTimeData,
+    leadTimeData, // { leadTime, preStartWait }: creation to resolution / to work start
     throughputData,
     cfdData,
     summaryStats,
     supportMetrics,
+    agingWip,
+    flowEfficiency,
+    trends, // { rolling7, rolling14, rolling30, weekly }
+    transitions, // Transition matrix, rework and reopens
+    blockedTime, // Flagged / "is blocked by" time per issue, group and reason
+    segments, // null unless a segment dimension is configured
+    sla, // null unless SLA targets are configured
+    durationBasis: calendar ? 'business' : 'calendar', // How cycle time, MTTA/MTTR and time in status were measured
+    calendarTime, // Business time only: { timeInStatus, cycleTimeData, leadTimeData, supportMetrics, summaryStats } in wall-clock time
     // Include maps needed by frontend for drilldown/display
     statusToGroupMap: Object.fromEntries(statusToGroupMap), // Convert Map to object for easier prop passing
     statusMasterMap: Object.fromEntries(statusMasterMap)    // Convert Map to object
@@ -262,7 +434,8 @@ export function processMetrics(
 /**
  * Builds a timeline using STATUS IDs instead of group names.
  * @param {Map} statusMasterMap - Map of { statusId -> { name } }
- * @returns {object|null} { key: string, timeline: Array<{ timestamp: Date, statusId: string }>, currentStatusId: string }
+ * @returns {object|null} { key, summary, issueType, priority, timeline: Array<{ timestamp: Date, statusId: string }>, currentStatusId: string,
+ *   blockedIntervals (see buildBlockedIntervals) }
  */
 function buildIssueTimelineByStatus(issue, statusMasterMap) {
   if (!issue?.fields?.created) { /* ... validation ... */ return null; }
@@ -314,7 +487,102 @@ function buildIssueTimelineByStatus(issue, statusMasterMap) {
 
    const currentStatusId = issue.fields.status?.id ? String(issue.fields.status.id) : null;
 
-  return { key: issue.key, timeline, currentStatusId };
+  return {
+    key: issue.key,
+    summary: issue.fields.summary || '',
+    issueType: issue.fields.issuetype?.name || null,
+    priority: issue.fields.priority?.name || null,
+    timeline,
+    currentStatusId,
+    blockedIntervals: hasChangelog ? buildBlockedIntervals(issue.changelog.histories, createdDate) : [],
+  };
+}
+
+/**
+ * Periods an issue was blocked, from Flagged on/off changes and added/removed "is blocked by" links.
+ * A new interval starts whenever the set of reasons changes, so time per reason can be summed.
+ * An issue whose first Flagged change turns the flag off (or first link change removes a blocker)
+ * is treated as blocked since creation.
+ * @param {Array} histories - Changelog histories.
+ * @param {Date} createdDate
+ * @returns {Array<{ start: Date, end: Date|null, reasons: Array<'flagged'|'link'> }>} - end null = flag or link not removed yet
+ *   (see closeBlockedIntervalsAtResolution()).
+ */
+function buildBlockedIntervals(histories, createdDate) {
+  const changes = histories.flatMap((history) => {
+    const timestamp = new Date(history?.created);
+    if (!history?.items || isNaN(timestamp.getTime())) return [];
+    return history.items.flatMap((item) => {
+      if (item?.field === 'Flagged') {
+        return [{ timestamp, type: 'flag', on: Boolean(item.toString), wasOn: Boolean(item.fromString) }];
+      }
+      if (item?.field === 'Link') {
+        if (BLOCKED_BY_LINK_PATTERN.test(item.toString || '') && item.to) return [{ timestamp, type: 'link', ref: String(item.to), on: true }];
+        if (BLOCKED_BY_LINK_PATTERN.test(item.fromString || '') && item.from) return [{ timestamp, type: 'link', ref: String(item.from), on: false }];
+      }
+      return [];
+    });
+  }).sort((a, b) => a.timestamp.getTime() - b.timestamp.getTime());
+  if (changes.length === 0) return [];
+
+  // State at creation, inferred from the first change of each kind
+  const firstFlagChange = changes.find(change => change.type === 'flag');
+  let flagged = Boolean(firstFlagChange?.wasOn);
+  const blockers = new Set();
+  const seenLinks = new Set();
+  changes.forEach((change) => {
+    if (change.type !== 'link' || seenLinks.has(change.ref)) return;
+    seenLinks.add(change.ref);
+    if (!change.on) blockers.add(change.ref);
+  });
+
+  const intervals = [];
+  const reasonsNow = () => [flagged && 'flagged', blockers.size > 0 && 'link'].filter(Boolean);
+  const switchTo = (timestamp) => {
+    const reasons = reasonsNow();
+    const open = intervals[intervals.length - 1];
+    if (open && open.end === null) {
+      if (open.reasons.join() === reasons.join()) return;
+      open.end = timestamp;
+    }
+    if (reasons.length > 0) intervals.push({ start: timestamp, end: null, reasons });
+  };
+
+  switchTo(createdDate);
+  changes.forEach((change) => {
+    if (change.type === 'flag') flagged = change.on;
+    else if (change.on) blockers.add(change.ref);
+    else blockers.delete(change.ref);
+    switchTo(change.timestamp);
+  });
+  return intervals.filter(interval => interval.end === null || interval.end > interval.start);
+}
+
+// Blocked time within [from, to] (Dates), in `unit`
+function getBlockedDuration(blockedIntervals, from, to, unit, calendar, reason = null) {
+  return blockedIntervals.reduce((total, interval) => {
+    if (reason && !interval.reasons.includes(reason)) return total;
+    const start = interval.start > from ? interval.start : from;
+    const end = interval.end === null || interval.end > to ? to : interval.end;
+    return end > start ? total + getDuration(start, end, unit, calendar) : total;
+  }, 0);
+}
+
+/**
+ * Ends the blocked time of a resolved issue (current status in `endStatusIds`) where it reached the
+ * Resolution point; a reopened issue counts from its last resolution. "is blocked by" links are rarely
+ * removed once the blocker is fixed, so without this a resolved issue would stay blocked forever.
+ * @returns {Array} - Intervals of unresolved issues unchanged; otherwise none open, none after resolution.
+ */
+function closeBlockedIntervalsAtResolution(blockedIntervals, timeline, endStatusIds) {
+  const lastEvent = timeline[timeline.length - 1];
+  if (!lastEvent || !endStatusIds.has(lastEvent.statusId)) return blockedIntervals;
+  let resolvedIndex = timeline.length - 1;
+  while (resolvedIndex > 0 && endStatusIds.has(timeline[resolvedIndex - 1].statusId)) resolvedIndex--;
+  const resolvedAt = timeline[resolvedIndex].timestamp;
+  return blockedIntervals
+    .map(interval => (interval.end === null || interval.end > resolvedAt ? { ...interval, end: resolvedAt } : interval))
+    .filter(interval => interval.end > interval.start);
 }
 
 
@@ -370,8 +638,9 @@ function calculateDistributionDetailed(issues, statusMasterMap, statusToGroupMap
     return { byStatus: distributionByStatus, byGroup: distributionByGroup };
 }
 
-/** 2. Calculates time in STATUS and aggregates by GROUP. */
-function calculateTimeInStatusDetailed(allIssueTimelines, statusMasterMap, statusToGroupMap, initialGroupCounters) {
+/** 2. Calculates time in STATUS and aggregates by GROUP (days are working days when a calendar is given). */
+function calculateTimeInStatusDetailed(allIssueTimelines, statusMasterMap, statusToGroupMap, initialGroupCounters, calendar) {
+    const msPerDay = calendar ? calendar.msPerDay : MS_PER_DAY;
     const timeInStatusMs = new Map(); // statusId -> { name, totalMs }
     statusMasterMap.forEach((statusInfo, statusId) => {
         timeInStatusMs.set(statusId, { name: statusInfo.name, totalMs: 0 }); // Initialize
@@ -385,7 +654,7 @@ function calculateTimeInStatusDetailed(allIssueTimelines, statusMasterMap, statu
             const startTimestamp = startEvent.timestamp;
 
             if (timeInStatusMs.has(statusId) && startTimestamp instanceof Date && !isNaN(startTimestamp.getTime())) {
-                const durationMs = getDuration(startTimestamp, endTimestamp, 'ms');
+                const durationMs = getDuration(startTimestamp, endTimestamp, 'ms', calendar);
                 if (durationMs > 0) {
                     const current = timeInStatusMs.get(statusId);
                     current.totalMs += durationMs;
@@ -402,11 +671,11 @@ function calculateTimeInStatusDetailed(allIssueTimelines, statusMasterMap, statu
             id,
             name: data.name,
             totalMs: data.totalMs || 0,
-            totalHours: data.totalMs > 0 ? data.totalMs / (1000 * 60 * 60) : 0,
-            totalDays: data.totalMs > 0 ? data.totalMs / (1000 * 60 * 60 * 24) : 0,
+            totalHours: data.totalMs > 0 ? data.totalMs / MS_PER_HOUR : 0,
+            totalDays: data.totalMs > 0 ? data.totalMs / msPerDay : 0,
             // Average time spent *in this status* across *all issues* (even those that never entered it)
-            avgHours: totalIssues > 0 && data.totalMs > 0 ? (data.totalMs / (1000 * 60 * 60)) / totalIssues : 0,
-            avgDays: totalIssues > 0 && data.totalMs > 0 ? (data.totalMs / (1000 * 60 * 60 * 24)) / totalIssues : 0,
+            avgHours: totalIssues > 0 && data.totalMs > 0 ? (data.totalMs / MS_PER_HOUR) / totalIssues : 0,
+            avgDays: totalIssues > 0 && data.totalMs > 0 ? (data.totalMs / msPerDay) / totalIssues : 0,
         }))
         .filter(s => s.totalMs > 0 || statusToGroupMap.has(s.id)) // Keep if time>0 or if it belongs to a group
         .sort((a,b) => (statusToGroupMap.get(a.id)||'ZZZ').localeCompare(statusToGroupMap.get(b.id)||'ZZZ') || a.name.localeCompare(b.name)); // Sort by group, then name
@@ -424,19 +693,32 @@ function calculateTimeInStatusDetailed(allIssueTimelines, statusMasterMap, statu
     const timeInStatusByGroup = Array.from(timeInGroupMsAgg.entries()).map(([groupName, totalMs]) => ({
         groupName,
         totalMs: totalMs || 0,
-        totalHours: totalMs > 0 ? totalMs / (1000 * 60 * 60) : 0,
-        totalDays: totalMs > 0 ? totalMs / (1000 * 60 * 60 * 24) : 0,
-        avgHours: totalIssues > 0 && totalMs > 0 ? (totalMs / (1000 * 60 * 60)) / totalIssues : 0,
-        avgDays: totalIssues > 0 && totalMs > 0 ? (totalMs / (1000 * 60 * 60 * 24)) / totalIssues : 0,
+        totalHours: totalMs > 0 ? totalMs / MS_PER_HOUR : 0,
+        totalDays: totalMs > 0 ? totalMs / msPerDay : 0,
+        avgHours: totalIssues > 0 && totalMs > 0 ? (totalMs / MS_PER_HOUR) / totalIssues : 0,
+        avgDays: totalIssues > 0 && totalMs > 0 ? (totalMs / msPerDay) / totalIssues : 0,
     }));
 
     return { byStatus: timeInStatusByStatus, byGroup: timeInStatusByGroup };
 }
 
 
-/** 3. Calculates Cycle Time based on config objects. */
-function processCycleTime(allIssueTimelines, cycleStartConfig, cycleEndConfig, statusGroups, statusMasterMap) {
-  const defaultResult = { durations: [], histogram: [], avg: 0, p50: 0, p85: 0 };
+// Histogram bucket width (days) for cycle and lead time, from the longest duration
+function getDayBucketSize(maxDays) {
+  if (maxDays > 100) return 10;
+  if (maxDays > 20) return 2;
+  if (maxDays > 10) return 1;
+  if (maxDays > 1) return 0.5;
+  return 0.1;
+}
+
+/**
+ * 3. Calculates Cycle Time based on config objects.
+ * `records` keeps one entry per completed issue ({ key, summary, issueType, priority, startedAt, completedAt, durationDays, blockedDays },
+ * ordered by completion) for the scatterplot; `durations` stays sorted for the percentiles.
+ */
+function processCycleTime(allIssueTimelines, cycleStartConfig, cycleEndConfig, statusGroups, statusMasterMap, calendar) {
+  const defaultResult = { durations: [], records: [], histogram: [], avg: 0, p50: 0, p70: 0, p85: 0, p95: 0 };
   // --- UPDATED: Use helper to get sets of IDs ---
   const startStatusIds = getStatusIdsFromConfig(cycleStartConfig, statusGroups, statusMasterMap);
   const endStatusIds = getStatusIdsFromConfig(cycleEndConfig, statusGroups, statusMasterMap);
@@ -448,7 +730,8 @@ function processCycleTime(allIssueTimelines, cycleStartConfig, cycleEndConfig, s
   }
 
   const durationsDays = [];
-  allIssueTimelines.forEach(({ timeline }) => {
+  const records = [];
+  allIssueTimelines.forEach(({ key, summary, issueType, priority, timeline, blockedIntervals }) => {
     // --- UPDATED: Find first event matching ANY start ID ---
     const startEvent = timeline.find(e => startStatusIds.has(e.statusId));
     // --- UPDATED: Find first event matching ANY end ID *after* start ---
@@ -456,37 +739,247 @@ function processCycleTime(allIssueTimelines, cycleStartConfig, cycleEndConfig, s
     // --- End Update ---
 
     if (startEvent && endEvent) {
-      const duration = getDuration(startEvent.timestamp, endEvent.timestamp, 'days');
-      if (duration >= 0) durationsDays.push(duration);
+      const duration = getDuration(startEvent.timestamp, endEvent.timestamp, 'days', calendar);
+      if (duration >= 0) {
+        durationsDays.push(duration);
+        records.push({
+          key, summary, issueType, priority,
+          startedAt: startEvent.timestamp.toISOString(),
+          completedAt: endEvent.timestamp.toISOString(),
+          durationDays: duration,
+          blockedDays: getBlockedDuration(blockedIntervals, startEvent.timestamp, endEvent.timestamp, 'days', calendar),
+        });
+      }
     }
   });
 
   if (durationsDays.length === 0) { /* ... no completions message ... */ return defaultResult; }
 
   durationsDays.sort((a, b) => a - b);
+  records.sort((a, b) => a.completedAt.localeCompare(b.completedAt));
   // ... (Histogram and stats calculation remains the same) ...
-    let bucketSize = 1;
-    const maxDuration = Math.max(...durationsDays);
-    if (maxDuration > 100) bucketSize = 10; else if (maxDuration > 20) bucketSize = 2; else if (maxDuration > 10) bucketSize = 1; else if (maxDuration > 1) bucketSize = 0.5; else bucketSize = 0.1;
-    const buckets = new Map();
-    durationsDays.forEach(duration => { /* ... bucket logic ... */
-        const bucketStart = Math.floor(duration / bucketSize) * bucketSize;
-        const bucketEnd = bucketStart + bucketSize;
-        const rangeFormat = (num) => (num % 1 === 0 ? num.toString() : num.toFixed(1));
-        const bucketName = `${rangeFormat(bucketStart)}-${rangeFormat(bucketEnd)} days`;
-        buckets.set(bucketName, (buckets.get(bucketName) || 0) + 1);
-     });
-    const histogram = Array.from(buckets.entries()).map(([range, count]) => ({ range, count })).sort((a, b) => parseFloat(a.range.split('-')[0]) - parseFloat(b.range.split('-')[0]));
+    const histogram = buildHistogram(durationsDays, getDayBucketSize(durationsDays[durationsDays.length - 1]), 'days');
     const avg = durationsDays.reduce((a, b) => a + b, 0) / durationsDays.length;
     const p50 = getPercentile(durationsDays, 50);
+    const p70 = getPercentile(durationsDays, 70);
     const p85 = getPercentile(durationsDays, 85);
+    const p95 = getPercentile(durationsDays, 95);
 
   console.log(`[processCycleTime] Calculated cycle time for ${durationsDays.length} issues. Avg: ${avg.toFixed(2)}d`);
-  return { durations: durationsDays, histogram, avg, p50, p85 };
+  return { durations: durationsDays, records, histogram, avg, p50, p70, p85, p95 };
+}
+
+/**
+ * 3b. Aging Work In Progress: issues that passed the work start point but have not reached resolution,
+ * with their age since first entering the start point (same units as cycle time).
+ * @param {object} cycleTimeData - processCycleTime() result; its percentiles are the reference lines.
+ * @returns {object} { items: Array<{ key, summary, statusId, statusName, groupName, startedAt, ageDays }>, percentiles: { p50, p70, p85, p95 } }
+ */
+function processAgingWip(allIssueTimelines, cycleStartConfig, cycleEndConfig, statusGroups, statusMasterMap, statusToGroupMap, cycleTimeData, calendar) {
+  const percentiles = { p50: cycleTimeData.p50 || 0, p70: cycleTimeData.p70 || 0, p85: cycleTimeData.p85 || 0, p95: cycleTimeData.p95 || 0 };
+  const startStatusIds = getStatusIdsFromConfig(cycleStartConfig, statusGroups, statusMasterMap);
+  const endStatusIds = getStatusIdsFromConfig(cycleEndConfig, statusGroups, statusMasterMap);
+
+  if (startStatusIds.size === 0 || endStatusIds.size === 0) {
+    console.warn('[processAgingWip] Could not resolve start or end statuses from config.');
+    return { items: [], percentiles };
+  }
+
+  const now = new Date();
+  const items = [];
+  allIssueTimelines.forEach(({ key, summary, timeline, currentStatusId }) => {
+    const statusId = currentStatusId || timeline[timeline.length - 1]?.statusId;
+    if (!statusId || endStatusIds.has(statusId)) return; // Resolved (or unknown) issues are not in progress
+    const startEvent = timeline.find(e => startStatusIds.has(e.statusId));
+    if (!startEvent) return; // Work has not started yet
+
+    items.push({
+      key,
+      summary,
+      statusId,
+      statusName: statusMasterMap.get(statusId)?.name || `Status ${statusId}`,
+      groupName: statusToGroupMap.get(statusId) || null,
+      startedAt: startEvent.timestamp.toISOString(),
+      ageDays: getDuration(startEvent.timestamp, now, 'days', calendar),
+    });
+  });
+
+  items.sort((a, b) => b.ageDays - a.ageDays); // Oldest first
+  console.log(`[processAgingWip] ${items.length} issues in progress. Oldest: ${items[0]?.ageDays.toFixed(2) ?? 0}d`);
+  return { items, percentiles };
+}
+
+/**
+ * 3c. Flow efficiency: share of each completed issue's cycle time (work start to resolution)
+ * spent in statuses marked "active", as opposed to "waiting" (unmarked time counts as neither,
+ * but is still part of the cycle time).
+ * @param {Array} flowActivityConfig - [{ type: 'group'|'status', value, activity }]; status entries override group entries.
+ * @returns {object} { issues: [{ key, summary, completedAt, activeDays, waitingDays, totalDays, efficiency }],
+ *   overall: { efficiency, avgEfficiency, p50Efficiency }, distribution: [{ range, count }],
+ *   trend: [{ weekStart, efficiency, issues }], byGroup: [{ groupName, activity, totalDays, share }] }
+ */
+function processFlowEfficiency(allIssueTimelines, cycleStartConfig, cycleEndConfig, statusGroups, statusMasterMap, statusToGroupMap, flowActivityConfig, startDateStr, timeZone, calendar) {
+  const emptyResult = { issues: [], overall: { efficiency: 0, avgEfficiency: 0, p50Efficiency: 0 }, distribution: [], trend: [], byGroup: [] };
+  const entries = Array.isArray(flowActivityConfig) ? flowActivityConfig.filter(e => e && ['active', 'waiting'].includes(e.activity)) : [];
+  if (entries.length === 0) return emptyResult; // Nothing marked yet
+
+  const startStatusIds = getStatusIdsFromConfig(cycleStartConfig, statusGroups, statusMasterMap);
+  const endStatusIds = getStatusIdsFromConfig(cycleEndConfig, statusGroups, statusMasterMap);
+  if (startStatusIds.size === 0 || endStatusIds.size === 0) {
+    console.warn('[processFlowEfficiency] Could not resolve start or end statuses from config.');
+    return emptyResult;
+  }
+
+  // statusId -> 'active' | 'waiting' (groups first, then individual statuses override them)
+  const activityByStatus = new Map();
+  ['group', 'status'].forEach(type => entries
+    .filter(entry => entry.type === type)
+    .forEach(entry => getStatusIdsFromConfig(entry, statusGroups, statusMasterMap).forEach(id => activityByStatus.set(id, entry.activity))));
+
+  const msPerDay = calendar ? calendar.msPerDay : MS_PER_DAY;
+  const groupTotalsMs = new Map(); // groupName (or status name if ungrouped) -> ms inside cycle time
+  const issues = [];
+  allIssueTimelines.forEach(({ key, summary, timeline }) => {
+    const startEvent = timeline.find(e => startStatusIds.has(e.statusId));
+    const endEvent = startEvent && timeline.find(e => endStatusIds.has(e.statusId) && e.timestamp.getTime() >= startEvent.timestamp.getTime());
+    if (!startEvent || !endEvent) return; // Only completed work has a cycle time
+
+    let activeMs = 0;
+    let waitingMs = 0;
+    let totalMs = 0;
+    for (let i = 0; i < timeline.length; i++) {
+      // Clip each status segment to the cycle time window
+      const segmentStart = new Date(Math.max(timeline[i].timestamp.getTime(), startEvent.timestamp.getTime()));
+      const segmentEnd = new Date(Math.min(i + 1 < timeline.length ? timeline[i + 1].timestamp.getTime() : Date.now(), endEvent.timestamp.getTime()));
+      const durationMs = getDuration(segmentStart, segmentEnd, 'ms', calendar);
+      if (durationMs <= 0) continue;
+
+      const statusId = timeline[i].statusId;
+      const activity = activityByStatus.get(statusId);
+      if (activity === 'active') activeMs += durationMs;
+      else if (activity === 'waiting') waitingMs += durationMs;
+      totalMs += durationMs;
+      const groupName = statusToGroupMap.get(statusId) || statusMasterMap.get(statusId)?.name || statusId;
+      groupTotalsMs.set(groupName, (groupTotalsMs.get(groupName) || 0) + durationMs);
+    }
+    if (totalMs <= 0) return;
+
+    issues.push({
+      key,
+      summary,
+      completedAt: endEvent.timestamp.toISOString(),
+      activeDays: activeMs / msPerDay,
+      waitingDays: waitingMs / msPerDay,
+      totalDays: totalMs / msPerDay,
+      efficiency: activeMs / totalMs,
+    });
+  });
+
+  if (issues.length === 0) return emptyResult;
+  issues.sort((a, b) => a.completedAt.localeCompare(b.completedAt));
+
+  // Overall: time-weighted (sum of active / sum of cycle time) and per-issue average/median
+  const sumActive = issues.reduce((sum, issue) => sum + issue.activeDays, 0);
+  const sumTotal = issues.reduce((sum, issue) => sum + issue.totalDays, 0);
+  const sortedEfficiencies = issues.map(issue => issue.efficiency).sort((a, b) => a - b);
+  const overall = {
+    efficiency: sumTotal > 0 ? sumActive / sumTotal : 0,
+    avgEfficiency: sortedEfficiencies.reduce((a, b) => a + b, 0) / sortedEfficiencies.length,
+    p50Efficiency: getPercentile(sortedEfficiencies, 50),
+  };
+
+  // Distribution in 10% buckets (100% falls in the last one)
+  const distribution = Array.from({ length: 10 }, (_, i) => ({ range: `${i * 10}-${(i + 1) * 10}%`, count: 0 }));
+  issues.forEach(issue => { distribution[Math.min(9, Math.floor(issue.efficiency * 10))].count++; });
+
+  // Trend: time-weighted efficiency of issues completed in each week of the date range (view timezone)
+  const weeks = new Map(); // weekStart -> { activeDays, totalDays, issues }
+  issues.forEach(issue => {
+    const completedDay = toZonedDateString(new Date(issue.completedAt), timeZone);
+    const weekStart = startDateStr && completedDay >= startDateStr
+      ? addDays(startDateStr, Math.floor((new Date(`${completedDay}T00:00:00Z`) - new Date(`${startDateStr}T00:00:00Z`)) / (7 * MS_PER_DAY)) * 7)
+      : completedDay;
+    const week = weeks.get(weekStart) || { activeDays: 0, totalDays: 0, issues: 0 };
+    week.activeDays += issue.activeDays;
+    week.totalDays += issue.totalDays;
+    week.issues++;
+    weeks.set(weekStart, week);
+  });
+  const trend = Array.from(weeks.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([weekStart, week]) => ({ weekStart, efficiency: week.totalDays > 0 ? week.activeDays / week.totalDays : 0, issues: week.issues }));
+
+  // Where the cycle time went, per group
+  const groupActivity = (groupName) => {
+      const statusIds = [...activityByStatus.keys()].filter(id => (statusToGroupMap.get(id) || statusMasterMap.get(id)?.name || id) === groupName);
+      const activities = new Set(statusIds.map(id => activityByStatus.get(id)));
+      return activities.size === 1 ? [...activities][0] : activities.size > 1 ? 'mixed' : null;
+  };
+  const totalGroupMs = Array.from(groupTotalsMs.values()).reduce((a, b) => a + b, 0);
+  const byGroup = Array.from(groupTotalsMs.entries())
+    .map(([groupName, ms]) => ({ groupName, activity: groupActivity(groupName), totalDays: ms / msPerDay, share: totalGroupMs > 0 ? ms / totalGroupMs : 0 }))
+    .sort((a, b) => b.totalDays - a.totalDays);
+
+  console.log(`[processFlowEfficiency] ${issues.length} completed issues. Flow efficiency: ${(overall.efficiency * 100).toFixed(1)}%`);
+  return { issues, overall, distribution, trend, byGroup };
+}
+
+/**
+ * 3d. Lead time (creation to first resolution status, what the requester experiences) and
+ * pre-start wait (creation to first work start status, the queue before cycle time begins).
+ * Same units as cycle time; an issue that skipped the start point still has a lead time.
+ * `records` keeps one entry per resolved issue ({ key, summary, issueType, priority, createdAt, completedAt, durationDays }).
+ * @returns {object} {
+ *   leadTime: { durations, records, histogram, avg, p50, p70, p85, p95 },
+ *   preStartWait: { durations, histogram, avg, p50, p70, p85, p95 }
+ * }
+ */
+function processLeadTime(allIssueTimelines, cycleStartConfig, cycleEndConfig, statusGroups, statusMasterMap, calendar) {
+  const startStatusIds = getStatusIdsFromConfig(cycleStartConfig, statusGroups, statusMasterMap);
+  const endStatusIds = getStatusIdsFromConfig(cycleEndConfig, statusGroups, statusMasterMap);
+
+  const leadTimeDays = [];
+  const waitDays = [];
+  const records = [];
+  allIssueTimelines.forEach(({ key, summary, issueType, priority, timeline }) => {
+    const createdTime = timeline[0]?.timestamp;
+    if (!createdTime) return;
+
+    const startEvent = timeline.find(e => startStatusIds.has(e.statusId));
+    if (startEvent) waitDays.push(getDuration(createdTime, startEvent.timestamp, 'days', calendar));
+
+    const endEvent = timeline.find(e => endStatusIds.has(e.statusId));
+    if (endEvent) {
+      const duration = getDuration(createdTime, endEvent.timestamp, 'days', calendar);
+      leadTimeDays.push(duration);
+      records.push({ key, summary, issueType, priority, createdAt: createdTime.toISOString(), completedAt: endEvent.timestamp.toISOString(), durationDays: duration });
+    }
+  });
+
+  // Sorted durations with their stats and histogram
+  const summarize = (durations) => {
+    durations.sort((a, b) => a - b);
+    if (durations.length === 0) return { durations, histogram: [], avg: 0, p50: 0, p70: 0, p85: 0, p95: 0 };
+    return {
+      durations,
+      histogram: buildHistogram(durations, getDayBucketSize(durations[durations.length - 1]), 'days'),
+      avg: durations.reduce((a, b) => a + b, 0) / durations.length,
+      p50: getPercentile(durations, 50),
+      p70: getPercentile(durations, 70),
+      p85: getPercentile(durations, 85),
+      p95: getPercentile(durations, 95),
+    };
+  };
+  records.sort((a, b) => a.completedAt.localeCompare(b.completedAt));
+  const leadTime = { ...summarize(leadTimeDays), records };
+  const preStartWait = summarize(waitDays);
+
+  console.log(`[processLeadTime] Lead time for ${leadTimeDays.length} issues (avg ${leadTime.avg.toFixed(2)}d), pre-start wait for ${waitDays.length} (avg ${preStartWait.avg.toFixed(2)}d).`);
+  return { leadTime, preStartWait };
 }
 
 /** 4. Calculates Throughput based on config objects. */
-function processThroughput(allIssueTimelines, cycleEndConfig, startDateStr, endDateStr, statusGroups, statusMasterMap) {
+function processThroughput(allIssueTimelines, cycleEndConfig, startDateStr, endDateStr, statusGroups, statusMasterMap, timeZone) {
   // --- UPDATED: Use helper ---
   const endStatusIds = getStatusIdsFromConfig(cycleEndConfig, statusGroups, statusMasterMap);
   // --- End Update ---
@@ -512,7 +1005,7 @@ function processThroughput(allIssueTimelines, cycleEndConfig, startDateStr, endD
     if(dateRange.length === 0) return [];
     dateRange.forEach(day => throughputMap.set(day, 0));
     completionTimestamps.forEach(date => {
-        const day = date.toISOString().split('T')[0];
+        const day = toZonedDateString(date, timeZone); // Completion day in the view's timezone
         if (throughputMap.has(day)) {
             throughputMap.set(day, throughputMap.get(day) + 1);
         }
@@ -523,7 +1016,7 @@ function processThroughput(allIssueTimelines, cycleEndConfig, startDateStr, endD
 
 
 /** 5. Generates data for CFD (still based on groups). */
-function processCFD(allIssueTimelines, groupOrder, statusToGroupMap, startDateStr, endDateStr) {
+function processCFD(allIssueTimelines, groupOrder, statusToGroupMap, startDateStr, endDateStr, timeZone) {
   // This logic remains the same, using statusToGroupMap to find the group for each status ID.
   if (!startDateStr || !endDateStr) { /* ... validation ... */ return []; }
   const cfdData = [];
@@ -532,7 +1025,8 @@ function processCFD(allIssueTimelines, groupOrder, statusToGroupMap, startDateSt
 
   console.log(`[processCFD] Generating CFD for ${dateRange.length} days.`);
   dateRange.forEach(dayStr => {
-    const snapshotTimestamp = new Date(dayStr + 'T23:59:59.999Z');
+    // Snapshot at the end of the day in the view's timezone (just before the next local midnight)
+    const snapshotTimestamp = new Date(zonedDateTimeToUtc(addDays(dayStr, 1), '00:00', timeZone).getTime() - 1);
     if (isNaN(snapshotTimestamp.getTime())) { /* ... validation ... */ return; }
 
     const snapshot = { date: dayStr };
@@ -558,64 +1052,65 @@ function processCFD(allIssueTimelines, groupOrder, statusToGroupMap, startDateSt
   return cfdData;
 }
 
-/** 6. Calculates summary stats, including updated WIP based on config objects. */
-function calculateSummaryStats(
-  issues,
-  statusMasterMap, // Use master map
-  statusToGroupMap,
-  cycleTimeData,
-  groupOrder,
-  cycleStartConfig, // UPDATED: Config object
-  cycleEndConfig,   // UPDATED: Config object
-  supportMetrics,
-  triageConfig      // UPDATED: Config object
-) {
-  // --- UPDATED: Resolve config objects to sets of IDs ---
-  const startStatusIds = getStatusIdsFromConfig(cycleStartConfig, [], statusMasterMap); // statusGroups not needed here
-  const endStatusIds = getStatusIdsFromConfig(cycleEndConfig, [], statusMasterMap);
-  const triageStatusIds = getStatusIdsFromConfig(triageConfig, [], statusMasterMap);
-  // --- End Update ---
-
-  // --- UPDATED WIP Logic: Exclude Triage, Start, End STATUSES ---
-  const wipStatusIds = new Set();
-  statusMasterMap.forEach((_statusInfo, statusId) => {
-      if (!startStatusIds.has(statusId) && !endStatusIds.has(statusId) && !triageStatusIds.has(statusId)) {
-          wipStatusIds.add(statusId);
-      }
-  });
-  // Debug log: Map IDs back to names for clarity
-  // console.log('[calculateSummaryStats] WIP Status IDs identified:', Array.from(wipStatusIds).map(id => statusMasterMap.get(id)?.name || id));
-
-  let currentWIP = 0;
-  issues.forEach((issue) => {
-    if (issue?.fields?.status?.id != null) {
-      const currentStatusId = String(issue.fields.status.id);
-      // --- UPDATED: Check against the set of WIP status IDs ---
-      if (wipStatusIds.has(currentStatusId)) {
-        currentWIP++;
-      }
-      // --- End Update ---
-    }
-  });
+/** 6. Calculates summary stats. Current WIP is the Aging WIP count (started, not resolved), as per segment. */
+function calculateSummaryStats(issues, cycleTimeData, leadTimeData, supportMetrics, agingWip) {
+  const currentWIP = agingWip.items.length;
   console.log(`[calculateSummaryStats] Calculated Current WIP: ${currentWIP}`);
 
-  // ... (Return object remains the same structure) ...
   return {
     totalIssues: issues.length,
     avgCycleTime: cycleTimeData.avg || 0,
     p85CycleTime: cycleTimeData.p85 || 0,
     p50CycleTime: cycleTimeData.p50 || 0,
+    avgLeadTime: leadTimeData.leadTime.avg || 0,
+    p50LeadTime: leadTimeData.leadTime.p50 || 0,
+    p85LeadTime: leadTimeData.leadTime.p85 || 0,
+    p50PreStartWait: leadTimeData.preStartWait.p50 || 0,
     currentWIP: currentWIP,
     avgMttaHours: supportMetrics.avgMttaHours || 0,
     avgMttrHours: supportMetrics.avgMttrHours || 0,
+    p50MttaHours: supportMetrics.mtta?.p50 || 0,
+    p85MttaHours: supportMetrics.mtta?.p85 || 0,
+    p95MttaHours: supportMetrics.mtta?.p95 || 0,
+    p50MttrHours: supportMetrics.mttr?.p50 || 0,
+    p85MttrHours: supportMetrics.mttr?.p85 || 0,
+    p95MttrHours: supportMetrics.mttr?.p95 || 0,
   };
 }
 
 
-/** 7. Calculates support metrics based on config objects. */
-function processSupportMetrics(allIssueTimelines, triageConfig, cycleEndConfig, statusGroups, statusMasterMap) {
+// Histogram bucket width (hours) for MTTA/MTTR: from 1 hour up to a week as the longest duration grows
+function getHourBucketSize(maxHours) {
+  if (maxHours > 2000) return 168;
+  if (maxHours > 500) return 24;
+  if (maxHours > 100) return 8;
+  if (maxHours > 24) return 2;
+  return 1;
+}
+
+// Sorted durations (hours) with their percentiles and histogram
+function summarizeHours(durationsHours) {
+  const durations = [...durationsHours].sort((a, b) => a - b);
+  if (durations.length === 0) return { durations, histogram: [], p50: 0, p85: 0, p95: 0 };
+  return {
+    durations,
+    histogram: buildHistogram(durations, getHourBucketSize(durations[durations.length - 1]), 'hours'),
+    p50: getPercentile(durations, 50),
+    p85: getPercentile(durations, 85),
+    p95: getPercentile(durations, 95),
+  };
+}
+
+/**
+ * 7. Calculates support metrics based on config objects.
+ * `mttaRecords` / `mttrRecords` keep one { key, at, hours } per issue (`at` = acknowledge/resolve time) for the trends;
+ * `mtta` / `mttr` hold the sorted durations with p50/p85/p95 and a histogram, since a few old tickets skew the averages.
+ */
+function processSupportMetrics(allIssueTimelines, triageConfig, cycleEndConfig, statusGroups, statusMasterMap, calendar) {
   const mttaDurationsHours = [];
   const mttrDurationsHours = [];
+  const mttaRecords = [];
+  const mttrRecords = [];
 
   // --- UPDATED: Resolve configs ---
   const triageStatusIds = getStatusIdsFromConfig(triageConfig, statusGroups, statusMasterMap);
@@ -624,10 +1119,10 @@ function processSupportMetrics(allIssueTimelines, triageConfig, cycleEndConfig,
 
   if (triageStatusIds.size === 0 || endStatusIds.size === 0) {
     console.warn('[processSupportMetrics] Could not resolve Triage or End statuses from config.');
-    return { avgMttaHours: 0, avgMttrHours: 0 };
+    return { avgMttaHours: 0, avgMttrHours: 0, mttaRecords, mttrRecords, mtta: summarizeHours([]), mttr: summarizeHours([]) };
   }
 
-  allIssueTimelines.forEach(({ timeline }) => {
+  allIssueTimelines.forEach(({ key, timeline }) => {
     if (!timeline || timeline.length === 0) return;
     const createdEvent = timeline[0];
     const createdTime = createdEvent.timestamp;
@@ -635,15 +1130,21 @@ function processSupportMetrics(allIssueTimelines, triageConfig, cycleEndConfig,
     // --- MTTA: Find first event NOT in a triage status ---
     const ackEvent = timeline.find((event, index) => index > 0 && !triageStatusIds.has(event.statusId));
     if (ackEvent) {
-        const duration = getDuration(createdTime, ackEvent.timestamp, 'hours');
-        if (duration >= 0) mttaDurationsHours.push(duration);
+        const duration = getDuration(createdTime, ackEvent.timestamp, 'hours', calendar);
+        if (duration >= 0) {
+            mttaDurationsHours.push(duration);
+            mttaRecords.push({ key, at: ackEvent.timestamp.toISOString(), hours: duration });
+        }
     }
 
     // --- MTTR: Find first event IN an end status ---
     const resolveEvent = timeline.find((event) => endStatusIds.has(event.statusId));
     if (resolveEvent) {
-        const duration = getDuration(createdTime, resolveEvent.timestamp, 'hours');
-         if (duration >= 0) mttrDurationsHours.push(duration);
+        const duration = getDuration(createdTime, resolveEvent.timestamp, 'hours', calendar);
+         if (duration >= 0) {
+            mttrDurationsHours.push(duration);
+            mttrRecords.push({ key, at: resolveEvent.timestamp.toISOString(), hours: duration });
+         }
     }
   });
 
@@ -652,5 +1153,469 @@ function processSupportMetrics(allIssueTimelines, triageConfig, cycleEndConfig,
   const avgMttrHours = mttrDurationsHours.length > 0 ? mttrDurationsHours.reduce((a, b) => a + b, 0) / mttrDurationsHours.length : 0;
   console.log(`[processSupportMetrics] Calculated MTTA for ${mttaDurationsHours.length} issues. Avg: ${avgMttaHours.toFixed(2)}h`);
   console.log(`[processSupportMetrics] Calculated MTTR for ${mttrDurationsHours.length} issues. Avg: ${avgMttrHours.toFixed(2)}h`);
-  return { avgMttaHours, avgMttrHours };
-}
\ No newline at end of file
+  return { avgMttaHours, avgMttrHours, mttaRecords, mttrRecords, mtta: summarizeHours(mttaDurationsHours), mttr: summarizeHours(mttrDurationsHours) };
+}
+
+
+/**
+ * 8. Splits cycle and lead time, throughput, MTTA/MTTR and WIP by segment (see segments.js), reusing the
+ * timelines built for the whole set. An issue in several segments (e.g. two labels) counts in each.
+ * Only the MAX_SEGMENTS largest segments are kept; the rest are combined into OTHER_SEGMENT.
+ * @returns {object} { dimension, fieldId, items: [{ name, issueCount, completedCount, cycleTime: { avg, p50, p85, p95 },
+ *   leadTime: { avg, p50, p85, p95 }, throughput: [{ date, count }], currentWIP (started, not resolved, as processAgingWip()),
+ *   avgMttaHours, avgMttrHours }] } (largest segment first)
+ */
+function processSegments(
+  issues,
+  allIssueTimelines,
+  segmentConfig,
+  statusGroups,
+  statusMasterMap,
+  statusToGroupMap,
+  cycleStartConfig,
+  cycleEndConfig,
+  triageConfig,
+  startDateStr,
+  endDateStr,
+  timeZone,
+  calendar
+) {
+  // segment name -> Set of issue keys
+  const keysBySegment = new Map();
+  issues.forEach(issue => {
+    if (!issue?.key) return;
+    getIssueSegments(issue, segmentConfig).forEach(name => {
+      if (!keysBySegment.has(name)) keysBySegment.set(name, new Set());
+      keysBySegment.get(name).add(issue.key);
+    });
+  });
+
+  const ranked = Array.from(keysBySegment.entries()).sort(([nameA, a], [nameB, b]) => b.size - a.size || nameA.localeCompare(nameB));
+  if (ranked.length > MAX_SEGMENTS) {
+    const otherKeys = new Set();
+    ranked.splice(MAX_SEGMENTS - 1).forEach(([, keys]) => keys.forEach(key => otherKeys.add(key)));
+    ranked.push([OTHER_SEGMENT, otherKeys]);
+  }
+
+  const items = ranked.map(([name, keys]) => {
+    const segmentIssues = issues.filter(issue => keys.has(issue?.key));
+    const segmentTimelines = allIssueTimelines.filter(({ key }) => keys.has(key));
+
+    const cycleTimeData = processCycleTime(segmentTimelines, cycleStartConfig, cycleEndConfig, statusGroups, statusMasterMap, calendar);
+    const throughput = processThroughput(segmentTimelines, cycleEndConfig, startDateStr, endDateStr, statusGroups, statusMasterMap, timeZone);
+    const supportMetrics = processSupportMetrics(segmentTimelines, triageConfig, cycleEndConfig, statusGroups, statusMasterMap, calendar);
+    const { leadTime } = processLeadTime(segmentTimelines, cycleStartConfig, cycleEndConfig, statusGroups, statusMasterMap, calendar);
+    // WIP as on the Aging WIP chart: started and not resolved
+    const agingWip = processAgingWip(segmentTimelines, cycleStartConfig, cycleEndConfig, statusGroups, statusMasterMap, statusToGroupMap, cycleTimeData, calendar);
+
+    return {
+      name,
+      issueCount: segmentIssues.length,
+      completedCount: throughput.reduce((sum, day) => sum + day.count, 0),
+      cycleTime: { avg: cycleTimeData.avg, p50: cycleTimeData.p50, p85: cycleTimeData.p85, p95: cycleTimeData.p95 },
+      leadTime: { avg: leadTime.avg, p50: leadTime.p50, p85: leadTime.p85, p95: leadTime.p95 },
+      throughput,
+      currentWIP: agingWip.items.length,
+      avgMttaHours: supportMetrics.avgMttaHours,
+      avgMttrHours: supportMetrics.avgMttrHours,
+    };
+  });
+
+  console.log(`[processSegments] Split ${issues.length} issues into ${items.length} segment(s) by ${segmentConfig.fieldId || segmentConfig.dimension}.`);
+  return { dimension: segmentConfig.dimension, fieldId: segmentConfig.fieldId, items };
+}
+
+
+/**
+ * 9. Trend series over the date range: cycle time p50/p85, average MTTA/MTTR and throughput,
+ * per rolling window ending on each day (TREND_WINDOWS) and per 7-day bucket from the start date ('weekly').
+ * Events are placed on their day in the view's timezone (completion, acknowledgement, resolution).
+ * Windows at the start of the range only cover the days since the start date (`days` < window).
+ * Values are null when a window has no samples, so charts show a gap instead of a false zero.
+ * @returns {object} { rolling7, rolling14, rolling30, weekly }: each Array<{ date, days, completed, p50, p85, avgMttaHours, avgMttrHours, throughput }>
+ */
+function processTrends(cycleTimeData, supportMetrics, throughputData, startDateStr, endDateStr, timeZone) {
+  const emptyTrends = { ...Object.fromEntries(Object.keys(TREND_WINDOWS).map(key => [key, []])), weekly: [] };
+  const dateRange = getDateRange(startDateStr, endDateStr);
+  if (dateRange.length === 0) return emptyTrends;
+
+  // Per-day samples, indexed like dateRange
+  const dayIndex = new Map(dateRange.map((day, i) => [day, i]));
+  const perDay = () => dateRange.map(() => []);
+  const cycleByDay = perDay();
+  const mttaByDay = perDay();
+  const mttrByDay = perDay();
+  const addSample = (byDay, timestamp, value) => {
+    const index = dayIndex.get(toZonedDateString(new Date(timestamp), timeZone));
+    if (index !== undefined) byDay[index].push(value);
+  };
+  (cycleTimeData.records || []).forEach(record => addSample(cycleByDay, record.completedAt, record.durationDays));
+  (supportMetrics.mttaRecords || []).forEach(record => addSample(mttaByDay, record.at, record.hours));
+  (supportMetrics.mttrRecords || []).forEach(record => addSample(mttrByDay, record.at, record.hours));
+  const throughputByDate = new Map(throughputData.map(entry => [entry.date, entry.count]));
+  const throughputByDay = dateRange.map(day => throughputByDate.get(day) || 0);
+
+  const average = (values) => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null);
+  // Stats of the days [fromIndex, toIndex]
+  const summarize = (date, fromIndex, toIndex) => {
+    const cycleTimes = cycleByDay.slice(fromIndex, toIndex + 1).flat().sort((a, b) => a - b);
+    return {
+      date,
+      days: toIndex - fromIndex + 1,
+      completed: cycleTimes.length,
+      p50: cycleTimes.length > 0 ? getPercentile(cycleTimes, 50) : null,
+      p85: cycleTimes.length > 0 ? getPercentile(cycleTimes, 85) : null,
+      avgMttaHours: average(mttaByDay.slice(fromIndex, toIndex + 1).flat()),
+      avgMttrHours: average(mttrByDay.slice(fromIndex, toIndex + 1).flat()),
+      throughput: throughputByDay.slice(fromIndex, toIndex + 1).reduce((a, b) => a + b, 0),
+    };
+  };
+
+  const trends = {};
+  Object.entries(TREND_WINDOWS).forEach(([key, windowDays]) => {
+    trends[key] = dateRange.map((day, i) => summarize(day, Math.max(0, i - windowDays + 1), i));
+  });
+  trends.weekly = [];
+  for (let i = 0; i < dateRange.length; i += 7) {
+    trends.weekly.push(summarize(dateRange[i], i, Math.min(i + 6, dateRange.length - 1)));
+  }
+
+  console.log(`[processTrends] Built trend series for ${dateRange.length} days (${trends.weekly.length} weeks).`);
+  return trends;
+}
+
+
+/**
+ * 10. How work moves: every status change (from -> to) with the dwell time in the "from" status
+ * before the move, aggregated per status pair and per group pair (in group order).
+ * A move to an earlier group than the one it left is rework; leaving a resolution status
+ * (cycleEndConfig) for any other status is a reopen.
+ * @returns {object} {
+ *   byStatus: [{ fromId, fromName, toId, toName, count, medianDwellDays, isBackward }] (most frequent first),
+ *   byGroup: { groups: Array<string>, cells: [{ from, to, count, medianDwellDays, isBackward }] },
+ *   rework: { transitions, backwardMoves, issuesWithRework, reworkRate, reopens, issuesReopened, issuesResolved, reopenRate },
+ *   reopenByIssueType: [{ issueType, resolved, reopened, reopenRate }],
+ *   reworkIssues: [{ key, summary, issueType, backwardMoves, reopens }] (most rework first)
+ * }
+ */
+function processTransitions(allIssueTimelines, groupOrder, statusToGroupMap, statusMasterMap, cycleEndConfig, statusGroups, calendar) {
+  const endStatusIds = getStatusIdsFromConfig(cycleEndConfig, statusGroups, statusMasterMap);
+  const groupIndex = (statusId) => groupOrder.indexOf(statusToGroupMap.get(statusId));
+
+  const byStatusPair = new Map(); // 'fromId>toId' -> { fromId, toId, dwellDays: [] }
+  const byGroupPair = new Map(); // 'from>to' -> { from, to, dwellDays: [] }
+  const byIssueType = new Map(); // issueType -> { resolved, reopened }
+  const reworkIssues = [];
+  let totalTransitions = 0;
+  let backwardMoves = 0;
+  let reopens = 0;
+  let issuesResolved = 0;
+
+  allIssueTimelines.forEach(({ key, summary, issueType, timeline }) => {
+    let issueBackwardMoves = 0;
+    let issueReopens = 0;
+    for (let i = 1; i < timeline.length; i++) {
+      const fromId = timeline[i - 1].statusId;
+      const toId = timeline[i].statusId;
+      const dwellDays = getDuration(timeline[i - 1].timestamp, timeline[i].timestamp, 'days', calendar);
+      totalTransitions++;
+
+      const statusPairKey = `${fromId}>${toId}`;
+      if (!byStatusPair.has(statusPairKey)) byStatusPair.set(statusPairKey, { fromId, toId, dwellDays: [] });
+      byStatusPair.get(statusPairKey).dwellDays.push(dwellDays);
+
+      const fromGroup = statusToGroupMap.get(fromId);
+      const toGroup = statusToGroupMap.get(toId);
+      if (fromGroup && toGroup) {
+        const groupPairKey = `${fromGroup}>${toGroup}`;
+        if (!byGroupPair.has(groupPairKey)) byGroupPair.set(groupPairKey, { from: fromGroup, to: toGroup, dwellDays: [] });
+        byGroupPair.get(groupPairKey).dwellDays.push(dwellDays);
+        if (groupIndex(toId) < groupIndex(fromId)) issueBackwardMoves++;
+      }
+      if (endStatusIds.has(fromId) && !endStatusIds.has(toId)) issueReopens++;
+    }
+
+    const wasResolved = timeline.some(e => endStatusIds.has(e.statusId));
+    if (wasResolved) issuesResolved++;
+    const typeName = issueType || 'Unknown';
+    const typeStats = byIssueType.get(typeName) || { resolved: 0, reopened: 0 };
+    if (wasResolved) typeStats.resolved++;
+    if (issueReopens > 0) typeStats.reopened++;
+    byIssueType.set(typeName, typeStats);
+
+    backwardMoves += issueBackwardMoves;
+    reopens += issueReopens;
+    if (issueBackwardMoves > 0 || issueReopens > 0) {
+      reworkIssues.push({ key, summary, issueType, backwardMoves: issueBackwardMoves, reopens: issueReopens });
+    }
+  });
+
+  const medianOf = (values) => getPercentile([...values].sort((a, b) => a - b), 50);
+  const byStatus = Array.from(byStatusPair.values())
+    .map(({ fromId, toId, dwellDays }) => ({
+      fromId,
+      fromName: statusMasterMap.get(fromId)?.name || fromId,
+      toId,
+      toName: statusMasterMap.get(toId)?.name || toId,
+      count: dwellDays.length,
+      medianDwellDays: medianOf(dwellDays),
+      isBackward: groupIndex(fromId) > -1 && groupIndex(toId) > -1 && groupIndex(toId) < groupIndex(fromId),
+    }))
+    .sort((a, b) => b.count - a.count);
+  const groupCells = Array.from(byGroupPair.values()).map(({ from, to, dwellDays }) => ({
+    from,
+    to,
+    count: dwellDays.length,
+    medianDwellDays: medianOf(dwellDays),
+    isBackward: groupOrder.indexOf(to) < groupOrder.indexOf(from),
+  }));
+
+  const issuesReopened = reworkIssues.filter(issue => issue.reopens > 0).length;
+  const issuesWithRework = reworkIssues.filter(issue => issue.backwardMoves > 0).length;
+  reworkIssues.sort((a, b) => (b.backwardMoves + b.reopens) - (a.backwardMoves + a.reopens) || a.key.localeCompare(b.key));
+
+  console.log(`[processTransitions] ${totalTransitions} transitions, ${backwardMoves} backward moves, ${reopens} reopens.`);
+  return {
+    byStatus,
+    byGroup: { groups: groupOrder, cells: groupCells },
+    rework: {
+      transitions: totalTransitions,
+      backwardMoves,
+      issuesWithRework,
+      reworkRate: allIssueTimelines.length > 0 ? issuesWithRework / allIssueTimelines.length : 0,
+      reopens,
+      issuesReopened,
+      issuesResolved,
+      reopenRate: issuesResolved > 0 ? issuesReopened / issuesResolved : 0,
+    },
+    reopenByIssueType: Array.from(byIssueType.entries())
+      .map(([issueType, { resolved, reopened }]) => ({ issueType, resolved, reopened, reopenRate: resolved > 0 ? reopened / resolved : 0 }))
+      .sort((a, b) => b.reopenRate - a.reopenRate || b.resolved - a.resolved),
+    reworkIssues,
+  };
+}
+
+
+/**
+ * 11. Service levels: each issue with an SLA target (by priority, optionally issue type) is checked
+ * against its response target (created -> first move out of triage, like MTTA) and resolution target
+ * (created -> first resolution status, like MTTR). Running clocks of open issues are measured up to now.
+ * Per clock the state is 'met', 'breached' (stopped late, or still running past the target),
+ * 'atRisk' (running, past SLA_AT_RISK_SHARE of the target) or 'onTrack'.
+ * The weekly breach rate counts stopped clocks by the day they stopped. A clock whose Triage/Resolution
+ * statuses cannot be resolved is skipped (null on every issue).
+ * @param {object} slaConfig - Output of normalizeSlaConfig() with at least one target.
+ * @returns {object|null} null when neither clock can be resolved, else {
+ *   summary: { issues, response: { measured, met, breached, breachRate }, resolution: { ... }, atRisk, openBreached },
+ *   byTarget: [{ label, priority, issueType, responseHours, resolutionHours, issues, response: { measured, met, breached, breachRate }, resolution: { ... } }],
+ *   trend: [{ weekStart, responseMeasured, responseBreachRate, resolutionMeasured, resolutionBreachRate }] (rates null without samples),
+ *   issues: [{ key, summary, priority, issueType, targetLabel, response: { targetHours, elapsedHours, state, stopped }, resolution: { ... } }] (offending issues first)
+ * }
+ */
+function processSla(allIssueTimelines, slaConfig, triageConfig, cycleEndConfig, statusGroups, statusMasterMap, startDateStr, endDateStr, timeZone, calendar) {
+  const triageStatusIds = getStatusIdsFromConfig(triageConfig, statusGroups, statusMasterMap);
+  const endStatusIds = getStatusIdsFromConfig(cycleEndConfig, statusGroups, statusMasterMap);
+  // A clock without resolvable statuses would never stop (or stop at the first change), so it is skipped
+  const hasResponseClock = triageStatusIds.size > 0;
+  const hasResolutionClock = endStatusIds.size > 0;
+  if (!hasResponseClock && !hasResolutionClock) {
+    console.warn('[processSla] Could not resolve Triage or End statuses from config. Skipping SLA tracking.');
+    return null;
+  }
+  if (!hasResponseClock) console.warn('[processSla] Could not resolve Triage statuses from config. Skipping the response clock.');
+  if (!hasResolutionClock) console.warn('[processSla] Could not resolve End statuses from config. Skipping the resolution clock.');
+
+  const emptyClock = () => ({ measured: 0, met: 0, breached: 0, breachRate: 0 });
+  const byTarget = slaConfig.targets.map(target => ({
+    ...target,
+    responseHours: hasResponseClock ? target.responseHours : null,
+    resolutionHours: hasResolutionClock ? target.resolutionHours : null,
+    label: getSlaTargetLabel(target),
+    issues: 0,
+    response: emptyClock(),
+    resolution: emptyClock(),
+  }));
+  const summary = { issues: 0, response: emptyClock(), resolution: emptyClock(), atRisk: 0, openBreached: 0 };
+
+  // Weekly buckets from the start of the range (same as the weekly trends)
+  const dateRange = getDateRange(startDateStr, endDateStr);
+  const dayIndex = new Map(dateRange.map((day, i) => [day, i]));
+  const weeks = [];
+  for (let i = 0; i < dateRange.length; i += 7) weeks.push({ weekStart: dateRange[i], response: emptyClock(), resolution: emptyClock() });
+
+  const now = new Date();
+  const issues = [];
+  allIssueTimelines.forEach(({ key, summary: issueSummary, priority, issueType, timeline }) => {
+    const target = findSlaTarget(slaConfig.targets, priority, issueType);
+    if (!target || timeline.length === 0) return;
+    const createdTime = timeline[0].timestamp;
+
+    // One clock: stopped at `stopEvent` or still running
+    const checkClock = (targetHours, stopEvent) => {
+      if (targetHours === null) return null;
+      const stopped = Boolean(stopEvent);
+      const elapsedHours = getDuration(createdTime, stopped ? stopEvent.timestamp : now, 'hours', calendar);
+      let state;
+      if (elapsedHours > targetHours) state = 'breached';
+      else if (stopped) state = 'met';
+      else state = elapsedHours >= targetHours * SLA_AT_RISK_SHARE ? 'atRisk' : 'onTrack';
+      return { targetHours, elapsedHours, state, stopped, stoppedAt: stopped ? stopEvent.timestamp.toISOString() : null };
+    };
+    const response = hasResponseClock
+      ? checkClock(target.responseHours, timeline.find((event, index) => index > 0 && !triageStatusIds.has(event.statusId)))
+      : null;
+    const resolution = hasResolutionClock
+      ? checkClock(target.resolutionHours, timeline.find(event => endStatusIds.has(event.statusId)))
+      : null;
+
+    const targetStats = byTarget.find(t => t.priority === target.priority && t.issueType === target.issueType);
+    targetStats.issues++;
+    summary.issues++;
+    [['response', response], ['resolution', resolution]].forEach(([clockName, clock]) => {
+      if (!clock) return;
+      if (clock.stopped || clock.state === 'breached') {
+        [summary[clockName], targetStats[clockName]].forEach(stats => {
+          stats.measured++;
+          if (clock.state === 'breached') stats.breached++;
+          else stats.met++;
+        });
+      }
+      if (clock.stopped) {
+        const index = dayIndex.get(toZonedDateString(new Date(clock.stoppedAt), timeZone));
+        if (index !== undefined) {
+          const week = weeks[Math.floor(index / 7)][clockName];
+          week.measured++;
+          if (clock.state === 'breached') week.breached++;
+        }
+      }
+    });
+
+    const running = [response, resolution].filter(clock => clock && !clock.stopped);
+    const isOpenBreached = running.some(clock => clock.state === 'breached');
+    const isAtRisk = !isOpenBreached && running.some(clock => clock.state === 'atRisk');
+    if (isOpenBreached) summary.openBreached++;
+    if (isAtRisk) summary.atRisk++;
+    issues.push({ key, summary: issueSummary, priority, issueType, targetLabel: getSlaTargetLabel(target), response, resolution });
+  });
+
+  const withRate = (stats) => ({ ...stats, breachRate: stats.measured > 0 ? stats.breached / stats.measured : 0 });
+  // Running breaches first, then at risk, then closed breaches; longest over target first
+  const severity = (issue) => {
+    const clocks = [issue.response, issue.resolution].filter(Boolean);
+    if (clocks.some(c => !c.stopped && c.state === 'breached')) return 0;
+    if (clocks.some(c => c.state === 'atRisk')) return 1;
+    if (clocks.some(c => c.state === 'breached')) return 2;
+    return 3;
+  };
+  const overTarget = (issue) => Math.max(...[issue.response, issue.resolution].filter(Boolean).map(c => c.elapsedHours / c.targetHours));
+  issues.sort((a, b) => severity(a) - severity(b) || overTarget(b) - overTarget(a));
+
+  console.log(`[processSla] ${summary.issues} issues with an SLA target. Response breaches: ${summary.response.breached}, resolution breaches: ${summary.resolution.breached}, at risk: ${summary.atRisk}.`);
+  return {
+    summary: { ...summary, response: withRate(summary.response), resolution: withRate(summary.resolution) },
+    byTarget: byTarget.map(t => ({ ...t, response: withRate(t.response), resolution: withRate(t.resolution) })),
+    trend: weeks.map(({ weekStart, response, resolution }) => ({
+      weekStart,
+      responseMeasured: response.measured,
+      responseBreachRate: response.measured > 0 ? response.breached / response.measured : null,
+      resolutionMeasured: resolution.measured,
+      resolutionBreachRate: resolution.measured > 0 ? resolution.breached / resolution.measured : null,
+    })),
+    issues,
+  };
+}
+
+
+/**
+ * 12. Blocked time (Flagged or "is blocked by" links, see buildBlockedIntervals()) per issue,
+ * per status group the issue was in while blocked, and per reason. Blocked time of resolved issues ends at
+ * their resolution (closeBlockedIntervalsAtResolution()); open intervals of unresolved issues run until now.
+ * Cycle time percentiles are recalculated without the blocked part of each completed issue's cycle.
+ * @param {object} cycleTimeData - processCycleTime() result (records carry blockedDays).
+ * @returns {object} {
+ *   summary: { issuesBlocked, currentlyBlocked, totalBlockedDays },
+ *   byGroup: [{ groupName, blockedDays, issues }] (group order, then 'Ungrouped'),
+ *   byReason: [{ reason, label, blockedDays, issues }],
+ *   cycleTime: { completed, completedBlocked, blockedShare, withBlocked: { avg, p50, p85 }, excludingBlocked: { avg, p50, p85 } },
+ *   issues: [{ key, summary, issueType, blockedDays, reasons, currentlyBlocked, blockedSince }] (most blocked first,
+ *     currentlyBlocked only for unresolved issues)
+ * }
+ */
+function processBlockedTime(allIssueTimelines, statusToGroupMap, groupOrder, cycleTimeData, cycleEndConfig, statusGroups, statusMasterMap, calendar) {
+  const endStatusIds = getStatusIdsFromConfig(cycleEndConfig, statusGroups, statusMasterMap);
+  if (endStatusIds.size === 0) {
+    console.warn('[processBlockedTime] Could not resolve End statuses from config. Blocked time of resolved issues runs until now.');
+  }
+  const now = new Date();
+  const byGroup = new Map(groupOrder.map(groupName => [groupName, { groupName, blockedDays: 0, issues: 0 }]));
+  const byReason = new Map(BLOCKED_REASONS.map(({ reason, label }) => [reason, { reason, label, blockedDays: 0, issues: 0 }]));
+  const issues = [];
+
+  allIssueTimelines.forEach(({ key, summary, issueType, timeline, blockedIntervals: recordedIntervals }) => {
+    if (!recordedIntervals || recordedIntervals.length === 0) return;
+    const blockedIntervals = closeBlockedIntervalsAtResolution(recordedIntervals, timeline, endStatusIds);
+    if (blockedIntervals.length === 0) return;
+    const blockedDays = getBlockedDuration(blockedIntervals, timeline[0].timestamp, now, 'days', calendar);
+
+    // Split the blocked time over the statuses the issue was in
+    const groupsHit = new Set();
+    timeline.forEach((event, i) => {
+      const segmentEnd = i + 1 < timeline.length ? timeline[i + 1].timestamp : now;
+      const days = getBlockedDuration(blockedIntervals, event.timestamp, segmentEnd, 'days', calendar);
+      if (days <= 0) return;
+      const groupName = statusToGroupMap.get(event.statusId) || 'Ungrouped';
+      if (!byGroup.has(groupName)) byGroup.set(groupName, { groupName, blockedDays: 0, issues: 0 });
+      byGroup.get(groupName).blockedDays += days;
+      groupsHit.add(groupName);
+    });
+    groupsHit.forEach(groupName => byGroup.get(groupName).issues++);
+
+    const reasons = [...new Set(blockedIntervals.flatMap(interval => interval.reasons))];
+    reasons.forEach((reason) => {
+      const stats = byReason.get(reason);
+      stats.blockedDays += getBlockedDuration(blockedIntervals, timeline[0].timestamp, now, 'days', calendar, reason);
+      stats.issues++;
+    });
+
+    const lastInterval = blockedIntervals[blockedIntervals.length - 1];
+    const currentlyBlocked = lastInterval.end === null;
+    issues.push({
+      key, summary, issueType, blockedDays, reasons, currentlyBlocked,
+      blockedSince: currentlyBlocked ? lastInterval.start.toISOString() : null,
+    });
+  });
+  issues.sort((a, b) => b.blockedDays - a.blockedDays);
+
+  // Cycle time with and without the blocked part
+  const records = cycleTimeData.records || [];
+  const statsOf = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return {
+      avg: sorted.length > 0 ? sorted.reduce((a, b) => a + b, 0) / sorted.length : 0,
+      p50: getPercentile(sorted, 50),
+      p85: getPercentile(sorted, 85),
+    };
+  };
+  const totalCycleDays = records.reduce((sum, record) => sum + record.durationDays, 0);
+  const totalCycleBlockedDays = records.reduce((sum, record) => sum + (record.blockedDays || 0), 0);
+
+  const totalBlockedDays = issues.reduce((sum, issue) => sum + issue.blockedDays, 0);
+  console.log(`[processBlockedTime] ${issues.length} issues were blocked for ${totalBlockedDays.toFixed(2)}d in total.`);
+  return {
+    summary: {
+      issuesBlocked: issues.length,
+      currentlyBlocked: issues.filter(issue => issue.currentlyBlocked).length,
+      totalBlockedDays,
+    },
+    byGroup: Array.from(byGroup.values()).filter(group => group.blockedDays > 0),
+    byReason: Array.from(byReason.values()),
+    cycleTime: {
+      completed: records.length,
+      completedBlocked: records.filter(record => record.blockedDays > 0).length,
+      blockedShare: totalCycleDays > 0 ? totalCycleBlockedDays / totalCycleDays : 0,
+      withBlocked: statsOf(records.map(record => record.durationDays)),
+      excludingBlocked: statsOf(records.map(record => Math.max(0, record.durationDays - (record.blockedDays || 0)))),
+    },
+    issues,
+  };
+}
@@ -0,0 +1,136 @@
+/*
+ * JiraMetricsDashboard - forecast.js
+ *
+ * Monte Carlo delivery forecasts from daily throughput history (processThroughput() output).
+ * Each trial builds a possible future by drawing past days at random (with replacement):
+ * - forecastItemsByDate: how many items will be done within N days.
+ * - forecastWhenDone: how many days until N items are done.
+ * Results are reported at confidence levels, e.g. "85% of trials finished within 12 days".
+ */
+import { addDays } from './timezone.js';
+
+export const CONFIDENCE_LEVELS = [50, 85, 95];
+const DEFAULT_TRIALS = 10000;
+const MIN_TRIALS = 500;
+const MAX_SIMULATED_DAYS = 2000000; // trials × days per items-by-date forecast; long horizons run fewer trials
+export const DEFAULT_MAX_DAYS = 3650; // Trials still running after ~10 years are reported as not finishing; also the longest date horizon
+
+/**
+ * Small seedable PRNG (mulberry32) so forecasts can be reproduced.
+ * @param {number} seed
+ * @returns {Function} - () => number in [0, 1)
+ */
+export function createRandom(seed = Date.now()) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Daily completion counts to sample from, ignoring days after `lastDate` (not happened yet).
+ * @param {Array<{ date: string, count: number }>} throughputData
+ * @param {string} [lastDate] - 'YYYY-MM-DD' (usually today in the view's timezone).
+ * @returns {Array<number>}
+ */
+export function getThroughputSamples(throughputData, lastDate) {
+    if (!Array.isArray(throughputData)) return [];
+    return throughputData
+        .filter(day => day && typeof day.count === 'number' && (!lastDate || day.date <= lastDate))
+        .map(day => day.count);
+}
+
+// Value at the percentile of an ascending array (same convention as dataProcessor's getPercentile)
+const percentileOf = (sorted, percentile) => sorted[Math.max(0, Math.ceil((percentile / 100) * sorted.length) - 1)];
+
+/**
+ * "How many items will be done within `days` days?"
+ * Fewer items is the risky side, so the 85% answer is the count reached by 85% of trials.
+ * @param {Array<number>} samples - Daily throughput history.
+ * @param {number} days - Forecast horizon in days (1 to `maxDays`).
+ * @param {object} [options]
+ * @param {number} [options.trials] - Defaults to DEFAULT_TRIALS, fewer (at least MIN_TRIALS) for long horizons.
+ * @param {number} [options.maxDays] - Longer horizons are not simulated (the cost grows with trials × days).
+ * @param {Function} [options.random] - From createRandom().
+ * @returns {object|null} - { days, trials, byConfidence: { 50: items, 85: items, 95: items }, distribution: Array<{ value, count }> }, or null without usable history or with the horizon out of range.
+ */
+export function forecastItemsByDate(samples, days, {
+    trials = Math.max(MIN_TRIALS, Math.min(DEFAULT_TRIALS, Math.floor(MAX_SIMULATED_DAYS / days))),
+    maxDays = DEFAULT_MAX_DAYS,
+    random = createRandom(),
+} = {}) {
+    if (!samples?.length || samples.every(count => count === 0) || !(days >= 1) || days > maxDays) return null;
+
+    const totals = new Array(trials);
+    for (let trial = 0; trial < trials; trial++) {
+        let total = 0;
+        for (let day = 0; day < days; day++) total += samples[Math.floor(random() * samples.length)];
+        totals[trial] = total;
+    }
+    totals.sort((a, b) => a - b);
+
+    const byConfidence = {};
+    CONFIDENCE_LEVELS.forEach(level => { byConfidence[level] = percentileOf(totals, 100 - level); });
+    return { days, trials, byConfidence, distribution: countValues(totals) };
+}
+
+/**
+ * "When will `items` items be done?" in days from the forecast start.
+ * @param {Array<number>} samples - Daily throughput history.
+ * @param {number} items - Remaining backlog size (>= 1).
+ * @param {object} [options]
+ * @param {number} [options.trials]
+ * @param {number} [options.maxDays] - Trials are cut off here (reported in `unfinishedTrials`).
+ * @param {Function} [options.random] - From createRandom().
+ * @returns {object|null} - { items, trials, unfinishedTrials, byConfidence: { 50: days, 85: days, 95: days }, distribution: Array<{ value, count }> }, or null without usable history.
+ */
+export function forecastWhenDone(samples, items, { trials = DEFAULT_TRIALS, maxDays = DEFAULT_MAX_DAYS, random = createRandom() } = {}) {
+    if (!samples?.length || samples.every(count => count === 0) || !(items >= 1)) return null;
+
+    const durations = new Array(trials);
+    let unfinishedTrials = 0;
+    for (let trial = 0; trial < trials; trial++) {
+        let done = 0;
+        let day = 0;
+        while (done < items && day < maxDays) {
+            done += samples[Math.floor(random() * samples.length)];
+            day++;
+        }
+        if (done < items) unfinishedTrials++;
+        durations[trial] = day;
+    }
+    durations.sort((a, b) => a - b);
+
+    const byConfidence = {};
+    CONFIDENCE_LEVELS.forEach(level => { byConfidence[level] = percentileOf(durations, level); });
+    return { items, trials, unfinishedTrials, byConfidence, distribution: countValues(durations) };
+}
+
+// Frequency table of a sorted array of integers
+function countValues(sortedValues) {
+    const counts = new Map();
+    sortedValues.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    return Array.from(counts.entries()).map(([value, count]) => ({ value, count }));
+}
+
+/**
+ * @param {string} startDate - 'YYYY-MM-DD' (the last day of history; the forecast starts the day after).
+ * @param {number} days - Days from the forecast.
+ * @returns {string} - 'YYYY-MM-DD' on which that many forecast days have elapsed.
+ */
+export function forecastDayToDate(startDate, days) {
+    return addDays(startDate, days);
+}
+
+/**
+ * @param {string} startDate - 'YYYY-MM-DD' (the last day of history).
+ * @param {string} targetDate - 'YYYY-MM-DD'.
+ * @returns {number} - Forecast days from the day after startDate through targetDate (inclusive).
+ */
+export function daysUntil(startDate, targetDate) {
+    return Math.round((new Date(`${targetDate}T00:00:00Z`) - new Date(`${startDate}T00:00:00Z`)) / (1000 * 60 * 60 * 24));
+}
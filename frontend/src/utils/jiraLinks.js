@@ -0,0 +1,24 @@
+/*
+ * JiraMetricsDashboard - jiraLinks.js
+ *
+ * Links from charts and tables to issues in Jira.
+ */
+
+/**
+ * @param {string|null} browseUrl - Jira site URL (metadata.browseUrl).
+ * @param {string} key - Issue key, e.g. 'PROJ-123'.
+ * @returns {string|null} - The issue's page, or null when the site URL is unknown.
+ */
+export function getIssueUrl(browseUrl, key) {
+    return browseUrl && key ? `${browseUrl}/browse/${encodeURIComponent(key)}` : null;
+}
+
+/**
+ * Opens an issue in a new tab (no-op without a site URL).
+ * @param {string|null} browseUrl
+ * @param {string} key
+ */
+export function openIssue(browseUrl, key) {
+    const url = getIssueUrl(browseUrl, key);
+    if (url) window.open(url, '_blank', 'noopener,noreferrer');
+}
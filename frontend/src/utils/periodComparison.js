@@ -0,0 +1,124 @@
+/*
+ * JiraMetricsDashboard - periodComparison.js
+ *
+ * Optional comparison period for a view: the previous period of equal length or a custom range.
+ * Issues for both periods are fetched in one request (the union of the ranges) and split
+ * by their created day in the view's timezone before each period is processed.
+ * Shared with the backend (POST /api/metrics, CLI), so it must stay free of browser/React APIs.
+ */
+import { addDays, toZonedDateString } from './timezone.js';
+
+export const COMPARISON_MODES = [
+    { value: 'off', label: 'No comparison' },
+    { value: 'previous', label: 'Previous period' },
+    { value: 'custom', label: 'Custom range' },
+];
+
+export const DEFAULT_COMPARISON_CONFIG = { mode: 'off', startDate: '', endDate: '' };
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validates a comparison config (e.g. from a saved view), falling back to "off".
+ * @param {object} config - { mode: 'off'|'previous'|'custom', startDate, endDate } (dates only used for 'custom').
+ * @returns {object}
+ */
+export function normalizeComparisonConfig(config) {
+    if (!config || !COMPARISON_MODES.some(m => m.value === config.mode)) return { ...DEFAULT_COMPARISON_CONFIG };
+    if (config.mode !== 'custom') return { mode: config.mode, startDate: '', endDate: '' };
+    return {
+        mode: 'custom',
+        startDate: DATE_PATTERN.test(config.startDate || '') ? config.startDate : '',
+        endDate: DATE_PATTERN.test(config.endDate || '') ? config.endDate : '',
+    };
+}
+
+/**
+ * The comparison period for a main period.
+ * 'previous' is the same number of days ending the day before startDate.
+ * @param {object} config - Output of normalizeComparisonConfig().
+ * @param {string} startDate - Main period start 'YYYY-MM-DD'.
+ * @param {string} endDate - Main period end 'YYYY-MM-DD' (inclusive).
+ * @returns {{ startDate: string, endDate: string }|null} - null when off or incomplete.
+ */
+export function getComparisonRange(config, startDate, endDate) {
+    if (!config || config.mode === 'off') return null;
+    if (config.mode === 'custom') {
+        if (!config.startDate || !config.endDate || config.startDate > config.endDate) return null;
+        return { startDate: config.startDate, endDate: config.endDate };
+    }
+    if (!DATE_PATTERN.test(startDate || '') || !DATE_PATTERN.test(endDate || '') || startDate > endDate) return null;
+    const lengthDays = Math.round((new Date(`${endDate}T00:00:00Z`) - new Date(`${startDate}T00:00:00Z`)) / (1000 * 60 * 60 * 24)) + 1;
+    return { startDate: addDays(startDate, -lengthDays), endDate: addDays(startDate, -1) };
+}
+
+/**
+ * Date range to fetch so both periods are covered.
+ * @param {string} startDate
+ * @param {string} endDate
+ * @param {{ startDate: string, endDate: string }|null} comparisonRange
+ * @returns {{ startDate: string, endDate: string }}
+ */
+export function getFetchRange(startDate, endDate, comparisonRange) {
+    if (!comparisonRange || !startDate || !endDate) return { startDate, endDate };
+    return {
+        startDate: comparisonRange.startDate < startDate ? comparisonRange.startDate : startDate,
+        endDate: comparisonRange.endDate > endDate ? comparisonRange.endDate : endDate,
+    };
+}
+
+/**
+ * Issues created within [startDate, endDate] (days in `timeZone`).
+ * @param {Array<object>} issues - Jira issue payloads.
+ * @param {string} startDate
+ * @param {string} endDate
+ * @param {string} timeZone - IANA timezone of the view.
+ * @returns {Array<object>}
+ */
+export function filterIssuesByCreatedDate(issues, startDate, endDate, timeZone) {
+    return issues.filter(issue => {
+        const created = new Date(issue?.fields?.created);
+        if (isNaN(created.getTime())) return false;
+        const day = toZonedDateString(created, timeZone);
+        return day >= startDate && day <= endDate;
+    });
+}
+
+/**
+ * The parts of a comparison period's processMetrics() result the dashboard needs.
+ * @param {object|null} metrics - processMetrics() result for the comparison issues (null when none matched).
+ * @param {{ startDate: string, endDate: string }} range
+ * @param {number} issueCount
+ * @returns {object} - { startDate, endDate, issueCount, summaryStats, calendarSummaryStats, throughputData } (stats null without issues;
+ *   calendarSummaryStats also null without business time)
+ */
+export function summarizeComparison(metrics, range, issueCount) {
+    return {
+        startDate: range.startDate,
+        endDate: range.endDate,
+        issueCount,
+        summaryStats: metrics?.summaryStats || null,
+        calendarSummaryStats: metrics?.calendarTime?.summaryStats || null, // Wall-clock stats (business-time views)
+        throughputData: metrics?.throughputData || [],
+    };
+}
+
+/**
+ * Change of a stat against the comparison period.
+ * @param {number} current
+ * @param {number} previous
+ * @param {boolean} [lowerIsBetter] - True for durations (MTTA, MTTR, cycle time).
+ * @returns {object|null} - { previous, delta, percent (null when previous is 0), direction: 'up'|'down'|'flat', isImprovement }
+ */
+export function getStatDelta(current, previous, lowerIsBetter = true) {
+    if (typeof current !== 'number' || typeof previous !== 'number' || !isFinite(current) || !isFinite(previous)) return null;
+    const delta = current - previous;
+    const direction = Math.abs(delta) < 1e-9 ? 'flat' : delta > 0 ? 'up' : 'down';
+    return {
+        previous,
+        delta,
+        percent: previous !== 0 ? (delta / previous) * 100 : null,
+        direction,
+        isImprovement: direction !== 'flat' && (direction === 'down') === lowerIsBetter,
+    };
+}
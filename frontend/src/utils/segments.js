@@ -0,0 +1,102 @@
+/*
+ * JiraMetricsDashboard - segments.js
+ *
+ * "Segment by" support: which segment(s) an issue belongs to for a dimension
+ * (issue type, priority, assignee, component, label or a custom field).
+ * Components, labels and multi-value custom fields put an issue in every matching segment.
+ * Shared with the backend (POST /api/metrics, CLI), so it must stay free of browser/React APIs.
+ */
+
+export const SEGMENT_DIMENSIONS = [
+    { value: 'issueType', label: 'Issue Type' },
+    { value: 'priority', label: 'Priority' },
+    { value: 'assignee', label: 'Assignee' },
+    { value: 'component', label: 'Component' },
+    { value: 'label', label: 'Label' },
+    { value: 'customField', label: 'Custom Field' },
+];
+
+// No dimension = segmentation off
+export const DEFAULT_SEGMENT_CONFIG = { dimension: '', fieldId: '' };
+
+// Segment of issues without a value for the dimension
+export const NO_VALUE_SEGMENT = '(none)';
+
+const CUSTOM_FIELD_ID_PATTERN = /^customfield_\d+$/;
+
+/**
+ * Validates a segment config (e.g. from a saved view), falling back to "off".
+ * @param {object} config - { dimension, fieldId }; fieldId is only used for 'customField'.
+ * @returns {object} - { dimension, fieldId }
+ */
+export function normalizeSegmentConfig(config) {
+    if (!config?.dimension) return { ...DEFAULT_SEGMENT_CONFIG };
+    if (!SEGMENT_DIMENSIONS.some(d => d.value === config.dimension)) {
+        console.warn(`[normalizeSegmentConfig] Unknown segment dimension '${config.dimension}'. Segmentation is off.`);
+        return { ...DEFAULT_SEGMENT_CONFIG };
+    }
+    if (config.dimension !== 'customField') return { dimension: config.dimension, fieldId: '' };
+
+    const fieldId = String(config.fieldId || '').trim();
+    if (!CUSTOM_FIELD_ID_PATTERN.test(fieldId)) {
+        console.warn(`[normalizeSegmentConfig] Invalid custom field ID '${fieldId}' (expected customfield_<number>). Segmentation is off.`);
+        return { ...DEFAULT_SEGMENT_CONFIG };
+    }
+    return { dimension: 'customField', fieldId };
+}
+
+/**
+ * @param {object} config - Output of normalizeSegmentConfig().
+ * @returns {boolean} - True when metrics should be split by segment.
+ */
+export function isSegmentationEnabled(config) {
+    return Boolean(config?.dimension) && (config.dimension !== 'customField' || Boolean(config.fieldId));
+}
+
+/**
+ * Display label of a segment config, e.g. "Priority" or "Team (customfield_10010)".
+ * @param {object} config - { dimension, fieldId }
+ * @param {Array} [customFields] - [{ id, name }] from the project metadata.
+ * @returns {string}
+ */
+export function getSegmentLabel(config, customFields = []) {
+    if (config?.dimension === 'customField') {
+        const field = customFields.find(f => f.id === config.fieldId);
+        return field ? `${field.name} (${config.fieldId})` : config.fieldId;
+    }
+    return SEGMENT_DIMENSIONS.find(d => d.value === config?.dimension)?.label || '';
+}
+
+// Readable value(s) of a Jira field: option/user/version objects, cascading selects and arrays
+function fieldValueToStrings(value) {
+    if (value === null || value === undefined || value === '') return [];
+    if (Array.isArray(value)) return value.flatMap(fieldValueToStrings);
+    if (typeof value !== 'object') return [String(value)];
+
+    const name = value.value ?? value.name ?? value.displayName ?? value.key ?? null;
+    if (name === null) return [];
+    // Cascading select: "Parent / Child"
+    return [value.child?.value ? `${name} / ${value.child.value}` : String(name)];
+}
+
+/**
+ * Segment name(s) an issue belongs to; NO_VALUE_SEGMENT when the field is empty.
+ * @param {object} issue - Jira issue payload ({ key, fields }).
+ * @param {object} config - Output of normalizeSegmentConfig() (segmentation enabled).
+ * @returns {Array<string>} - De-duplicated, never empty.
+ */
+export function getIssueSegments(issue, config) {
+    const fields = issue?.fields || {};
+    let values;
+    switch (config.dimension) {
+        case 'issueType': values = fieldValueToStrings(fields.issuetype); break;
+        case 'priority': values = fieldValueToStrings(fields.priority); break;
+        case 'assignee': values = fields.assignee ? [fields.assignee.displayName || fields.assignee.name || fields.assignee.accountId || 'Unknown user'] : ['Unassigned']; break;
+        case 'component': values = fieldValueToStrings(fields.components); break;
+        case 'label': values = fieldValueToStrings(fields.labels); break;
+        case 'customField': values = fieldValueToStrings(fields[config.fieldId]); break;
+        default: values = [];
+    }
+    const unique = [...new Set(values.map(v => v.trim()).filter(Boolean))];
+    return unique.length > 0 ? unique : [NO_VALUE_SEGMENT];
+}
@@ -0,0 +1,77 @@
+/*
+ * JiraMetricsDashboard - sla.js
+ *
+ * Service level targets per priority (optionally narrowed to one issue type): hours until
+ * the first response (MTTA clock) and until resolution (MTTR clock). Hours follow the view's
+ * duration basis, so they are working hours when the working calendar is enabled.
+ * Shared with the backend (POST /api/metrics, CLI), so it must stay free of browser/React APIs.
+ */
+
+// No targets = SLA tracking off
+export const DEFAULT_SLA_CONFIG = { targets: [] };
+
+// Open issues past this share of a target are "at risk"
+export const SLA_AT_RISK_SHARE = 0.8;
+
+const toTargetHours = (value) => {
+    const hours = Number(value);
+    return value !== '' && value != null && isFinite(hours) && hours > 0 ? hours : null;
+};
+
+/**
+ * Validates an SLA config (e.g. from a saved view). Targets without a priority or without any
+ * hours are dropped; a later duplicate of the same priority/issue type pair is ignored.
+ * @param {object} config - { targets: [{ priority, issueType, responseHours, resolutionHours }] };
+ *   issueType '' applies to every type; either hours may be empty.
+ * @returns {object} - { targets }
+ */
+export function normalizeSlaConfig(config) {
+    if (!Array.isArray(config?.targets)) return { ...DEFAULT_SLA_CONFIG };
+    const seen = new Set();
+    const targets = [];
+    config.targets.forEach(target => {
+        const priority = String(target?.priority || '').trim();
+        const issueType = String(target?.issueType || '').trim();
+        const responseHours = toTargetHours(target?.responseHours);
+        const resolutionHours = toTargetHours(target?.resolutionHours);
+        const id = `${priority}|${issueType}`;
+        if (!priority || (responseHours === null && resolutionHours === null) || seen.has(id)) {
+            console.warn(`[normalizeSlaConfig] Ignoring SLA target for priority '${priority}'${issueType ? ` / '${issueType}'` : ''}.`);
+            return;
+        }
+        seen.add(id);
+        targets.push({ priority, issueType, responseHours, resolutionHours });
+    });
+    return { targets };
+}
+
+/**
+ * @param {object} config - Output of normalizeSlaConfig().
+ * @returns {boolean} - True when at least one target is defined.
+ */
+export function isSlaEnabled(config) {
+    return Array.isArray(config?.targets) && config.targets.length > 0;
+}
+
+/**
+ * The target that applies to an issue: a priority + issue type match wins over a priority-only target.
+ * @param {Array} targets - Normalized targets.
+ * @param {string|null} priority - Priority name.
+ * @param {string|null} issueType - Issue type name.
+ * @returns {object|null}
+ */
+export function findSlaTarget(targets, priority, issueType) {
+    if (!priority) return null;
+    return targets.find(t => t.priority === priority && t.issueType && t.issueType === issueType)
+        || targets.find(t => t.priority === priority && !t.issueType)
+        || null;
+}
+
+/**
+ * Label of a target for tables, e.g. "High" or "High / Bug".
+ * @param {object} target
+ * @returns {string}
+ */
+export function getSlaTargetLabel(target) {
+    return target.issueType ? `${target.priority} / ${target.issueType}` : target.priority;
+}
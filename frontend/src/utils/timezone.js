@@ -0,0 +1,127 @@
+/*
+ * JiraMetricsDashboard - timezone.js
+ *
+ * IANA timezone helpers built on Intl (no dependencies), shared by the frontend and backend.
+ * Dates without a time are handled as 'YYYY-MM-DD' strings so calendar arithmetic
+ * never depends on the runtime's local timezone.
+ */
+
+const formatterCache = new Map(); // timeZone -> Intl.DateTimeFormat
+
+// Cached formatter returning numeric date/time parts in the given timezone
+function getFormatter(timeZone) {
+    if (!formatterCache.has(timeZone)) {
+        formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone, hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit',
+        }));
+    }
+    return formatterCache.get(timeZone);
+}
+
+/**
+ * @param {string} timeZone - IANA name, e.g. 'America/Los_Angeles'.
+ * @returns {boolean} - True if the runtime knows the timezone.
+ */
+export function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * @returns {string} - The runtime's timezone (the browser's, or the server's for the backend).
+ */
+export function getLocalTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * @returns {Array<string>} - IANA timezone names known to the runtime (for pickers).
+ */
+export function getSupportedTimeZones() {
+    return typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : ['UTC'];
+}
+
+// Wall-clock parts of an instant in the timezone
+function getZonedParts(date, timeZone) {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => { parts[type] = Number(value); });
+    return parts;
+}
+
+/**
+ * Offset of the timezone from UTC at the given instant (positive east of UTC).
+ * @param {Date|number} date
+ * @param {string} timeZone
+ * @returns {number} - Offset in ms.
+ */
+export function getTimeZoneOffsetMs(date, timeZone) {
+    const time = date instanceof Date ? date.getTime() : date;
+    const p = getZonedParts(new Date(time), timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Converts a wall-clock date/time in the timezone to the UTC instant.
+ * Non-existent times (DST gap) resolve to the instant just after the gap.
+ * @param {string} dateStr - 'YYYY-MM-DD'.
+ * @param {string} timeStr - 'HH:mm' (or 'HH:mm:ss.SSS').
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+export function zonedDateTimeToUtc(dateStr, timeStr, timeZone) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    const [hour = 0, minute = 0, secondsPart = '0'] = timeStr.split(':');
+    const [second, ms = 0] = String(secondsPart).split('.').map(Number);
+    const wallClockAsUtc = Date.UTC(year, month - 1, day, Number(hour), Number(minute), second || 0, ms);
+    // Two passes settle the offset across DST transitions
+    let utcTime = wallClockAsUtc - getTimeZoneOffsetMs(wallClockAsUtc, timeZone);
+    utcTime = wallClockAsUtc - getTimeZoneOffsetMs(utcTime, timeZone);
+    return new Date(utcTime);
+}
+
+/**
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string} - Calendar date of the instant in the timezone ('YYYY-MM-DD').
+ */
+export function toZonedDateString(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/**
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string} - Wall-clock time of the instant in the timezone ('YYYY-MM-DD HH:mm', as JQL dates are written).
+ */
+export function toZonedDateTimeString(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    return `${toZonedDateString(date, timeZone)} ${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`;
+}
+
+/**
+ * @param {string} dateStr - 'YYYY-MM-DD'.
+ * @param {number} days - May be negative.
+ * @returns {string} - 'YYYY-MM-DD'.
+ */
+export function addDays(dateStr, days) {
+    const date = new Date(`${dateStr}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * @param {string} dateStr - 'YYYY-MM-DD'.
+ * @returns {number} - Day of week, 0 (Sunday) to 6 (Saturday).
+ */
+export function getWeekday(dateStr) {
+    return new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+}
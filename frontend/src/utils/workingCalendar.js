@@ -0,0 +1,106 @@
+/*
+ * JiraMetricsDashboard - workingCalendar.js
+ *
+ * Working-time calendar (working weekdays, daily hours, timezone, holidays) used by
+ * dataProcessor.js to measure durations in business time instead of wall-clock time.
+ * In business time a "day" is one working day (dayEnd - dayStart hours), not 24 hours.
+ */
+import { isValidTimeZone, zonedDateTimeToUtc, toZonedDateString, addDays, getWeekday } from './timezone.js';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export const DEFAULT_CALENDAR_CONFIG = {
+    enabled: false,              // false = wall-clock time, true = business time
+    workingDays: [1, 2, 3, 4, 5], // 0 = Sunday ... 6 = Saturday
+    dayStart: '09:00',
+    dayEnd: '17:00',
+    timezone: 'UTC',
+    holidays: [],                // 'YYYY-MM-DD' dates with no working hours
+};
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Fills in defaults and drops invalid values (with a warning) so a bad saved view never breaks processing.
+ * @param {object} [config] - Partial calendar config.
+ * @returns {object} - Complete calendar config.
+ */
+export function normalizeCalendarConfig(config) {
+    const merged = { ...DEFAULT_CALENDAR_CONFIG, ...(config || {}) };
+    const normalized = { ...merged, enabled: !!merged.enabled };
+
+    const workingDays = Array.isArray(merged.workingDays)
+        ? [...new Set(merged.workingDays.map(Number).filter(day => Number.isInteger(day) && day >= 0 && day <= 6))].sort()
+        : [];
+    normalized.workingDays = workingDays.length > 0 ? workingDays : DEFAULT_CALENDAR_CONFIG.workingDays;
+
+    if (!TIME_PATTERN.test(merged.dayStart) || !TIME_PATTERN.test(merged.dayEnd) || toMinutes(merged.dayStart) >= toMinutes(merged.dayEnd)) {
+        console.warn(`[workingCalendar] Invalid working hours '${merged.dayStart}-${merged.dayEnd}'. Using defaults.`);
+        normalized.dayStart = DEFAULT_CALENDAR_CONFIG.dayStart;
+        normalized.dayEnd = DEFAULT_CALENDAR_CONFIG.dayEnd;
+    }
+    if (!isValidTimeZone(merged.timezone)) {
+        console.warn(`[workingCalendar] Unknown timezone '${merged.timezone}'. Using UTC.`);
+        normalized.timezone = 'UTC';
+    }
+    normalized.holidays = Array.isArray(merged.holidays)
+        ? [...new Set(merged.holidays.map(d => String(d).trim()).filter(d => DATE_PATTERN.test(d)))].sort()
+        : [];
+    return normalized;
+}
+
+/**
+ * Creates the working-time calculator for a calendar config.
+ * @param {object} [config] - Calendar config; nothing is created while it is disabled.
+ * @returns {object|null} - { config, msPerDay, getWorkingMs(start, end) }, or null for wall-clock time.
+ */
+export function createWorkingCalendar(config) {
+    const calendar = normalizeCalendarConfig(config);
+    if (!calendar.enabled) return null;
+
+    const workingDays = new Set(calendar.workingDays);
+    const holidays = new Set(calendar.holidays);
+    const msPerDay = (toMinutes(calendar.dayEnd) - toMinutes(calendar.dayStart)) * 60 * 1000;
+    const windowCache = new Map(); // 'YYYY-MM-DD' -> [startMs, endMs] | null, shared by every issue
+
+    // Working window of a calendar date as UTC ms, or null on non-working days
+    const getWorkingWindow = (dateStr) => {
+        if (!windowCache.has(dateStr)) {
+            const isWorkingDay = workingDays.has(getWeekday(dateStr)) && !holidays.has(dateStr);
+            windowCache.set(dateStr, isWorkingDay
+                ? [zonedDateTimeToUtc(dateStr, calendar.dayStart, calendar.timezone).getTime(), zonedDateTimeToUtc(dateStr, calendar.dayEnd, calendar.timezone).getTime()]
+                : null);
+        }
+        return windowCache.get(dateStr);
+    };
+
+    /**
+     * Working time between two instants.
+     * @param {Date} startDate
+     * @param {Date} endDate
+     * @returns {number} - Milliseconds inside working windows (0 if end <= start).
+     */
+    const getWorkingMs = (startDate, endDate) => {
+        const startMs = startDate.getTime();
+        const endMs = endDate.getTime();
+        if (!(endMs > startMs)) return 0;
+
+        let totalMs = 0;
+        const lastDay = toZonedDateString(endDate, calendar.timezone);
+        for (let day = toZonedDateString(startDate, calendar.timezone); day <= lastDay; day = addDays(day, 1)) {
+            const window = getWorkingWindow(day);
+            if (!window) continue;
+            const overlap = Math.min(endMs, window[1]) - Math.max(startMs, window[0]);
+            if (overlap > 0) totalMs += overlap;
+        }
+        return totalMs;
+    };
+
+    return { config: calendar, msPerDay, getWorkingMs };
+}